@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { CONFIG } = require('./config');
+const storage = require('./storage');
+
+// Alerts kept per feed; the oldest are dropped past this
+const FEED_LIMIT = 200;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// type -> { validate(config), deliver(subscription, alerts, config),
+// created?(subscription, config), isActive?(config) }.
+// validate returns (or resolves to) the channel config to store, or throws
+// with a message fit for the API response; deliver resolves once the
+// alerts are sent. created runs once the subscription is saved, e.g. to
+// ask for confirmation, and isActive says whether the channel gets alerts
+// yet (default: always).
+const channels = new Map();
+
+function registerChannel(type, { validate, deliver, created = null, isActive = null }) {
+    if (channels.has(type)) throw new Error(`Alert channel already registered: ${type}`);
+    channels.set(type, { type, validate, deliver, created, isActive });
+}
+
+function getChannel(type) {
+    return channels.get(type) || null;
+}
+
+function getChannelTypes() {
+    return Array.from(channels.keys());
+}
+
+function absoluteUrl(url) {
+    return url && url.startsWith('/') ? `${CONFIG.PUBLIC_URL}${url}` : url;
+}
+
+// Confirmation and unsubscribe links in emails carry their own random
+// tokens, so neither gives access to the feed
+const newToken = () => crypto.randomBytes(16).toString('hex');
+
+const confirmUrl = ({ confirmToken }) => `${CONFIG.PUBLIC_URL}/api/email/confirm/${confirmToken}`;
+const unsubscribeUrl = ({ unsubscribeToken }) => `${CONFIG.PUBLIC_URL}/api/email/unsubscribe/${unsubscribeToken}`;
+
+// Plain-text digest of a batch of alerts, for email
+function formatDigest(subscription, alerts, config) {
+    const lines = alerts.map(alert => {
+        const link = absoluteUrl(alert.url);
+        return [`- ${alert.title}`, alert.summary ? `  ${alert.summary}` : null, link ? `  ${link}` : null]
+            .filter(Boolean)
+            .join('\n');
+    });
+    return [
+        `New activity for ${subscription.target.label}:`,
+        '',
+        ...lines,
+        '',
+        `Your feed: ${CONFIG.PUBLIC_URL}/api/feeds/${subscription.feedId}`,
+        '',
+        `Stop these emails: ${unsubscribeUrl(config)}`
+    ].join('\n');
+}
+
+// In-app feed: alerts are stored under the subscription's feed and read
+// back through /api/feeds/:feedId
+registerChannel('feed', {
+    validate: () => ({}),
+    deliver: async (subscription, alerts) => {
+        alerts.forEach(({ target, ...alert }) => {
+            const key = `${subscription.feedId}|${alert.id}`;
+            // The same event can reach a feed through two subscriptions,
+            // e.g. a vote on a followed bill that's also on a followed topic
+            const existing = storage.get('alerts', key);
+            const targets = existing ? existing.targets.filter(t => t.type !== target.type || t.id !== target.id) : [];
+            storage.set('alerts', key, {
+                ...alert,
+                targets: [...targets, target],
+                subscriptions: Array.from(new Set([...(existing ? existing.subscriptions : []), subscription.id]))
+            });
+        });
+
+        const stored = getFeedAlerts(subscription.feedId, { limit: Infinity });
+        stored.slice(FEED_LIMIT).forEach(alert => storage.remove('alerts', `${subscription.feedId}|${alert.id}`));
+    }
+});
+
+// Email over SMTP. The transport is created on first use so nodemailer is
+// only loaded when email alerts are configured.
+let transport = null;
+
+function getTransport() {
+    if (!transport) {
+        const nodemailer = require('nodemailer');
+        transport = nodemailer.createTransport(CONFIG.SMTP_URL);
+    }
+    return transport;
+}
+
+// Double opt-in: a new address only gets a confirmation email, and alerts
+// start once its link is followed. Every alert email carries a one-click
+// unsubscribe link, also offered to mail clients as List-Unsubscribe.
+registerChannel('email', {
+    validate: ({ to }) => {
+        if (!CONFIG.SMTP_URL) throw new Error('Email alerts are not configured on this server');
+        if (typeof to !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(to)) {
+            throw new Error('Email channel needs a valid "to" address');
+        }
+        return { to, confirmed: false, confirmToken: newToken(), unsubscribeToken: newToken() };
+    },
+    created: async (subscription, config) => {
+        await getTransport().sendMail({
+            from: CONFIG.ALERT_EMAIL_FROM,
+            to: config.to,
+            subject: `Confirm email alerts for ${subscription.target.label}`,
+            text: [
+                `Someone asked for email alerts about ${subscription.target.label} to be sent to this address.`,
+                '',
+                `To start them, confirm here: ${confirmUrl(config)}`,
+                '',
+                "If it wasn't you, ignore this email. Nothing more will be sent."
+            ].join('\n')
+        });
+    },
+    isActive: ({ confirmed }) => confirmed === true,
+    deliver: async (subscription, alerts, config) => {
+        await getTransport().sendMail({
+            from: CONFIG.ALERT_EMAIL_FROM,
+            to: config.to,
+            subject: alerts.length === 1
+                ? `${subscription.target.label}: ${alerts[0].title}`
+                : `${alerts.length} new alerts for ${subscription.target.label}`,
+            text: formatDigest(subscription, alerts, config),
+            list: { unsubscribe: unsubscribeUrl(config) },
+            headers: { 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+        });
+    }
+});
+
+// Addresses webhooks may not reach: unspecified, loopback, private,
+// carrier-grade NAT, link-local (including cloud metadata at
+// 169.254.169.254), multicast and reserved ranges. BlockList checks
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    return !family || BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// "[::1]" -> "::1"
+const webhookHost = url => new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+// Hosts the operator lets webhooks reach whatever they resolve to, e.g.
+// localhost for the alert sink
+const isAllowedHost = host => CONFIG.WEBHOOK_ALLOWED_HOSTS.includes(host);
+
+// Refuse webhook URLs whose host is, or resolves to, a blocked address, so
+// subscribers can't make the server call into its own network
+async function checkWebhookTarget(url) {
+    const host = webhookHost(url);
+    if (isAllowedHost(host)) return;
+
+    let addresses;
+    if (net.isIP(host)) {
+        addresses = [{ address: host }];
+    } else {
+        try {
+            addresses = await dns.promises.lookup(host, { all: true });
+        } catch (error) {
+            throw new Error(`Webhook host ${host} does not resolve`);
+        }
+    }
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+        throw new Error(`Webhook host ${host} is a private or local address`);
+    }
+}
+
+// dns.lookup for webhook connections. Checking the addresses the socket
+// actually connects to closes the gap between checkWebhookTarget and the
+// request, where the host's DNS could change.
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.some(({ address }) => isBlockedAddress(address))) {
+            return callback(new Error(`Webhook host ${hostname} resolved to a private or local address`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// POST a body to a webhook. Redirects are not followed, since a redirect
+// could point anywhere; a 3xx counts as a failed delivery.
+function postWebhook(url, headers, body) {
+    const parsed = new URL(url);
+    const client = parsed.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        const request = client.request(parsed, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            ...(isAllowedHost(webhookHost(url)) ? {} : { lookup: publicLookup }),
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        }, response => {
+            response.resume();
+            if (response.statusCode >= 200 && response.statusCode < 300) resolve();
+            else reject(new Error(`Webhook responded ${response.statusCode}`));
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+// Outgoing webhook: one JSON POST per batch. With a secret, the body is
+// signed as X-Tracker-Signature: sha256=<hex HMAC of the raw body>.
+registerChannel('webhook', {
+    validate: async ({ url, secret = null }) => {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw new Error('Webhook channel needs a valid "url"');
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new Error('Webhook URL must be http or https');
+        }
+        if (secret !== null && typeof secret !== 'string') {
+            throw new Error('Webhook secret must be a string');
+        }
+        await checkWebhookTarget(parsed.toString());
+        return { url: parsed.toString(), secret };
+    },
+    deliver: async (subscription, alerts, { url, secret }) => {
+        const body = JSON.stringify({
+            event: 'alerts',
+            feedId: subscription.feedId,
+            subscription: { id: subscription.id, target: subscription.target },
+            alerts: alerts.map(alert => ({ ...alert, url: absoluteUrl(alert.url) })),
+            sentAt: new Date().toISOString()
+        });
+        const headers = { 'Content-Type': 'application/json', 'User-Agent': 'congressional-tracker' };
+        if (secret) {
+            headers['X-Tracker-Signature'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+        }
+
+        // Checked again, as the host may have been re-pointed since
+        await checkWebhookTarget(url);
+        await postWebhook(url, headers, body);
+    }
+});
+
+// A feed's stored alerts, newest first. Alerts are keyed feedId|alertId,
+// so this reads only the feed's own.
+function getFeedAlerts(feedId, { limit = 50 } = {}) {
+    return storage.list('alerts', `${feedId}|`)
+        .sort((a, b) => b.detectedAt.localeCompare(a.detectedAt) || (b.date || '').localeCompare(a.date || ''))
+        .slice(0, limit);
+}
+
+module.exports = {
+    registerChannel,
+    getChannel,
+    getChannelTypes,
+    getFeedAlerts
+};
@@ -0,0 +1,417 @@
+const { CONFIG } = require('./config');
+const { getMemberRollCalls } = require('./rollcalls');
+const {
+    parseBillId,
+    mapWithConcurrency,
+    getSponsoredLegislation,
+    getCosponsoredLegislation,
+    getBill,
+    getBillCosponsors
+} = require('./congressGov');
+const storage = require('./storage');
+
+// Registry party names -> the letters roll calls use
+const PARTY_CODES = { Democrat: 'D', Republican: 'R', Independent: 'I', Libertarian: 'L' };
+// Bills looked up per list (sponsored, cosponsored) for cosponsorship stats
+const MAX_COSPONSORSHIP_BILLS = 100;
+// Parallel Congress.gov requests for bill details
+const BILL_FETCH_CONCURRENCY = 5;
+// Bill lookups per cosponsorship job run (the job runs every 15 minutes)
+const COSPONSORSHIP_LOOKUPS_PER_RUN = 250;
+
+function partyCode(party) {
+    if (!party) return null;
+    return PARTY_CODES[party] || String(party).charAt(0).toUpperCase();
+}
+
+// The party a member votes with: independents count with their caucus
+function votingParty(member) {
+    const party = partyCode(member.party);
+    return party === 'I' && member.caucus ? partyCode(member.caucus) : party;
+}
+
+function percent(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+function inScope(item, { congress = null, session = null } = {}) {
+    return (!congress || item.congress === congress) && (!session || item.session === session);
+}
+
+// Odd years are a Congress's first session
+function sessionOf(date) {
+    const year = parseInt(String(date || '').slice(0, 4), 10);
+    return isNaN(year) ? null : (year % 2 === 1 ? 1 : 2);
+}
+
+function positionOf(rollCall, bioguideId) {
+    const position = rollCall.positions.find(p => p.bioguideId === bioguideId);
+    return position ? position.position : 'Not Voting';
+}
+
+const isCast = position => position === 'Yea' || position === 'Nay';
+
+// Majority position of each party on a roll call. Computed once per stored
+// roll call; a re-ingested roll call is a new object and gets recounted.
+const majorityCache = new WeakMap();
+function partyMajorities(rollCall) {
+    if (majorityCache.has(rollCall)) return majorityCache.get(rollCall);
+
+    const counts = {};
+    rollCall.positions.filter(p => isCast(p.position) && p.party).forEach(p => {
+        if (!counts[p.party]) counts[p.party] = { Yea: 0, Nay: 0 };
+        counts[p.party][p.position]++;
+    });
+
+    const majorities = {};
+    Object.entries(counts).forEach(([party, count]) => {
+        if (count.Yea !== count.Nay) majorities[party] = count.Yea > count.Nay ? 'Yea' : 'Nay';
+    });
+    majorityCache.set(rollCall, majorities);
+    return majorities;
+}
+
+// A party-unity vote in the CQ sense: most voting Democrats opposed most
+// voting Republicans
+function isPartyLineVote(majorities) {
+    return !!majorities.D && !!majorities.R && majorities.D !== majorities.R;
+}
+
+// Missed-vote rate and party unity over a set of roll calls. Present
+// counts as voting; Not Voting is a missed vote.
+function summarizeVotes(member, rollCalls) {
+    const party = votingParty(member);
+    let missed = 0;
+    let present = 0;
+    let partyLineVotes = 0;
+    let withParty = 0;
+
+    rollCalls.forEach(rollCall => {
+        const position = positionOf(rollCall, member.bioguideId);
+        if (position === 'Not Voting') {
+            missed++;
+            return;
+        }
+        if (position === 'Present') {
+            present++;
+            return;
+        }
+
+        const majorities = partyMajorities(rollCall);
+        if (isPartyLineVote(majorities) && majorities[party]) {
+            partyLineVotes++;
+            if (position === majorities[party]) withParty++;
+        }
+    });
+
+    return {
+        rollCalls: rollCalls.length,
+        missed,
+        present,
+        missedPct: percent(missed, rollCalls.length),
+        partyUnity: {
+            party,
+            partyLineVotes,
+            withParty,
+            score: percent(withParty, partyLineVotes)
+        }
+    };
+}
+
+// Each Congress, and each session within it, that a set of items spans,
+// newest first
+function periodsOf(items) {
+    const periods = new Map();
+    items.forEach(item => {
+        if (!item.congress) return;
+        periods.set(`${item.congress}`, { congress: item.congress, session: null });
+        if (item.session) periods.set(`${item.congress}-${item.session}`, { congress: item.congress, session: item.session });
+    });
+    return Array.from(periods.values())
+        .sort((a, b) => b.congress - a.congress || (a.session || 0) - (b.session || 0));
+}
+
+// Roll-call statistics for a member within a scope ({ congress, session },
+// both optional), plus the same figures for every Congress and session on
+// record
+function getVoteStats(member, scope = {}) {
+    const rollCalls = getMemberRollCalls(member.bioguideId);
+    return {
+        ...summarizeVotes(member, rollCalls.filter(rc => inScope(rc, scope))),
+        periods: periodsOf(rollCalls).map(period => ({
+            ...period,
+            ...summarizeVotes(member, rollCalls.filter(rc => inScope(rc, period)))
+        }))
+    };
+}
+
+// How often two members cast the same Yea/Nay on roll calls both voted in.
+// Members of different chambers share no roll calls, so their rate is null.
+function getAgreement(memberA, memberB, scope = {}) {
+    const theirs = new Set(getMemberRollCalls(memberB.bioguideId).map(rc => rc.id));
+    let sharedVotes = 0;
+    let agreed = 0;
+
+    getMemberRollCalls(memberA.bioguideId)
+        .filter(rc => theirs.has(rc.id) && inScope(rc, scope))
+        .forEach(rollCall => {
+            const a = positionOf(rollCall, memberA.bioguideId);
+            const b = positionOf(rollCall, memberB.bioguideId);
+            if (!isCast(a) || !isCast(b)) return;
+            sharedVotes++;
+            if (a === b) agreed++;
+        });
+
+    return {
+        members: [memberA.bioguideId, memberB.bioguideId],
+        sharedVotes,
+        agreed,
+        rate: percent(agreed, sharedVotes)
+    };
+}
+
+// Agreement for every pair in a list of members
+function getAgreementMatrix(members, scope = {}) {
+    const pairs = [];
+    members.forEach((a, i) => {
+        members.slice(i + 1).forEach(b => pairs.push(getAgreement(a, b, scope)));
+    });
+    return pairs;
+}
+
+// Where compared members agreed or split. `rollCalls` are the roll calls
+// at least two of them cast Yea/Nay on, newest first. `bills` line members
+// up by bill instead, using each member's last Yea/Nay on it, so House
+// members and senators can be compared on bills both chambers voted on.
+function getVoteComparison(members, scope = {}, { limit = 100 } = {}) {
+    const byId = new Map();
+    members.forEach(member => {
+        getMemberRollCalls(member.bioguideId)
+            .filter(rc => inScope(rc, scope))
+            .forEach(rc => byId.set(rc.id, rc));
+    });
+    const newestFirst = (a, b) => (b.date || '').localeCompare(a.date || '') || b.number - a.number;
+    const rollCalls = Array.from(byId.values()).sort(newestFirst);
+
+    function outcome(positions) {
+        const cast = Object.values(positions).filter(isCast);
+        if (cast.length < 2) return null;
+        return cast.every(position => position === cast[0]) ? 'agreed' : 'split';
+    }
+
+    const sharedRollCalls = rollCalls.map(rc => {
+        const positions = {};
+        members.forEach(member => {
+            if (rc.positions.some(p => p.bioguideId === member.bioguideId)) {
+                positions[member.bioguideId] = positionOf(rc, member.bioguideId);
+            }
+        });
+        return {
+            id: rc.id,
+            chamber: rc.chamber,
+            congress: rc.congress,
+            session: rc.session,
+            number: rc.number,
+            date: rc.date,
+            question: rc.question,
+            title: rc.title,
+            billId: rc.bill ? rc.bill.billId : null,
+            positions,
+            outcome: outcome(positions)
+        };
+    }).filter(rc => rc.outcome);
+
+    const bills = new Map();
+    rollCalls.filter(rc => rc.bill).forEach(rc => {
+        if (!bills.has(rc.bill.billId)) bills.set(rc.bill.billId, { billId: rc.bill.billId, title: null, votes: {} });
+        const bill = bills.get(rc.bill.billId);
+        members.forEach(member => {
+            const position = positionOf(rc, member.bioguideId);
+            // Newest first, so the first Yea/Nay seen is the last one cast
+            if (!isCast(position) || bill.votes[member.bioguideId]) return;
+            bill.votes[member.bioguideId] = { position, rollCall: rc.id, date: rc.date, question: rc.question };
+            bill.title = bill.title || rc.title;
+        });
+    });
+    const sharedBills = Array.from(bills.values())
+        .map(bill => {
+            const positions = {};
+            Object.entries(bill.votes).forEach(([id, vote]) => { positions[id] = vote.position; });
+            return { ...bill, outcome: outcome(positions) };
+        })
+        .filter(bill => bill.outcome);
+
+    const count = (list, result) => list.filter(item => item.outcome === result).length;
+    return {
+        summary: {
+            rollCalls: sharedRollCalls.length,
+            rollCallsAgreed: count(sharedRollCalls, 'agreed'),
+            rollCallsSplit: count(sharedRollCalls, 'split'),
+            bills: sharedBills.length,
+            billsAgreed: count(sharedBills, 'agreed'),
+            billsSplit: count(sharedBills, 'split')
+        },
+        rollCalls: sharedRollCalls.slice(0, limit),
+        bills: sharedBills.slice(0, limit)
+    };
+}
+
+// Per-bill lookups behind cosponsorship stats: the cosponsors' parties on
+// a bill the member sponsored, the sponsor's party on one they cosponsored.
+// Each is cached under the bills type like any other bill lookup.
+const BILL_LOOKUPS = {
+    cosponsors: {
+        key: bill => `cosponsors:${bill.billId}`,
+        load: bill => getBillCosponsors(bill.congress, bill.type, bill.number),
+        describe: cosponsors => ({ cosponsorParties: cosponsors.filter(c => !c.withdrawn).map(c => c.party) })
+    },
+    sponsor: {
+        key: bill => `bill:${bill.billId}`,
+        load: bill => getBill(bill.congress, bill.type, bill.number),
+        describe: detail => ({ sponsorParty: detail.sponsor ? detail.sponsor.party : null })
+    }
+};
+
+// Bill lookups waiting for the cosponsorship job, storage key -> { lookup,
+// bill }. A member's bills can take a couple of hundred Congress.gov
+// requests, far more than a request can wait on, so requests only queue
+// what's missing or stale.
+const pendingLookups = new Map();
+
+// Party letters of the cosponsors on each bill a member sponsored, and the
+// sponsor's party on each bill they cosponsored, from cached bill lookups
+// only. Bills not cached yet are queued and left out (`pendingBills`);
+// lists are newest first and capped, so `complete` says whether every bill
+// was looked at.
+async function loadCosponsorship(bioguideId) {
+    const lists = await storage.cached('bills', `legislation:${bioguideId}`, async () => {
+        const [sponsored, cosponsored] = await Promise.all([
+            getSponsoredLegislation(bioguideId, { limit: 250 }),
+            getCosponsoredLegislation(bioguideId, { limit: 250 })
+        ]);
+        return { sponsored, cosponsored };
+    });
+    // Amendments have no bill number to look up
+    const bills = list => list.filter(item => parseBillId(item.billId));
+    const sponsoredBills = bills(lists.sponsored);
+    const cosponsoredBills = bills(lists.cosponsored);
+
+    let pendingBills = 0;
+    const records = (list, lookup) => list.slice(0, MAX_COSPONSORSHIP_BILLS).map(bill => {
+        const key = lookup.key(bill);
+        const stored = storage.peek('bills', key);
+        if (!stored || !stored.fresh) pendingLookups.set(key, { lookup, bill });
+        if (!stored) {
+            pendingBills++;
+            return null;
+        }
+        return {
+            billId: bill.billId,
+            congress: bill.congress,
+            session: sessionOf(bill.introducedDate),
+            ...lookup.describe(stored.value)
+        };
+    }).filter(Boolean);
+
+    const sponsored = records(sponsoredBills, BILL_LOOKUPS.cosponsors);
+    const cosponsored = records(cosponsoredBills, BILL_LOOKUPS.sponsor);
+    return {
+        sponsored,
+        cosponsored,
+        pendingBills,
+        complete: pendingBills === 0
+            && sponsoredBills.length <= MAX_COSPONSORSHIP_BILLS
+            && cosponsoredBills.length <= MAX_COSPONSORSHIP_BILLS
+    };
+}
+
+// Work through queued bill lookups, at most `limit` per run so one run
+// can't spend much of the hourly Congress.gov budget. Run by the
+// cosponsorship job; a failed lookup is dropped and queued again by the
+// next request that needs it.
+async function fetchPendingCosponsorship({ limit = COSPONSORSHIP_LOOKUPS_PER_RUN } = {}) {
+    let fetched = 0;
+    let failed = 0;
+    while (pendingLookups.size && fetched + failed < limit) {
+        const batch = Array.from(pendingLookups.entries()).slice(0, Math.min(BILL_FETCH_CONCURRENCY * 4, limit - fetched - failed));
+        batch.forEach(([key]) => pendingLookups.delete(key));
+        await mapWithConcurrency(batch, BILL_FETCH_CONCURRENCY, async ([key, { lookup, bill }]) => {
+            try {
+                await storage.refresh('bills', key, () => lookup.load(bill));
+                fetched++;
+            } catch (error) {
+                failed++;
+                console.error(`Cosponsorship lookup for ${bill.billId} failed:`, error.message);
+            }
+        });
+    }
+
+    if (failed && !fetched) throw new Error(`All ${failed} cosponsorship lookups failed`);
+    return { fetched, failed, pending: pendingLookups.size };
+}
+
+// Bipartisan cosponsorship within a scope. `attractedPct` is the share of
+// cosponsors on the member's bills from the other party, `offeredPct` the
+// share of bills they cosponsored that the other party sponsored; the
+// index is their mean. Independents count with neither side.
+function summarizeCosponsorship(record, party, scope) {
+    const crossParty = other => !!other && other !== 'I' && other !== party;
+    const sponsored = record.sponsored.filter(b => inScope(b, scope));
+    const cosponsored = record.cosponsored.filter(b => inScope(b, scope));
+
+    const cosponsors = sponsored.reduce((sum, b) => sum + b.cosponsorParties.length, 0);
+    const crossPartyCosponsors = sponsored.reduce((sum, b) => sum + b.cosponsorParties.filter(crossParty).length, 0);
+    const crossPartyCosponsored = cosponsored.filter(b => crossParty(b.sponsorParty)).length;
+
+    const attractedPct = percent(crossPartyCosponsors, cosponsors);
+    const offeredPct = percent(crossPartyCosponsored, cosponsored.length);
+    const parts = [attractedPct, offeredPct].filter(value => value !== null);
+
+    return {
+        sponsoredBills: sponsored.length,
+        billsWithCrossPartyCosponsor: sponsored.filter(b => b.cosponsorParties.some(crossParty)).length,
+        cosponsors,
+        crossPartyCosponsors,
+        attractedPct,
+        cosponsoredBills: cosponsored.length,
+        crossPartyCosponsored,
+        offeredPct,
+        index: parts.length ? Math.round((parts.reduce((a, b) => a + b, 0) / parts.length) * 10) / 10 : null
+    };
+}
+
+// Bipartisan-cosponsorship figures for a member within a scope and for
+// every Congress and session their bills span. Needs Congress.gov; null
+// without an API key. `partial` is set while some of the member's bills
+// are still queued for lookup.
+async function getCosponsorshipStats(member, scope = {}) {
+    if (!CONFIG.CONGRESS_API_KEY) return null;
+
+    const record = await loadCosponsorship(member.bioguideId);
+    const party = votingParty(member);
+    const bills = record.sponsored.concat(record.cosponsored);
+
+    return {
+        ...summarizeCosponsorship(record, party, scope),
+        complete: record.complete,
+        partial: record.pendingBills > 0,
+        pendingBills: record.pendingBills,
+        periods: periodsOf(bills).map(period => ({
+            ...period,
+            ...summarizeCosponsorship(record, party, period)
+        }))
+    };
+}
+
+module.exports = {
+    partyCode,
+    votingParty,
+    partyMajorities,
+    isPartyLineVote,
+    getVoteStats,
+    getAgreement,
+    getAgreementMatrix,
+    getVoteComparison,
+    getCosponsorshipStats,
+    fetchPendingCosponsorship
+};
@@ -0,0 +1,214 @@
+const storage = require('./storage');
+const {
+    formatBillId,
+    congressOrdinal,
+    getBill,
+    getBillCosponsors,
+    getBillActions,
+    getBillCommittees,
+    getBillTextVersions,
+    getBillSubjects,
+    getSponsoredLegislation,
+    getCosponsoredLegislation
+} = require('./congressGov');
+const { listRollCalls } = require('./rollcalls');
+const { findLegislator, toMember } = require('./legislators');
+
+// Furthest stage a bill has reached, checked against action text from the
+// top down. The first match wins, so a bill that passed and became law is
+// "became-law", not "passed-house".
+const STATUS_RULES = [
+    { code: 'became-law', label: 'Became law', pattern: /became (public|private) law|signed by president/i },
+    { code: 'vetoed', label: 'Vetoed', pattern: /vetoed by president|pocket vetoed/i },
+    { code: 'to-president', label: 'Sent to the President', pattern: /presented to president/i },
+    { code: 'passed-senate', label: 'Passed the Senate', pattern: /passed\/agreed to in senate|^passed senate|resolution agreed to in senate/i },
+    { code: 'passed-house', label: 'Passed the House', pattern: /passed\/agreed to in house|^on passage passed|pass the bill.*agreed to|resolution agreed to in house/i },
+    { code: 'failed', label: 'Failed', pattern: /failed of passage|failed passage|motion to proceed.*not agreed to/i },
+    { code: 'reported', label: 'Reported by committee', pattern: /reported (by|to|with)|ordered to be reported|placed on .*calendar/i },
+    { code: 'in-committee', label: 'In committee', pattern: /referred to/i },
+    { code: 'introduced', label: 'Introduced', pattern: /introduced/i }
+];
+
+// Status from the action timeline. Passing both chambers is worked out
+// from the separate passage actions.
+function deriveStatus(actions, laws = []) {
+    const matched = code => actions.find(action => STATUS_RULES.find(rule => rule.code === code).pattern.test(action.text || ''));
+    const describe = (code, action) => ({
+        code,
+        label: code === 'passed-both' ? 'Passed both chambers' : STATUS_RULES.find(rule => rule.code === code).label,
+        date: action ? action.date : null
+    });
+
+    if (laws.length) return describe('became-law', matched('became-law'));
+    for (const code of ['became-law', 'vetoed', 'to-president']) {
+        const action = matched(code);
+        if (action) return describe(code, action);
+    }
+
+    const house = matched('passed-house');
+    const senate = matched('passed-senate');
+    if (house && senate) return describe('passed-both', house.date > senate.date ? house : senate);
+    if (house || senate) return describe(house ? 'passed-house' : 'passed-senate', house || senate);
+
+    for (const code of ['failed', 'reported', 'in-committee']) {
+        const action = matched(code);
+        if (action) return describe(code, action);
+    }
+    return describe('introduced', actions[0] || null);
+}
+
+// Status from a bill's latest action alone, for member bill lists where
+// fetching every timeline would be too many requests
+function statusFromLatestAction(latestAction) {
+    if (!latestAction || !latestAction.text) return { code: 'introduced', label: 'Introduced', date: null };
+    const rule = STATUS_RULES.find(r => r.pattern.test(latestAction.text)) || STATUS_RULES[STATUS_RULES.length - 1];
+    return { code: rule.code, label: rule.label, date: latestAction.actionDate || null };
+}
+
+// Registry member for a sponsor or cosponsor, when the tracker knows them
+async function linkMember(person) {
+    let legislator = null;
+    try {
+        legislator = person.bioguideId ? await findLegislator(person.bioguideId, 'bioguide') : null;
+    } catch (error) {
+        console.error(`Registry lookup for ${person.bioguideId} failed:`, error.message);
+    }
+    if (!legislator) return { ...person, member: null };
+    const member = toMember(legislator);
+    return {
+        ...person,
+        member: {
+            bioguideId: member.bioguideId,
+            name: member.name,
+            party: member.party,
+            chamber: member.chamber,
+            state: member.state,
+            district: member.district,
+            url: `/api/members/${member.bioguideId}`
+        }
+    };
+}
+
+// Roll calls on a bill: the stored ones with their tallies, plus any the
+// action timeline mentions that haven't been ingested
+function relatedRollCalls(billId, actions) {
+    const stored = listRollCalls()
+        .filter(rc => rc.bill && rc.bill.billId === billId)
+        .map(rc => ({
+            id: rc.id,
+            chamber: rc.chamber,
+            congress: rc.congress,
+            session: rc.session,
+            number: rc.number,
+            date: rc.date,
+            question: rc.question,
+            result: rc.result,
+            totals: rc.totals,
+            stored: true
+        }));
+    const seen = new Set(stored.map(rc => rc.id));
+
+    actions.forEach(action => {
+        (action.recordedVotes || []).forEach(vote => {
+            const chamber = String(vote.chamber || '').toLowerCase();
+            const id = `${chamber}-${vote.congress}-${vote.sessionNumber}-${vote.rollNumber}`;
+            if (seen.has(id)) return;
+            seen.add(id);
+            stored.push({
+                id,
+                chamber,
+                congress: vote.congress,
+                session: vote.sessionNumber,
+                number: vote.rollNumber,
+                date: action.date,
+                question: null,
+                result: null,
+                totals: null,
+                url: vote.url || null,
+                stored: false
+            });
+        });
+    });
+
+    return stored.sort((a, b) => (a.date || '').localeCompare(b.date || '') || a.number - b.number);
+}
+
+// congress.gov URL segment for a bill type
+function billPathType(type) {
+    const names = {
+        hr: 'bill', s: 'bill',
+        hres: 'resolution', sres: 'resolution',
+        hjres: 'joint-resolution', sjres: 'joint-resolution',
+        hconres: 'concurrent-resolution', sconres: 'concurrent-resolution'
+    };
+    return names[type] || 'bill';
+}
+
+// Everything Congress.gov has on a bill, fetched together and stored as
+// one document
+async function loadBill(congress, type, number) {
+    const [bill, cosponsors, actions, committees, textVersions] = await Promise.all([
+        getBill(congress, type, number),
+        getBillCosponsors(congress, type, number),
+        getBillActions(congress, type, number),
+        getBillCommittees(congress, type, number),
+        getBillTextVersions(congress, type, number)
+    ]);
+    return { ...bill, cosponsors, actions, committees, textVersions };
+}
+
+// A bill with its sponsor and cosponsors linked to registry members, action
+// timeline, status, committees, roll calls and text versions
+async function getBillDetail(congress, type, number) {
+    const billId = formatBillId(type, number, congress);
+    const [bill, subjects] = await Promise.all([
+        storage.cached('bills', `detail:${billId}`, () => loadBill(congress, type, number)),
+        // Shared with the vote topic classifier
+        storage.cached('bills', `subjects:${billId}`, () => getBillSubjects(congress, type, number)).catch(error => {
+            console.error(`Bill subjects for ${billId} unavailable:`, error.message);
+            return null;
+        })
+    ]);
+
+    return {
+        ...bill,
+        billId,
+        subjects: subjects ? subjects.subjects : [],
+        status: deriveStatus(bill.actions, bill.laws),
+        sponsor: bill.sponsor ? await linkMember(bill.sponsor) : null,
+        cosponsors: await Promise.all(bill.cosponsors.map(linkMember)),
+        rollCalls: relatedRollCalls(billId, bill.actions),
+        url: `https://www.congress.gov/bill/${congressOrdinal(congress)}-congress/${type.startsWith('s') ? 'senate' : 'house'}-${billPathType(type)}/${number}`
+    };
+}
+
+// A member's sponsored and cosponsored legislation, newest first, each with
+// its status and a link to the bill route
+async function getMemberBills(bioguideId, { limit = 50 } = {}) {
+    const lists = await storage.cached('bills', `member:${bioguideId}|${limit}`, async () => {
+        const [sponsored, cosponsored] = await Promise.all([
+            getSponsoredLegislation(bioguideId, { limit }),
+            getCosponsoredLegislation(bioguideId, { limit })
+        ]);
+        return { sponsored, cosponsored };
+    });
+
+    const withStatus = item => ({
+        ...item,
+        status: statusFromLatestAction(item.latestAction),
+        // Amendments have no bill route
+        url: item.billId ? `/api/bills/${item.congress}/${String(item.type).toLowerCase()}/${item.number}` : null
+    });
+    return {
+        sponsored: lists.sponsored.map(withStatus),
+        cosponsored: lists.cosponsored.map(withStatus)
+    };
+}
+
+module.exports = {
+    STATUS_RULES,
+    deriveStatus,
+    statusFromLatestAction,
+    getBillDetail,
+    getMemberBills
+};
@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeState, normalizeDistrict } = require('./districts');
+
+// Size of a spatial index cell, in degrees
+const CELL_SIZE = 0.5;
+
+// Loaded district shapes: { state, district, rings: [[[lng, lat], ...]], bbox }
+const districts = [];
+// "ix,iy" -> Set of district indexes whose rings overlap the cell
+const grid = new Map();
+let boundaryInfo = { loaded: false, sources: [], districtCount: 0 };
+
+// Pull state and district out of the attribute names used by TIGER/Line,
+// Census cartographic boundary files and hand-made GeoJSON
+function readDistrictProperties(props) {
+    const keys = Object.keys(props || {});
+    const find = pattern => keys.find(k => pattern.test(k));
+
+    const stateKey = find(/^(statefp|statefp\d*|state|state_abbr|stab)$/i);
+    const districtKey = find(/^cd\d{3}fp$/i) || find(/^(district|cd|cdfp)$/i);
+    const geoidKey = find(/^geoid\d*$/i);
+
+    let state = stateKey ? normalizeState(String(props[stateKey]).trim()) : null;
+    let district = districtKey ? normalizeDistrict(String(props[districtKey]).trim()) : null;
+
+    if ((state === null || district === null) && geoidKey) {
+        const geoid = String(props[geoidKey]).trim();
+        if (/^\d{4}$/.test(geoid)) {
+            state = state || normalizeState(geoid.slice(0, 2));
+            district = district !== null ? district : normalizeDistrict(geoid.slice(2));
+        }
+    }
+
+    return { state, district };
+}
+
+function ringBbox(ring) {
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    ring.forEach(([x, y]) => {
+        if (x < bbox[0]) bbox[0] = x;
+        if (y < bbox[1]) bbox[1] = y;
+        if (x > bbox[2]) bbox[2] = x;
+        if (y > bbox[3]) bbox[3] = y;
+    });
+    return bbox;
+}
+
+function cellKey(ix, iy) {
+    return `${ix},${iy}`;
+}
+
+function addDistrict(state, district, rings, source) {
+    if (!state || district === null || rings.length === 0) return;
+
+    const index = districts.length;
+    const bboxes = rings.map(ringBbox);
+    districts.push({ state, district, rings, bboxes, source });
+
+    // Index each ring separately so far-flung islands don't blow up the grid
+    bboxes.forEach(bbox => {
+        for (let ix = Math.floor(bbox[0] / CELL_SIZE); ix <= Math.floor(bbox[2] / CELL_SIZE); ix++) {
+            for (let iy = Math.floor(bbox[1] / CELL_SIZE); iy <= Math.floor(bbox[3] / CELL_SIZE); iy++) {
+                const key = cellKey(ix, iy);
+                if (!grid.has(key)) grid.set(key, new Set());
+                grid.get(key).add(index);
+            }
+        }
+    });
+}
+
+// GeoJSON Feature/FeatureCollection with Polygon or MultiPolygon geometry
+function loadGeoJSON(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const features = data.type === 'FeatureCollection' ? data.features : [data];
+    let count = 0;
+
+    features.forEach(feature => {
+        if (!feature || !feature.geometry) return;
+        const { state, district } = readDistrictProperties(feature.properties);
+        const geometry = feature.geometry;
+        let rings = [];
+
+        if (geometry.type === 'Polygon') {
+            rings = geometry.coordinates;
+        } else if (geometry.type === 'MultiPolygon') {
+            geometry.coordinates.forEach(polygon => { rings = rings.concat(polygon); });
+        }
+
+        const before = districts.length;
+        addDistrict(state, district, rings, filePath);
+        count += districts.length - before;
+    });
+
+    return count;
+}
+
+// Read the attribute table of a shapefile
+function readDbf(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    const recordCount = buffer.readUInt32LE(4);
+    const headerLength = buffer.readUInt16LE(8);
+    const recordLength = buffer.readUInt16LE(10);
+
+    const fields = [];
+    for (let offset = 32; offset < headerLength - 1 && buffer[offset] !== 0x0D; offset += 32) {
+        fields.push({
+            name: buffer.toString('latin1', offset, offset + 11).replace(/\0.*$/, ''),
+            length: buffer[offset + 16]
+        });
+    }
+
+    const records = [];
+    for (let i = 0; i < recordCount; i++) {
+        let offset = headerLength + i * recordLength + 1; // skip deletion flag
+        const record = {};
+        fields.forEach(field => {
+            record[field.name] = buffer.toString('latin1', offset, offset + field.length).trim();
+            offset += field.length;
+        });
+        records.push(record);
+    }
+    return records;
+}
+
+// Polygon shapefiles (shape types 5, 15 and 25), paired with their .dbf
+function loadShapefile(filePath) {
+    const dbfPath = filePath.replace(/\.shp$/i, '.dbf');
+    if (!fs.existsSync(dbfPath)) {
+        console.warn(`Skipping ${filePath}: no matching .dbf attribute file`);
+        return 0;
+    }
+
+    const buffer = fs.readFileSync(filePath);
+    const attributes = readDbf(dbfPath);
+    const fileLength = buffer.readInt32BE(24) * 2;
+    let offset = 100;
+    let recordIndex = 0;
+    let count = 0;
+
+    while (offset < fileLength && offset + 8 <= buffer.length) {
+        const contentLength = buffer.readInt32BE(offset + 4) * 2;
+        const content = offset + 8;
+        const shapeType = buffer.readInt32LE(content);
+
+        if (shapeType === 5 || shapeType === 15 || shapeType === 25) {
+            const numParts = buffer.readInt32LE(content + 36);
+            const numPoints = buffer.readInt32LE(content + 40);
+            const partsStart = content + 44;
+            const pointsStart = partsStart + numParts * 4;
+
+            const rings = [];
+            for (let p = 0; p < numParts; p++) {
+                const first = buffer.readInt32LE(partsStart + p * 4);
+                const last = p + 1 < numParts ? buffer.readInt32LE(partsStart + (p + 1) * 4) : numPoints;
+                const ring = [];
+                for (let i = first; i < last; i++) {
+                    const pointOffset = pointsStart + i * 16;
+                    ring.push([buffer.readDoubleLE(pointOffset), buffer.readDoubleLE(pointOffset + 8)]);
+                }
+                rings.push(ring);
+            }
+
+            const { state, district } = readDistrictProperties(attributes[recordIndex]);
+            const before = districts.length;
+            addDistrict(state, district, rings, filePath);
+            count += districts.length - before;
+        }
+
+        recordIndex++;
+        offset = content + contentLength;
+    }
+
+    return count;
+}
+
+// Load district boundaries from a GeoJSON/shapefile, or every such file in
+// a directory (TIGER/Line ships one shapefile per state)
+function loadDistrictBoundaries(target) {
+    if (!target || !fs.existsSync(target)) {
+        console.warn(`District boundaries not found at ${target}; point lookups disabled`);
+        return getBoundaryInfo();
+    }
+
+    const files = fs.statSync(target).isDirectory()
+        ? fs.readdirSync(target).map(name => path.join(target, name))
+        : [target];
+
+    files.forEach(file => {
+        try {
+            let count = 0;
+            if (/\.(geo)?json$/i.test(file)) {
+                count = loadGeoJSON(file);
+            } else if (/\.shp$/i.test(file)) {
+                count = loadShapefile(file);
+            } else {
+                return;
+            }
+            boundaryInfo.sources.push(file);
+            console.log(`Loaded ${count} district boundaries from ${path.basename(file)}`);
+        } catch (error) {
+            console.error(`Error loading district boundaries from ${file}:`, error.message);
+        }
+    });
+
+    boundaryInfo.loaded = districts.length > 0;
+    boundaryInfo.districtCount = districts.length;
+    return getBoundaryInfo();
+}
+
+// Even-odd ray casting across every ring, so holes and multi-part
+// districts are handled without knowing ring orientation
+function pointInRings(lng, lat, rings) {
+    let inside = false;
+    rings.forEach(ring => {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > lat) !== (yj > lat) &&
+                lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+    });
+    return inside;
+}
+
+// District containing a coordinate, or null
+function findDistrictAtPoint(lat, lng) {
+    lat = Number(lat);
+    lng = Number(lng);
+    if (!isFinite(lat) || !isFinite(lng)) return null;
+
+    const cell = grid.get(cellKey(Math.floor(lng / CELL_SIZE), Math.floor(lat / CELL_SIZE)));
+    if (!cell) return null;
+
+    for (const index of cell) {
+        const shape = districts[index];
+        const inBbox = shape.bboxes.some(b => lng >= b[0] && lng <= b[2] && lat >= b[1] && lat <= b[3]);
+        if (inBbox && pointInRings(lng, lat, shape.rings)) {
+            return { state: shape.state, district: shape.district };
+        }
+    }
+    return null;
+}
+
+function getBoundaryInfo() {
+    return { ...boundaryInfo, sources: boundaryInfo.sources.slice() };
+}
+
+module.exports = {
+    loadDistrictBoundaries,
+    findDistrictAtPoint,
+    getBoundaryInfo
+};
@@ -0,0 +1,433 @@
+const fs = require('fs');
+const { XMLParser } = require('fast-xml-parser');
+const { CONFIG } = require('./config');
+const storage = require('./storage');
+const { upstreamFetch } = require('./upstream');
+const {
+    currentCongress,
+    congressOrdinal,
+    mapWithConcurrency,
+    getCommitteeMeetings,
+    getCommitteeMeeting
+} = require('./congressGov');
+const { parseBillReference } = require('./rollcalls');
+const { getMemberCommittees } = require('./committees');
+
+const DAY = 24 * 60 * 60 * 1000;
+// Meetings updated longer ago than this aren't fetched; anything upcoming
+// has been touched more recently
+const MEETING_UPDATE_WINDOW_DAYS = 90;
+const MEETING_CONCURRENCY = 5;
+// Congress.gov gives meetings a start time only
+const DEFAULT_MEETING_HOURS = 2;
+// Joint committees are listed under "nochamber"
+const MEETING_CHAMBERS = ['house', 'senate', 'nochamber'];
+const MAX_RANGE_DAYS = 180;
+
+const SENATE_FLOOR_URL = 'https://www.senate.gov/legislative/schedule/floor_schedule.htm';
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    parseTagValue: false,
+    trimValues: true
+});
+
+// Session and recess periods from SESSION_CALENDAR_PATH
+let sessionCalendar = null;
+let sessionCalendarInfo = { loaded: false, path: null, periods: 0 };
+
+const isoDate = date => date.toISOString().slice(0, 10);
+const addDays = (date, days) => new Date(date.getTime() + days * DAY);
+
+// Monday of the week containing a date, at midnight UTC
+function weekStart(date) {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    return addDays(day, -((day.getUTCDay() + 6) % 7));
+}
+
+// Congress.gov system codes ("hsag00", "hsag15") to the thomas IDs the
+// committee rosters use ("HSAG", "HSAG15")
+function committeeIdFromCode(code) {
+    const upper = String(code || '').toUpperCase();
+    return upper.endsWith('00') ? upper.slice(0, -2) : upper;
+}
+
+// Published chamber calendars: which weeks each chamber sits and its
+// recesses. Format:
+// { "periods": [{ "chamber": "house|senate|both", "type": "session|recess",
+//                 "start": "2025-08-04", "end": "2025-09-01", "title": "..." }] }
+function loadSessionCalendar(filePath) {
+    sessionCalendar = null;
+    sessionCalendarInfo = { loaded: false, path: filePath, periods: 0 };
+    if (!filePath || !fs.existsSync(filePath)) {
+        console.warn(`Session calendar not found at ${filePath}; recesses will be estimated`);
+        return sessionCalendarInfo;
+    }
+
+    try {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const periods = (data.periods || []).filter(p => {
+            const valid = ['house', 'senate', 'both'].includes(p.chamber) && ['session', 'recess'].includes(p.type)
+                && /^\d{4}-\d{2}-\d{2}$/.test(p.start) && /^\d{4}-\d{2}-\d{2}$/.test(p.end) && p.start <= p.end;
+            if (!valid) console.warn(`Session calendar: skipping invalid period ${JSON.stringify(p)}`);
+            return valid;
+        });
+        sessionCalendar = { source: data.source || null, periods };
+        sessionCalendarInfo = { loaded: true, path: filePath, periods: periods.length, source: sessionCalendar.source };
+        console.log(`Loaded session calendar: ${periods.length} periods from ${filePath}`);
+    } catch (error) {
+        console.error(`Session calendar ${filePath} unusable:`, error.message);
+    }
+    return sessionCalendarInfo;
+}
+
+function getSessionCalendarInfo() {
+    return sessionCalendarInfo;
+}
+
+// Recesses for a chamber overlapping a date range. Without a session
+// calendar, the August recess and winter holidays are assumed (the same
+// rule the roll-call sync uses) and flagged as estimated.
+function recessPeriods(chamber, from, to) {
+    const overlaps = p => p.start <= isoDate(to) && p.end >= isoDate(from);
+    if (sessionCalendar) {
+        return sessionCalendar.periods
+            .filter(p => p.type === 'recess' && (p.chamber === chamber || p.chamber === 'both') && overlaps(p))
+            .map(p => ({ ...p, estimated: false }));
+    }
+
+    const periods = [];
+    for (let year = from.getUTCFullYear() - 1; year <= to.getUTCFullYear(); year++) {
+        periods.push(
+            { start: `${year}-08-01`, end: `${year}-08-31`, title: 'August recess', estimated: true },
+            { start: `${year}-12-22`, end: `${year + 1}-01-02`, title: 'Holiday recess', estimated: true }
+        );
+    }
+    return periods.filter(overlaps).map(p => ({ ...p, chamber, type: 'recess' }));
+}
+
+// Is the chamber expected to sit at some point in the week starting Monday?
+function sitsInWeek(chamber, monday, recesses) {
+    const weekdays = [0, 1, 2, 3, 4].map(offset => isoDate(addDays(monday, offset)));
+    const free = weekdays.filter(day => !recesses.some(r => r.start <= day && r.end >= day));
+    if (!free.length) return false;
+    if (!sessionCalendar) return true;
+
+    const sessions = sessionCalendar.periods.filter(p => p.type === 'session' && (p.chamber === chamber || p.chamber === 'both'));
+    // A calendar listing only recesses implies every other week is in session
+    return !sessions.length || sessions.some(p => free.some(day => p.start <= day && p.end >= day));
+}
+
+// Items in a docs.house.gov weekly floor schedule: <floor-item> entries
+// grouped by category (suspensions, bills under a rule, ...)
+function parseHouseFloorSchedule(xml, congress) {
+    const doc = parser.parse(xml).floorschedule;
+    if (!doc) throw new Error('Not a House floor schedule document');
+
+    const asArray = value => (value === undefined || value === '' ? [] : [].concat(value));
+    const text = value => (value && typeof value === 'object' ? value['#text'] : value) || null;
+    const categories = asArray(doc.category);
+
+    const items = [];
+    (categories.length ? categories : [doc]).forEach(group => {
+        asArray(group['floor-items']).forEach(list => asArray(list['floor-item']).forEach(item => {
+            const number = text(item['legis-num']);
+            const bill = parseBillReference(number, congress);
+            items.push({
+                number,
+                billId: bill ? bill.billId : null,
+                title: text(item['floor-text']),
+                category: group.type || null
+            });
+        }));
+    });
+
+    return { weekOf: doc['week-date'] || null, updated: doc['update-date'] || null, items };
+}
+
+// The House floor schedule for the week starting Monday. Weeks the
+// Majority Leader hasn't published come back with published: false.
+async function fetchHouseFloorWeek(monday) {
+    const stamp = isoDate(monday).replace(/-/g, '');
+    const url = `${CONFIG.HOUSE_FLOOR_URL}/${stamp}/${stamp}.xml`;
+    const xml = await upstreamFetch('houseFloor', url, { type: 'text', notFound: '' });
+    // A week that isn't out yet is a 404 or an HTML page, not an error
+    if (!xml.includes('<floorschedule')) return { weekOf: isoDate(monday), published: false, items: [], url: null };
+    const schedule = parseHouseFloorSchedule(xml, currentCongress(monday).congress);
+    return { ...schedule, weekOf: isoDate(monday), published: true, url };
+}
+
+function houseFloorKey(monday) {
+    return `house-floor:${isoDate(monday).replace(/-/g, '')}`;
+}
+
+function loadHouseFloorWeek(monday) {
+    return storage.cached('calendar', houseFloorKey(monday), () => fetchHouseFloorWeek(monday));
+}
+
+function meetingUrl(meeting) {
+    const chamber = meeting.chamber === 'senate' ? 'senate' : 'house';
+    return `https://www.congress.gov/event/${congressOrdinal(meeting.congress)}-congress/${chamber}-event/${meeting.eventId}`;
+}
+
+// A Congress.gov committee meeting as a calendar event
+function meetingEvent(meeting) {
+    const { building, room, address } = meeting.location;
+    const committees = meeting.committees.map(c => ({ id: committeeIdFromCode(c.systemCode), name: c.name }));
+    const type = String(meeting.type).toLowerCase();
+    return {
+        id: `meeting-${meeting.chamber}-${meeting.eventId}`,
+        type: ['hearing', 'markup'].includes(type) ? type : 'meeting',
+        title: committees.length ? `${committees[0].name}: ${meeting.title || meeting.type}` : (meeting.title || meeting.type),
+        start: meeting.date,
+        end: meeting.date ? new Date(new Date(meeting.date).getTime() + DEFAULT_MEETING_HOURS * 60 * 60 * 1000).toISOString().replace(/\.000Z$/, 'Z') : null,
+        allDay: false,
+        chamber: meeting.chamber === 'nochamber' ? 'joint' : meeting.chamber,
+        location: [room, building].filter(Boolean).join(', ') || address || null,
+        committees,
+        status: meeting.status ? meeting.status.toLowerCase() : 'scheduled',
+        bills: meeting.bills,
+        documents: meeting.documents,
+        url: meetingUrl(meeting),
+        description: meeting.title,
+        source: 'congress.gov'
+    };
+}
+
+// Recently updated committee meetings in one chamber. Each meeting's
+// detail is stored by its update time, so only changed meetings are
+// fetched again.
+async function loadCommitteeMeetings(congress, chamber) {
+    const since = addDays(new Date(), -MEETING_UPDATE_WINDOW_DAYS);
+    const listed = await getCommitteeMeetings(congress, chamber, { updatedSince: since });
+
+    const meetings = await mapWithConcurrency(listed, MEETING_CONCURRENCY, async item => {
+        try {
+            return await storage.cached('calendar', `meeting:${chamber}:${item.eventId}:${item.updateDate}`,
+                () => getCommitteeMeeting(congress, chamber, item.eventId));
+        } catch (error) {
+            console.error(`Committee meeting ${chamber} ${item.eventId} unavailable:`, error.message);
+            return null;
+        }
+    });
+    return meetings.filter(m => m && m.date).map(meetingEvent);
+}
+
+function getCommitteeCalendar(congress, chamber) {
+    return storage.cached('calendar', `meetings:${congress}:${chamber}`, () => loadCommitteeMeetings(congress, chamber));
+}
+
+// Floor weeks and recesses for one chamber in a date range
+async function floorEvents(chamber, from, to, sources) {
+    const recesses = recessPeriods(chamber, from, to);
+    const label = chamber === 'house' ? 'House' : 'Senate';
+    const events = recesses.map(period => ({
+        id: `recess-${chamber}-${period.start}`,
+        type: 'recess',
+        title: period.title || `${label} recess`,
+        start: period.start,
+        end: period.end,
+        allDay: true,
+        chamber,
+        location: null,
+        status: period.estimated ? 'estimated' : 'scheduled',
+        url: null,
+        description: period.estimated ? 'Estimated; no published session calendar is loaded' : null,
+        source: period.estimated ? 'estimate' : 'session calendar'
+    }));
+
+    // Floor schedules are published a week at a time, so only recent and
+    // upcoming weeks are worth asking for
+    const thisWeek = weekStart(new Date());
+    for (let monday = weekStart(from); monday <= to; monday = addDays(monday, 7)) {
+        if (!sitsInWeek(chamber, monday, recesses)) continue;
+
+        let schedule = null;
+        if (chamber === 'house' && monday >= addDays(thisWeek, -7) && monday <= addDays(thisWeek, 7)) {
+            try {
+                schedule = await loadHouseFloorWeek(monday);
+                sources.houseFloor = 'ok';
+            } catch (error) {
+                console.error(`House floor schedule for ${isoDate(monday)} unavailable:`, error.message);
+                sources.houseFloor = `error: ${error.message}`;
+            }
+        }
+
+        const published = !!(schedule && schedule.published);
+        events.push({
+            id: `floor-${chamber}-${isoDate(monday)}`,
+            type: 'floor',
+            title: `${label} floor: week of ${isoDate(monday)}`,
+            start: isoDate(monday),
+            end: isoDate(addDays(monday, 4)),
+            allDay: true,
+            chamber,
+            location: `U.S. Capitol, ${label} Chamber`,
+            status: published || sessionCalendar ? 'scheduled' : 'estimated',
+            items: published ? schedule.items : [],
+            url: published ? `https://docs.house.gov/floor/Default.aspx?date=${isoDate(monday)}` : (chamber === 'senate' ? SENATE_FLOOR_URL : null),
+            description: published && schedule.items.length
+                ? `Scheduled for consideration:\n${schedule.items.map(item => `${item.number}: ${item.title}`).join('\n')}`
+                : null,
+            source: published ? 'docs.house.gov' : sessionCalendar ? 'session calendar' : 'estimate'
+        });
+    }
+    return events;
+}
+
+// Date range from ?from= and ?to= (YYYY-MM-DD), by default a week back to
+// two months ahead. Returns null when invalid.
+function parseRange(fromValue, toValue, { daysBack = 7, daysAhead = 60, now = new Date() } = {}) {
+    const parse = value => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : null);
+    const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const from = fromValue ? parse(fromValue) : addDays(today, -daysBack);
+    const to = toValue ? parse(toValue) : addDays(today, daysAhead);
+    if (!from || !to || isNaN(from) || isNaN(to) || to < from || to - from > MAX_RANGE_DAYS * DAY) return null;
+    return { from, to };
+}
+
+function inRange(event, from, to) {
+    const start = event.start.slice(0, 10);
+    return start <= isoDate(to) && (event.end || event.start).slice(0, 10) >= isoDate(from);
+}
+
+// Meetings held by any of the given committees or subcommittees, from the
+// Congress.gov calendars of the given chambers (house, senate, nochamber)
+async function getCommitteeEvents(committeeIds, chambers, { from, to }) {
+    const ids = new Set(committeeIds);
+    const congresses = Array.from(new Set([currentCongress(from).congress, currentCongress(to).congress]));
+    const lists = await Promise.all(congresses.flatMap(congress =>
+        chambers.map(chamber => getCommitteeCalendar(congress, chamber))));
+    return lists.flat()
+        .filter(event => inRange(event, from, to) && event.committees.some(c => ids.has(c.id)))
+        .sort((a, b) => a.start.localeCompare(b.start) || a.id.localeCompare(b.id));
+}
+
+// A member's calendar: meetings of their committees and subcommittees,
+// their chamber's floor weeks, and its recesses. `sources` says where each
+// part came from, or why it's missing.
+async function getMemberCalendar(member, { from, to }) {
+    const sources = {
+        committeeMeetings: 'ok',
+        houseFloor: member.chamber === 'house' ? 'not fetched for these weeks' : 'n/a',
+        sessionCalendar: sessionCalendar ? 'loaded' : 'estimated'
+    };
+
+    let meetings = [];
+    if (!CONFIG.CONGRESS_API_KEY) {
+        sources.committeeMeetings = 'unavailable: Congress.gov API key not configured';
+    } else {
+        try {
+            const seats = await getMemberCommittees(member.bioguideId);
+            meetings = await getCommitteeEvents(seats.map(seat => seat.id), [member.chamber, 'nochamber'], { from, to });
+        } catch (error) {
+            console.error(`Committee meetings for ${member.bioguideId} unavailable:`, error.message);
+            sources.committeeMeetings = `error: ${error.message}`;
+        }
+    }
+
+    const floor = await floorEvents(member.chamber, from, to, sources);
+    const events = [...meetings, ...floor]
+        .filter(event => inRange(event, from, to))
+        .sort((a, b) => a.start.localeCompare(b.start) || a.id.localeCompare(b.id));
+    return { from: isoDate(from), to: isoDate(to), events, sources };
+}
+
+// Refresh committee meetings and this week's and next week's House floor
+// schedules, for the calendar job
+async function syncCalendar() {
+    const { congress } = currentCongress();
+    const result = { meetings: {}, houseFloorWeeks: 0 };
+
+    if (CONFIG.CONGRESS_API_KEY) {
+        for (const chamber of MEETING_CHAMBERS) {
+            const events = await storage.refresh('calendar', `meetings:${congress}:${chamber}`,
+                () => loadCommitteeMeetings(congress, chamber));
+            result.meetings[chamber] = events.length;
+        }
+    }
+
+    const thisWeek = weekStart(new Date());
+    for (const monday of [thisWeek, addDays(thisWeek, 7)]) {
+        const schedule = await storage.refresh('calendar', houseFloorKey(monday), () => fetchHouseFloorWeek(monday));
+        if (schedule.published) result.houseFloorWeeks++;
+    }
+    return result;
+}
+
+// iCalendar (RFC 5545) text: escape the special characters, and fold lines
+// at 75 octets
+function icsText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function foldLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let start = 0;
+    while (start < bytes.length) {
+        let end = Math.min(start + (start === 0 ? 75 : 74), bytes.length);
+        // Don't split a multi-byte character
+        while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+        parts.push(bytes.slice(start, end).toString('utf8'));
+        start = end;
+    }
+    return parts.join('\r\n ');
+}
+
+const icsDateTime = iso => new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const icsDate = day => day.slice(0, 10).replace(/-/g, '');
+
+function toICalendar(events, { name, description = null }) {
+    const stamp = icsDateTime(new Date().toISOString());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Congressional Tracker//Member Calendar//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${icsText(name)}`,
+        description ? `X-WR-CALDESC:${icsText(description)}` : null,
+        `REFRESH-INTERVAL;VALUE=DURATION:PT${CONFIG.CALENDAR_SYNC_HOURS}H`,
+        `X-PUBLISHED-TTL:PT${CONFIG.CALENDAR_SYNC_HOURS}H`
+    ];
+
+    events.forEach(event => {
+        const details = [event.description, event.url].filter(Boolean).join('\n\n');
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.id}@congressional-tracker`,
+            `DTSTAMP:${stamp}`,
+            // All-day events end the day after their last day
+            ...(event.allDay
+                ? [`DTSTART;VALUE=DATE:${icsDate(event.start)}`, `DTEND;VALUE=DATE:${icsDate(isoDate(addDays(new Date(`${(event.end || event.start).slice(0, 10)}T00:00:00Z`), 1)))}`]
+                : [`DTSTART:${icsDateTime(event.start)}`, event.end ? `DTEND:${icsDateTime(event.end)}` : null]),
+            `SUMMARY:${icsText(event.title)}`,
+            event.location ? `LOCATION:${icsText(event.location)}` : null,
+            details ? `DESCRIPTION:${icsText(details)}` : null,
+            event.url ? `URL:${event.url}` : null,
+            `CATEGORIES:${icsText(event.type.toUpperCase())}`,
+            `STATUS:${event.status === 'canceled' || event.status === 'cancelled' ? 'CANCELLED' : event.status === 'estimated' || event.status === 'postponed' ? 'TENTATIVE' : 'CONFIRMED'}`,
+            event.allDay ? 'TRANSP:TRANSPARENT' : null,
+            'END:VEVENT'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.filter(Boolean).map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    committeeIdFromCode,
+    loadSessionCalendar,
+    getSessionCalendarInfo,
+    parseHouseFloorSchedule,
+    parseRange,
+    getCommitteeEvents,
+    getMemberCalendar,
+    syncCalendar,
+    toICalendar
+};
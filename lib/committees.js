@@ -0,0 +1,213 @@
+const { fetchDataset, getCurrentLegislators } = require('./legislators');
+const storage = require('./storage');
+
+let committeeData = null;
+let loadedAt = 0;
+let loading = null;
+
+function buildCommitteeData(committees, membership) {
+    // thomas ID -> committee or subcommittee
+    const byId = new Map();
+
+    committees.forEach(committee => {
+        byId.set(committee.thomas_id, {
+            id: committee.thomas_id,
+            name: committee.name,
+            chamber: committee.type,
+            url: committee.url || null,
+            minorityUrl: committee.minority_url || null,
+            jurisdiction: committee.jurisdiction || null,
+            address: committee.address || null,
+            phone: committee.phone || null,
+            parentId: null,
+            subcommittees: (committee.subcommittees || []).map(sub => committee.thomas_id + sub.thomas_id)
+        });
+
+        (committee.subcommittees || []).forEach(sub => {
+            byId.set(committee.thomas_id + sub.thomas_id, {
+                id: committee.thomas_id + sub.thomas_id,
+                name: sub.name,
+                chamber: committee.type,
+                url: null,
+                minorityUrl: null,
+                jurisdiction: null,
+                address: sub.address || null,
+                phone: sub.phone || null,
+                parentId: committee.thomas_id,
+                subcommittees: []
+            });
+        });
+    });
+
+    // bioguide -> [{ committeeId, rank, title, party }]
+    const byMember = new Map();
+    Object.keys(membership).forEach(committeeId => {
+        membership[committeeId].forEach(seat => {
+            if (!seat.bioguide) return;
+            if (!byMember.has(seat.bioguide)) byMember.set(seat.bioguide, []);
+            byMember.get(seat.bioguide).push({
+                committeeId,
+                rank: seat.rank || null,
+                title: seat.title || null,
+                party: seat.party || null
+            });
+        });
+    });
+
+    return { byId, byMember, membership };
+}
+
+// Load (or refresh) committees and current membership
+async function loadCommittees(force = false) {
+    if (!force && committeeData && Date.now() - loadedAt < storage.getTtl('legislators')) {
+        return committeeData;
+    }
+    if (loading) return loading;
+
+    loading = (async () => {
+        try {
+            const [committees, membership] = await Promise.all([
+                fetchDataset('committees-current.json', { refresh: force }),
+                fetchDataset('committee-membership-current.json', { refresh: force })
+            ]);
+            committeeData = buildCommitteeData(committees, membership);
+            loadedAt = Date.now();
+            console.log(`Loaded ${committeeData.byId.size} committees and subcommittees`);
+            return committeeData;
+        } catch (error) {
+            if (committeeData && !force) {
+                console.error('Committee refresh failed:', error.message);
+                return committeeData;
+            }
+            throw error;
+        } finally {
+            loading = null;
+        }
+    })();
+
+    return loading;
+}
+
+// Committee and subcommittee seats held by a member
+async function getMemberCommittees(bioguideId) {
+    const { byId, byMember } = await loadCommittees();
+    const seats = byMember.get(bioguideId) || [];
+
+    return seats.map(seat => {
+        const committee = byId.get(seat.committeeId) || { name: seat.committeeId, chamber: null, parentId: null };
+        const parent = committee.parentId ? byId.get(committee.parentId) : null;
+        return {
+            id: seat.committeeId,
+            name: committee.name,
+            chamber: committee.chamber,
+            parentId: committee.parentId,
+            parentName: parent ? parent.name : null,
+            isSubcommittee: !!committee.parentId,
+            rank: seat.rank,
+            title: seat.title,
+            side: seat.party
+        };
+    }).sort((a, b) => (a.parentId || a.id).localeCompare(b.parentId || b.id) || (a.isSubcommittee - b.isSubcommittee));
+}
+
+// Chairs and ranking members carry a title in the membership data
+const isChair = seat => /^(chair|chairman|chairwoman)$/i.test(seat.title || '');
+const isRankingMember = seat => /^ranking member$/i.test(seat.title || '');
+
+function seatSummary(seat) {
+    return seat ? { bioguideId: seat.bioguide, name: seat.name, title: seat.title } : null;
+}
+
+// Full committees, optionally for one chamber (house, senate or joint),
+// with their leaders and subcommittees
+async function listCommittees({ chamber = null } = {}) {
+    const { byId, membership } = await loadCommittees();
+    const seats = id => membership[id] || [];
+
+    return Array.from(byId.values())
+        .filter(committee => !committee.parentId && (!chamber || committee.chamber === chamber))
+        .map(committee => ({
+            id: committee.id,
+            name: committee.name,
+            chamber: committee.chamber,
+            url: committee.url,
+            memberCount: seats(committee.id).length,
+            chair: seatSummary(seats(committee.id).find(isChair)),
+            rankingMember: seatSummary(seats(committee.id).find(isRankingMember)),
+            subcommittees: committee.subcommittees.map(id => ({
+                id,
+                name: byId.get(id).name,
+                memberCount: seats(id).length
+            }))
+        }))
+        .sort((a, b) => a.chamber.localeCompare(b.chamber) || a.name.localeCompare(b.name));
+}
+
+// One committee or subcommittee with its roster: majority first, then by
+// rank. Null for an unknown ID.
+async function getCommittee(id) {
+    const { byId, membership } = await loadCommittees();
+    const committee = byId.get(String(id).toUpperCase());
+    if (!committee) return null;
+
+    const legislators = new Map((await getCurrentLegislators()).map(leg => [leg.id.bioguide, leg]));
+    const members = (membership[committee.id] || [])
+        .map(seat => {
+            const leg = legislators.get(seat.bioguide);
+            const term = leg ? leg.terms[leg.terms.length - 1] : null;
+            return {
+                bioguideId: seat.bioguide || null,
+                name: seat.name || (leg ? leg.name.official_full : null),
+                side: seat.party || null,
+                rank: seat.rank || null,
+                title: seat.title || null,
+                party: term ? term.party : null,
+                state: term ? term.state : null,
+                district: term && term.type === 'rep' ? term.district : null,
+                url: seat.bioguide ? `/api/members/${seat.bioguide}` : null
+            };
+        })
+        .sort((a, b) => (a.side === b.side ? 0 : a.side === 'majority' ? -1 : 1) || (a.rank || Infinity) - (b.rank || Infinity));
+
+    const parent = committee.parentId ? byId.get(committee.parentId) : null;
+    return {
+        ...committee,
+        parent: parent ? { id: parent.id, name: parent.name } : null,
+        subcommittees: committee.subcommittees.map(subId => ({
+            id: subId,
+            name: byId.get(subId).name,
+            memberCount: (membership[subId] || []).length
+        })),
+        memberCount: members.length,
+        leadership: members.filter(member => member.title),
+        members
+    };
+}
+
+// A member's seats grouped by full committee, for the representative cards
+async function getMemberCommitteeSummary(bioguideId) {
+    const seats = await getMemberCommittees(bioguideId);
+    const groups = new Map();
+
+    seats.forEach(seat => {
+        const parentId = seat.parentId || seat.id;
+        if (!groups.has(parentId)) {
+            groups.set(parentId, { id: parentId, name: seat.parentName || seat.name, title: null, rank: null, side: seat.side, subcommittees: [] });
+        }
+        const group = groups.get(parentId);
+        if (seat.isSubcommittee) {
+            group.subcommittees.push({ id: seat.id, name: seat.name, title: seat.title });
+        } else {
+            Object.assign(group, { name: seat.name, title: seat.title, rank: seat.rank, side: seat.side });
+        }
+    });
+    return Array.from(groups.values());
+}
+
+module.exports = {
+    loadCommittees,
+    listCommittees,
+    getCommittee,
+    getMemberCommittees,
+    getMemberCommitteeSummary
+};
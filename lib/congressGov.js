@@ -0,0 +1,333 @@
+const { CONFIG } = require('./config');
+const { upstreamFetch } = require('./upstream');
+
+// Number of roll calls whose member lists are fetched per lookup
+const DEFAULT_VOTE_LIMIT = 20;
+// Parallel requests when fetching roll-call member lists
+const VOTE_FETCH_CONCURRENCY = 5;
+// Items per page of a Congress.gov list (the API's maximum)
+const PAGE_SIZE = 250;
+// Pages read before a list is cut off; a guard against runaway paging,
+// far past any real bill or committee calendar
+const MAX_LIST_PAGES = 40;
+// Bill types that get a bill_id; nominations, quorum calls etc. don't
+const BILL_TYPES = ['hr', 's', 'hres', 'sres', 'hjres', 'sjres', 'hconres', 'sconres'];
+
+// Congress and session in effect on a date
+function currentCongress(date = new Date()) {
+    const year = date.getUTCFullYear();
+    return {
+        congress: Math.floor((year - 1789) / 2) + 1,
+        session: year % 2 === 1 ? 1 : 2
+    };
+}
+
+// Rough test for whether Congress is sitting: weekdays outside the August
+// recess and the winter holidays. Used to decide when polling for new
+// roll calls is worthwhile, not as a calendar.
+function isInSession(date = new Date()) {
+    const day = date.getUTCDay();
+    const month = date.getUTCMonth();
+    const dayOfMonth = date.getUTCDate();
+
+    if (day === 0 || day === 6) return false;
+    if (month === 7) return false;
+    if ((month === 11 && dayOfMonth >= 22) || (month === 0 && dayOfMonth <= 2)) return false;
+    return true;
+}
+
+// GET a Congress.gov API v3 resource
+async function congressRequest(resourcePath, params = {}) {
+    if (!CONFIG.CONGRESS_API_KEY) {
+        throw new Error('Congress.gov API key not configured');
+    }
+
+    const query = new URLSearchParams({ ...params, format: 'json', api_key: CONFIG.CONGRESS_API_KEY });
+    return upstreamFetch('congress', `${CONFIG.CONGRESS_API_BASE_URL}${resourcePath}?${query}`);
+}
+
+// Every item of a paged Congress.gov list. Pages are requested by offset
+// for as long as the response has a pagination.next link.
+async function congressList(resourcePath, listKey, params = {}) {
+    const items = [];
+    for (let page = 0; page < MAX_LIST_PAGES; page++) {
+        const data = await congressRequest(resourcePath, { ...params, limit: PAGE_SIZE, offset: page * PAGE_SIZE });
+        items.push(...(data[listKey] || []));
+        if (!(data.pagination && data.pagination.next)) return items;
+    }
+    console.error(`Congress.gov list ${resourcePath} cut off after ${MAX_LIST_PAGES} pages`);
+    return items;
+}
+
+// "HR" + "1234" + 119 -> "hr1234-119", the bill_id format getVotingRecord uses
+function formatBillId(type, number, congress) {
+    if (!type || !number) return null;
+    return `${String(type).toLowerCase().replace(/\./g, '')}${number}-${congress}`;
+}
+
+// 119 -> "119th", 101 -> "101st", 112 -> "112th", as in congress.gov URLs
+function congressOrdinal(congress) {
+    const n = Number(congress);
+    const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return `${n}${suffix}`;
+}
+
+// "hr1234-119" -> { type: 'hr', number: '1234', congress: 119 }
+function parseBillId(billId) {
+    const match = String(billId || '').match(/^([a-z]+)(\d+)-(\d+)$/);
+    return match ? { type: match[1], number: match[2], congress: parseInt(match[3], 10) } : null;
+}
+
+// Run async work over items with limited parallelism
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+    await Promise.all(runners);
+    return results;
+}
+
+// Recent House roll calls with the member's position on each. Congress.gov
+// only publishes House roll calls, so Senate members get null and the caller
+// falls back to another source.
+async function getMemberVotes(member, { limit = DEFAULT_VOTE_LIMIT } = {}) {
+    if (member.chamber && member.chamber !== 'house') return null;
+
+    const { congress, session } = currentCongress();
+    let rollCalls = [];
+
+    // Early in a new session there may be only a handful of votes, so top
+    // up from the previous session of the same Congress
+    for (const sessionNumber of session === 2 ? [2, 1] : [1]) {
+        if (rollCalls.length >= limit) break;
+        const data = await congressRequest(`/house-vote/${congress}/${sessionNumber}`, {
+            limit: limit - rollCalls.length
+        });
+        rollCalls = rollCalls.concat(data.houseRollCallVotes || []);
+    }
+
+    const votes = await mapWithConcurrency(rollCalls, VOTE_FETCH_CONCURRENCY, async rollCall => {
+        const sessionNumber = rollCall.sessionNumber;
+        const rollNumber = rollCall.rollCallNumber;
+
+        try {
+            const data = await congressRequest(`/house-vote/${rollCall.congress}/${sessionNumber}/${rollNumber}/members`);
+            const details = data.houseRollCallVoteMemberVotes || {};
+            const memberVote = (details.results || []).find(r => r.bioguideID === member.bioguideId);
+            const billId = formatBillId(rollCall.legislationType, rollCall.legislationNumber, rollCall.congress);
+
+            return {
+                congress: rollCall.congress,
+                session: sessionNumber,
+                chamber: 'house',
+                roll_call: rollNumber,
+                date: (rollCall.startDate || '').split('T')[0],
+                question: details.voteQuestion || rollCall.voteType || 'Roll call vote',
+                description: details.voteQuestion || rollCall.voteType,
+                result: rollCall.result,
+                position: memberVote ? memberVote.voteCast : 'Not Voting',
+                bill: billId ? {
+                    bill_id: billId,
+                    title: null,
+                    type: rollCall.legislationType,
+                    number: rollCall.legislationNumber,
+                    url: rollCall.legislationUrl || null
+                } : null,
+                source: 'congress.gov'
+            };
+        } catch (error) {
+            console.error(`Congress.gov roll call ${rollNumber} error:`, error.message);
+            return null;
+        }
+    });
+
+    return votes.filter(Boolean);
+}
+
+function formatLegislation(item) {
+    return {
+        billId: formatBillId(item.type, item.number, item.congress),
+        congress: item.congress,
+        type: item.type || null,
+        number: item.number || null,
+        title: item.title || (item.amendmentNumber ? `Amendment ${item.amendmentNumber}` : null),
+        introducedDate: item.introducedDate || null,
+        policyArea: item.policyArea ? item.policyArea.name : null,
+        latestAction: item.latestAction || null,
+        url: item.url || null
+    };
+}
+
+// Bills the member sponsored, newest first
+async function getSponsoredLegislation(bioguideId, { limit = 50 } = {}) {
+    const data = await congressRequest(`/member/${bioguideId}/sponsored-legislation`, { limit });
+    return (data.sponsoredLegislation || []).map(formatLegislation);
+}
+
+// Bills the member cosponsored, newest first
+async function getCosponsoredLegislation(bioguideId, { limit = 50 } = {}) {
+    const data = await congressRequest(`/member/${bioguideId}/cosponsored-legislation`, { limit });
+    return (data.cosponsoredLegislation || []).map(formatLegislation);
+}
+
+// Action timeline for one bill, oldest first. Every page is read, so the
+// first action is the introduction even on bills with hundreds.
+async function getBillActions(congress, billType, billNumber) {
+    const actions = await congressList(`/bill/${congress}/${String(billType).toLowerCase()}/${billNumber}/actions`, 'actions');
+    return actions.map(action => ({
+        date: action.actionDate,
+        time: action.actionTime || null,
+        text: action.text,
+        type: action.type || null,
+        actionCode: action.actionCode || null,
+        chamber: action.sourceSystem ? action.sourceSystem.name : null,
+        recordedVotes: action.recordedVotes || []
+    })).reverse();
+}
+
+// One bill's summary record, with its sponsor
+async function getBill(congress, billType, billNumber) {
+    const data = await congressRequest(`/bill/${congress}/${String(billType).toLowerCase()}/${billNumber}`);
+    const bill = data.bill || {};
+    const sponsor = (bill.sponsors || [])[0];
+    return {
+        billId: formatBillId(bill.type || billType, bill.number || billNumber, congress),
+        congress,
+        type: bill.type || billType,
+        number: bill.number || billNumber,
+        title: bill.title || null,
+        introducedDate: bill.introducedDate || null,
+        policyArea: bill.policyArea ? bill.policyArea.name : null,
+        sponsor: sponsor ? {
+            bioguideId: sponsor.bioguideId,
+            name: sponsor.fullName || null,
+            party: sponsor.party || null,
+            state: sponsor.state || null
+        } : null,
+        cosponsorCount: bill.cosponsors ? bill.cosponsors.count : null,
+        latestAction: bill.latestAction || null,
+        laws: (bill.laws || []).map(law => ({ type: law.type, number: law.number }))
+    };
+}
+
+// A bill's cosponsors, with party, across every page. Withdrawn
+// cosponsors are flagged rather than dropped.
+async function getBillCosponsors(congress, billType, billNumber) {
+    const cosponsors = await congressList(`/bill/${congress}/${String(billType).toLowerCase()}/${billNumber}/cosponsors`, 'cosponsors');
+    return cosponsors.map(cosponsor => ({
+        bioguideId: cosponsor.bioguideId,
+        name: cosponsor.fullName || null,
+        party: cosponsor.party || null,
+        state: cosponsor.state || null,
+        original: !!cosponsor.isOriginalCosponsor,
+        sponsorshipDate: cosponsor.sponsorshipDate || null,
+        withdrawn: !!cosponsor.sponsorshipWithdrawnDate
+    }));
+}
+
+// Committees (and subcommittees) a bill was referred to, with what each
+// did with it
+async function getBillCommittees(congress, billType, billNumber) {
+    const data = await congressRequest(`/bill/${congress}/${String(billType).toLowerCase()}/${billNumber}/committees`, { limit: 250 });
+    const format = committee => ({
+        systemCode: committee.systemCode || null,
+        name: committee.name,
+        chamber: committee.chamber || null,
+        activities: (committee.activities || []).map(activity => ({ name: activity.name, date: activity.date || null }))
+    });
+    return (data.committees || []).map(committee => ({
+        ...format(committee),
+        subcommittees: (committee.subcommittees || []).map(format)
+    }));
+}
+
+// Published text versions of a bill, newest first, with a link per format
+async function getBillTextVersions(congress, billType, billNumber) {
+    const data = await congressRequest(`/bill/${congress}/${String(billType).toLowerCase()}/${billNumber}/text`, { limit: 250 });
+    return (data.textVersions || []).map(version => ({
+        type: version.type,
+        date: version.date || null,
+        formats: (version.formats || []).map(format => ({ type: format.type, url: format.url }))
+    }));
+}
+
+// Committee meetings in a chamber ("house", "senate" or "nochamber" for
+// joint committees), most recently updated first. updatedSince narrows
+// the list by update time, not meeting date; every page is read.
+async function getCommitteeMeetings(congress, chamber, { updatedSince = null } = {}) {
+    const params = {};
+    if (updatedSince) params.fromDateTime = updatedSince.toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const meetings = await congressList(`/committee-meeting/${congress}/${chamber}`, 'committeeMeetings', params);
+    return meetings.map(meeting => ({
+        eventId: String(meeting.eventId),
+        chamber: String(meeting.chamber || chamber).toLowerCase(),
+        updateDate: meeting.updateDate || null
+    }));
+}
+
+// One committee meeting: when, where, which committees and what's on it
+async function getCommitteeMeeting(congress, chamber, eventId) {
+    const data = await congressRequest(`/committee-meeting/${congress}/${chamber}/${eventId}`);
+    const meeting = data.committeeMeeting || {};
+    const location = meeting.location || {};
+    return {
+        eventId: String(meeting.eventId || eventId),
+        congress,
+        chamber: String(meeting.chamber || chamber).toLowerCase(),
+        title: meeting.title || null,
+        type: meeting.type || 'Meeting',
+        status: meeting.meetingStatus || null,
+        date: meeting.date || null,
+        location: {
+            building: location.building || null,
+            room: location.room || null,
+            address: location.address || null
+        },
+        committees: (meeting.committees || []).map(committee => ({
+            systemCode: committee.systemCode || null,
+            name: committee.name || null
+        })),
+        bills: ((meeting.relatedItems && meeting.relatedItems.bills) || [])
+            .map(bill => formatBillId(bill.type, bill.number, bill.congress || congress))
+            .filter(Boolean),
+        documents: (meeting.meetingDocuments || []).map(doc => ({ name: doc.name || doc.documentType || null, url: doc.url || null })),
+        videos: (meeting.videos || []).map(video => ({ name: video.name || null, url: video.url || null }))
+    };
+}
+
+// Policy area and legislative subjects CRS assigned to a bill
+async function getBillSubjects(congress, billType, billNumber) {
+    const data = await congressRequest(`/bill/${congress}/${String(billType).toLowerCase()}/${billNumber}/subjects`, { limit: 250 });
+    const subjects = data.subjects || {};
+    return {
+        policyArea: subjects.policyArea ? subjects.policyArea.name : null,
+        subjects: (subjects.legislativeSubjects || []).map(subject => subject.name)
+    };
+}
+
+module.exports = {
+    BILL_TYPES,
+    currentCongress,
+    isInSession,
+    congressRequest,
+    formatBillId,
+    parseBillId,
+    congressOrdinal,
+    mapWithConcurrency,
+    getMemberVotes,
+    getSponsoredLegislation,
+    getCosponsoredLegislation,
+    getBillActions,
+    getBill,
+    getBillCosponsors,
+    getBillCommittees,
+    getBillTextVersions,
+    getBillSubjects,
+    getCommitteeMeetings,
+    getCommitteeMeeting
+};
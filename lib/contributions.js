@@ -0,0 +1,156 @@
+const { CONFIG } = require('./config');
+const { fetchKeysetPages, getPrincipalCommittees } = require('./fec');
+const { lookupZip } = require('./districts');
+
+// Contributor entity types that are committees rather than people
+const COMMITTEE_TYPES = ['PAC', 'COM', 'PTY', 'CCM', 'ORG'];
+// Employer/occupation placeholders that mean the donor didn't say
+const NOT_REPORTED = /^(information requested( per best efforts)?|requested|n\/?a|none|not employed|unknown|-|)$/i;
+
+// Itemized receipts for a committee in a cycle, largest first
+function getScheduleA(committeeId, cycle, maxPages) {
+    return fetchKeysetPages('/schedules/schedule_a/', {
+        committee_id: committeeId,
+        two_year_transaction_period: cycle,
+        sort: '-contribution_receipt_amount'
+    }, { maxPages });
+}
+
+// Counts and totals keyed by label
+function createTally() {
+    const entries = new Map();
+    return {
+        add(key, amount, extra = {}) {
+            if (!entries.has(key)) entries.set(key, { name: key, total: 0, count: 0, ...extra });
+            const entry = entries.get(key);
+            entry.total += amount;
+            entry.count++;
+        },
+        top(limit) {
+            return Array.from(entries.values())
+                .map(entry => ({ ...entry, total: Math.round(entry.total * 100) / 100 }))
+                .sort((a, b) => b.total - a.total)
+                .slice(0, limit);
+        }
+    };
+}
+
+function reportedValue(value) {
+    const text = (value || '').trim().toUpperCase();
+    return NOT_REPORTED.test(text) ? 'Not reported' : text;
+}
+
+// Memo entries repeat money counted elsewhere (e.g. earmarked conduit
+// contributions), so they are left out of the totals
+function isMemo(receipt) {
+    return receipt.memo_code === 'X' || receipt.memoed_subtotal === true;
+}
+
+// Split an individual's contribution between in-district, in-state and
+// out-of-state. A ZIP that spans districts counts toward the member's
+// district by its population share.
+function classifyGeography(receipt, legislator) {
+    const state = (receipt.contributor_state || '').toUpperCase();
+    if (!state || !legislator.state) return { unknown: 1 };
+    if (state !== legislator.state) return { outOfState: 1 };
+    if (legislator.district === null || legislator.district === undefined) return { inState: 1 };
+
+    const candidates = lookupZip((receipt.contributor_zip || '').slice(0, 5));
+    if (!candidates.length) return { inState: 1 };
+    const match = candidates.find(c => c.state === state && c.district === legislator.district);
+    const weight = match ? match.weight : 0;
+    return { inDistrict: weight, inState: 1 - weight };
+}
+
+// Page through Schedule A for a candidate's principal committees and
+// aggregate itemized receipts. Pages are fetched largest receipt first,
+// so when the page budget or a rate limit cuts the walk short the top
+// lists still reflect the biggest donors; `complete` says whether every
+// receipt was counted. `match` is the candidate match from fecCandidates.
+async function getContributionBreakdown(legislator, match, cycle, { limit = 10, maxPages = CONFIG.FEC_MAX_PAGES } = {}) {
+    const { candidateId } = match;
+    const committees = match.committees && match.committees.length
+        ? match.committees
+        : await getPrincipalCommittees(candidateId, cycle);
+
+    const byEmployer = createTally();
+    const byOccupation = createTally();
+    const byState = createTally();
+    const byCommittee = createTally();
+    const geography = { inDistrict: 0, inState: 0, outOfState: 0, unknown: 0 };
+    const totals = { individuals: 0, committees: 0 };
+    let receiptsCounted = 0;
+    let receiptsAvailable = 0;
+    let pagesFetched = 0;
+    let complete = true;
+    let rateLimited = false;
+
+    for (const committee of committees) {
+        const walk = await getScheduleA(committee.id, cycle, maxPages - pagesFetched);
+        pagesFetched += walk.pagesFetched;
+        receiptsAvailable += walk.total || 0;
+        complete = complete && walk.complete;
+        rateLimited = rateLimited || walk.rateLimited;
+
+        walk.results.filter(receipt => !isMemo(receipt)).forEach(receipt => {
+            const amount = receipt.contribution_receipt_amount || 0;
+            receiptsCounted++;
+
+            if (COMMITTEE_TYPES.includes(receipt.entity_type)) {
+                totals.committees += amount;
+                byCommittee.add(receipt.contributor_name || 'Unnamed committee', amount, {
+                    committeeId: receipt.contributor_id || null,
+                    entityType: receipt.entity_type
+                });
+                return;
+            }
+
+            totals.individuals += amount;
+            byEmployer.add(reportedValue(receipt.contributor_employer), amount);
+            byOccupation.add(reportedValue(receipt.contributor_occupation), amount);
+            byState.add((receipt.contributor_state || 'Unknown').toUpperCase(), amount);
+
+            const split = classifyGeography(receipt, legislator);
+            Object.keys(split).forEach(area => { geography[area] += amount * split[area]; });
+        });
+
+        if (rateLimited) break;
+    }
+
+    const individualTotal = totals.individuals;
+    const share = amount => ({
+        total: Math.round(amount * 100) / 100,
+        percentage: individualTotal ? Math.round((amount / individualTotal) * 100) : 0
+    });
+
+    return {
+        candidateId,
+        cycle,
+        committees,
+        complete,
+        rateLimited,
+        pagesFetched,
+        receiptsCounted,
+        receiptsAvailable,
+        totals: {
+            individuals: Math.round(totals.individuals * 100) / 100,
+            committees: Math.round(totals.committees * 100) / 100
+        },
+        // No home state to compare against for a bare name lookup
+        geography: !legislator.state ? null : {
+            inDistrict: legislator.district === null || legislator.district === undefined ? null : share(geography.inDistrict),
+            inState: share(geography.inState),
+            outOfState: share(geography.outOfState),
+            unknown: share(geography.unknown)
+        },
+        byEmployer: byEmployer.top(limit),
+        byOccupation: byOccupation.top(limit),
+        byState: byState.top(limit),
+        byCommittee: byCommittee.top(limit)
+    };
+}
+
+module.exports = {
+    getScheduleA,
+    getContributionBreakdown
+};
@@ -0,0 +1,230 @@
+const fs = require('fs');
+
+// State FIPS codes used by Census relationship files
+const STATE_FIPS = {
+    '01': 'AL', '02': 'AK', '04': 'AZ', '05': 'AR', '06': 'CA', '08': 'CO', '09': 'CT',
+    '10': 'DE', '11': 'DC', '12': 'FL', '13': 'GA', '15': 'HI', '16': 'ID', '17': 'IL',
+    '18': 'IN', '19': 'IA', '20': 'KS', '21': 'KY', '22': 'LA', '23': 'ME', '24': 'MD',
+    '25': 'MA', '26': 'MI', '27': 'MN', '28': 'MS', '29': 'MO', '30': 'MT', '31': 'NE',
+    '32': 'NV', '33': 'NH', '34': 'NJ', '35': 'NM', '36': 'NY', '37': 'NC', '38': 'ND',
+    '39': 'OH', '40': 'OK', '41': 'OR', '42': 'PA', '44': 'RI', '45': 'SC', '46': 'SD',
+    '47': 'TN', '48': 'TX', '49': 'UT', '50': 'VT', '51': 'VA', '53': 'WA', '54': 'WV',
+    '55': 'WI', '56': 'WY', '60': 'AS', '66': 'GU', '69': 'MP', '72': 'PR', '78': 'VI'
+};
+
+// Column names seen in the different crosswalk formats (Census ZCTA
+// relationship files, Geocorr exports, HUD-style crosswalks)
+const ZIP_COLUMNS = ['zcta5', 'zcta', 'geoid_zcta5_20', 'geoid_zcta5_10', 'zip', 'zipcode', 'zip_code'];
+const STATE_COLUMNS = ['state', 'stab', 'state_abbr', 'statefp', 'state_fips'];
+const DISTRICT_COLUMNS = ['cd', 'cd119', 'cd118', 'cd117', 'cd116', 'cd115', 'district', 'geoid_cd119_20', 'geoid_cd118_20', 'geoid_cd116_20', 'geoid'];
+const PERCENT_COLUMNS = ['zpoppct'];
+const FRACTION_COLUMNS = ['afact', 'res_ratio', 'weight'];
+const POPULATION_COLUMNS = ['poppt', 'pop20', 'pop10'];
+const AREA_COLUMNS = ['arealand_part', 'arealandpt', 'area_part'];
+
+// ZIP -> [{ state, district, weight }]
+const crosswalk = new Map();
+let crosswalkInfo = { loaded: false, source: null, zipCount: 0, weightBasis: null };
+
+// Split one line of a delimited file, honoring double-quoted fields
+function splitLine(line, delimiter) {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"') {
+            if (inQuotes && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else {
+                inQuotes = !inQuotes;
+            }
+        } else if (char === delimiter && !inQuotes) {
+            fields.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current.trim());
+    return fields;
+}
+
+function detectDelimiter(headerLine) {
+    if (headerLine.includes('|')) return '|';
+    if (headerLine.includes('\t')) return '\t';
+    return ',';
+}
+
+function findColumn(headers, candidates) {
+    for (const name of candidates) {
+        const index = headers.indexOf(name);
+        if (index !== -1) return index;
+    }
+    return -1;
+}
+
+function normalizeState(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value)) return STATE_FIPS[value.padStart(2, '0')] || null;
+    return value.toUpperCase();
+}
+
+// Congressional district codes: "00" is at-large and "98" is a non-voting
+// delegate; both map to district 0 in the legislators data. "ZZ" is water.
+function normalizeDistrict(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (/^zz$/i.test(value)) return null;
+    const number = parseInt(value, 10);
+    if (isNaN(number)) return null;
+    return number === 98 || number === 99 ? 0 : number;
+}
+
+// Load a ZIP/ZCTA -> congressional district crosswalk file.
+// Population share is preferred; land area is used when the file has no
+// population columns so every candidate still carries a weight.
+function loadZipCrosswalk(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+        console.warn(`ZIP crosswalk not found at ${filePath}; district lookup will be limited`);
+        return crosswalkInfo;
+    }
+
+    const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/).filter(line => line.trim());
+    if (lines.length < 2) {
+        console.warn(`ZIP crosswalk at ${filePath} is empty`);
+        return crosswalkInfo;
+    }
+
+    const delimiter = detectDelimiter(lines[0]);
+    const headers = splitLine(lines[0], delimiter).map(h => h.toLowerCase());
+    let dataLines = lines.slice(1);
+
+    // Geocorr exports carry a second, human-readable header row
+    if (dataLines.length && !/\d/.test(splitLine(dataLines[0], delimiter)[0] || '')) {
+        dataLines = dataLines.slice(1);
+    }
+
+    const zipCol = findColumn(headers, ZIP_COLUMNS);
+    const stateCol = findColumn(headers, STATE_COLUMNS);
+    const districtCol = findColumn(headers, DISTRICT_COLUMNS);
+    const percentCol = findColumn(headers, PERCENT_COLUMNS);
+    const fractionCol = findColumn(headers, FRACTION_COLUMNS);
+    const populationCol = findColumn(headers, POPULATION_COLUMNS);
+    const areaCol = findColumn(headers, AREA_COLUMNS);
+
+    if (zipCol === -1 || districtCol === -1) {
+        console.error(`ZIP crosswalk at ${filePath} is missing a ZIP or district column`);
+        return crosswalkInfo;
+    }
+
+    const weightBasis = percentCol !== -1 || fractionCol !== -1 || populationCol !== -1 ? 'population'
+        : areaCol !== -1 ? 'land area' : 'even split';
+
+    // Raw rows grouped by ZIP before shares are computed
+    const rows = new Map();
+
+    dataLines.forEach(line => {
+        const fields = splitLine(line, delimiter);
+        // Full GEOIDs ("8600000US94903") end in the ZCTA; bare numbers may
+        // have lost their leading zeros
+        const digits = (fields[zipCol] || '').replace(/\D/g, '');
+        if (!digits) return;
+        const zip = digits.length < 5 ? digits.padStart(5, '0') : digits.slice(-5);
+
+        let rawDistrict = fields[districtCol];
+        let state = stateCol !== -1 ? normalizeState(fields[stateCol]) : null;
+
+        // Combined GEOIDs are state FIPS followed by the district code
+        if (rawDistrict && rawDistrict.length === 4 && /^\d{4}$/.test(rawDistrict)) {
+            state = state || STATE_FIPS[rawDistrict.slice(0, 2)];
+            rawDistrict = rawDistrict.slice(2);
+        }
+
+        const district = normalizeDistrict(rawDistrict);
+        if (!state || district === null) return;
+
+        let value = 1;
+        if (percentCol !== -1) {
+            value = parseFloat(fields[percentCol]) / 100;
+        } else if (fractionCol !== -1) {
+            value = parseFloat(fields[fractionCol]);
+        } else if (populationCol !== -1) {
+            value = parseFloat(fields[populationCol]);
+        } else if (areaCol !== -1) {
+            value = parseFloat(fields[areaCol]);
+        }
+        if (isNaN(value)) value = 0;
+
+        if (!rows.has(zip)) rows.set(zip, []);
+        const existing = rows.get(zip).find(r => r.state === state && r.district === district);
+        if (existing) {
+            existing.value += value;
+        } else {
+            rows.get(zip).push({ state, district, value });
+        }
+    });
+
+    crosswalk.clear();
+    rows.forEach((entries, zip) => {
+        const total = entries.reduce((sum, e) => sum + e.value, 0);
+        const candidates = entries.map(e => ({
+            state: e.state,
+            district: e.district,
+            weight: total > 0 ? e.value / total : 1 / entries.length
+        })).sort((a, b) => b.weight - a.weight);
+        crosswalk.set(zip, candidates);
+    });
+
+    crosswalkInfo = {
+        loaded: true,
+        source: filePath,
+        zipCount: crosswalk.size,
+        weightBasis
+    };
+
+    console.log(`Loaded ZIP crosswalk: ${crosswalk.size} ZIPs (${weightBasis} weights)`);
+    return crosswalkInfo;
+}
+
+// Candidate districts for a ZIP, most likely first
+function lookupZip(zip) {
+    if (!zip) return [];
+    return (crosswalk.get(String(zip).slice(0, 5)) || []).map(c => ({ ...c }));
+}
+
+function extractZip(address) {
+    const zipMatch = (address || '').match(/\b(\d{5})(?:-\d{4})?\b/);
+    return zipMatch ? zipMatch[1] : null;
+}
+
+function formatDistrictLabel(state, district) {
+    return district === 0 ? `${state}-At Large` : `${state}-${district}`;
+}
+
+// Human-readable explanation of a district match for the `note` field
+function describeDistrictMatch(zip, candidate, candidates, basis) {
+    const label = formatDistrictLabel(candidate.state, candidate.district);
+    if (candidates.length === 1) {
+        return `ZIP ${zip} lies entirely within ${label}.`;
+    }
+    const percent = Math.round(candidate.weight * 100);
+    return `ZIP ${zip} spans ${candidates.length} districts; ${label} covers about ${percent}% of its ${basis || 'population'}. Use a full street address for an exact match.`;
+}
+
+function getCrosswalkInfo() {
+    return { ...crosswalkInfo };
+}
+
+module.exports = {
+    STATE_FIPS,
+    normalizeState,
+    normalizeDistrict,
+    loadZipCrosswalk,
+    lookupZip,
+    extractZip,
+    formatDistrictLabel,
+    describeDistrictMatch,
+    getCrosswalkInfo
+};
@@ -0,0 +1,250 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { CONFIG } = require('./config');
+
+const FORMATS = {
+    csv: { type: 'text/csv; charset=utf-8', extension: 'csv' },
+    jsonl: { type: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+    xlsx: { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Column schemas. Names and order are part of the API: add columns at the
+// end and never rename one, so saved spreadsheets and scripts keep working.
+// Types: string, number, boolean, date (YYYY-MM-DD) and list (joined with
+// "; " in CSV and XLSX, an array in JSON Lines).
+const DATASETS = {
+    votes: {
+        title: 'Votes',
+        columns: [
+            { name: 'bioguideId', type: 'string', description: 'Bioguide ID of the member' },
+            { name: 'member', type: 'string', description: 'Member name' },
+            { name: 'party', type: 'string', description: 'Party in the current term' },
+            { name: 'state', type: 'string', description: 'Two-letter state code' },
+            { name: 'district', type: 'number', description: 'House district (0 at-large); empty for senators' },
+            { name: 'chamber', type: 'string', description: 'house or senate' },
+            { name: 'congress', type: 'number', description: 'Congress the vote was in' },
+            { name: 'session', type: 'number', description: 'Session of that Congress (1 or 2)' },
+            { name: 'rollCall', type: 'number', description: 'Roll-call number within the session' },
+            { name: 'date', type: 'date', description: 'Date of the vote' },
+            { name: 'question', type: 'string', description: 'Question voted on, e.g. "On Passage"' },
+            { name: 'description', type: 'string', description: 'Vote description or measure title' },
+            { name: 'bill', type: 'string', description: 'Bill ID and title as shown in the app, or the question for votes not on a bill' },
+            { name: 'billId', type: 'string', description: 'Bill ID such as hr23-119; empty for votes not on a bill' },
+            { name: 'position', type: 'string', description: 'Yea, Nay, Present or Not Voting' },
+            { name: 'result', type: 'string', description: 'Outcome of the vote' },
+            { name: 'topic', type: 'string', description: 'Primary topic ID (see /api/topics)' },
+            { name: 'topicLabel', type: 'string', description: 'Primary topic name' },
+            { name: 'topics', type: 'list', description: 'All topic IDs' },
+            { name: 'procedural', type: 'boolean', description: 'Whether the vote was procedural' },
+            { name: 'policyArea', type: 'string', description: 'Congress.gov policy area of the bill, when known' },
+            { name: 'source', type: 'string', description: 'Where the vote came from: roll-call-xml, congress.gov or propublica' },
+            { name: 'billUrl', type: 'string', description: 'Bill detail URL in this API' },
+            { name: 'voteUrl', type: 'string', description: 'Roll call on Congress.gov' }
+        ]
+    },
+    finance: {
+        title: 'Finance',
+        columns: [
+            { name: 'bioguideId', type: 'string', description: 'Bioguide ID of the member' },
+            { name: 'member', type: 'string', description: 'Member name' },
+            { name: 'candidateId', type: 'string', description: 'FEC candidate ID the totals are for' },
+            { name: 'cycle', type: 'number', description: 'Two-year election cycle, named for its even year' },
+            { name: 'receipts', type: 'number', description: 'Total receipts in dollars; empty for cycles with no filings' },
+            { name: 'disbursements', type: 'number', description: 'Total disbursements in dollars' },
+            { name: 'cashOnHand', type: 'number', description: 'Cash on hand at the end of the last report' },
+            { name: 'debt', type: 'number', description: 'Debts owed by the committee at the end of the last report' },
+            { name: 'individualContributions', type: 'number', description: 'Contributions from individuals' },
+            { name: 'pacContributions', type: 'number', description: 'Contributions from PACs and other committees' },
+            { name: 'individualPercentage', type: 'number', description: 'Individual contributions as a percentage of receipts' },
+            { name: 'pacPercentage', type: 'number', description: 'PAC contributions as a percentage of receipts' },
+            { name: 'coverageEndDate', type: 'date', description: 'End of the period the last report covers' }
+        ]
+    },
+    roster: {
+        title: 'Roster',
+        columns: [
+            { name: 'bioguideId', type: 'string', description: 'Bioguide ID' },
+            { name: 'name', type: 'string', description: 'Official name' },
+            { name: 'firstName', type: 'string', description: 'First name' },
+            { name: 'lastName', type: 'string', description: 'Last name' },
+            { name: 'chamber', type: 'string', description: 'house or senate' },
+            { name: 'state', type: 'string', description: 'Two-letter state code' },
+            { name: 'district', type: 'number', description: 'House district (0 at-large); empty for senators' },
+            { name: 'party', type: 'string', description: 'Party in the current term' },
+            { name: 'caucus', type: 'string', description: 'Caucus of independents, e.g. Democrat' },
+            { name: 'termStart', type: 'date', description: 'Start of the current term' },
+            { name: 'termEnd', type: 'date', description: 'End of the current term' },
+            { name: 'phone', type: 'string', description: 'Washington office phone' },
+            { name: 'office', type: 'string', description: 'Washington office address' },
+            { name: 'website', type: 'string', description: 'Official website' },
+            { name: 'contactForm', type: 'string', description: 'Contact form URL' },
+            { name: 'fecIds', type: 'list', description: 'FEC candidate IDs' },
+            { name: 'twitter', type: 'string', description: 'Twitter/X handle' },
+            { name: 'committees', type: 'list', description: 'Committee seats, with the title held if any, e.g. "Natural Resources (Chairman)"' },
+            { name: 'subcommittees', type: 'list', description: 'Subcommittee seats, with the committee they belong to' }
+        ]
+    }
+};
+
+function isFormat(format) {
+    return Object.prototype.hasOwnProperty.call(FORMATS, format);
+}
+
+// "/api/bills/119/hr/23" -> an absolute URL a spreadsheet can open
+function absoluteUrl(url) {
+    return url && url.startsWith('/') ? `${CONFIG.PUBLIC_URL}${url}` : url;
+}
+
+// Rows for a member's voting record, flattened from getVotingRecord's
+// topic groups, newest first
+function voteRows(member, record) {
+    const rows = [];
+    Object.entries(record.grouped || {}).forEach(([topicLabel, votes]) => {
+        votes.forEach(vote => rows.push({
+            bioguideId: member.bioguideId,
+            member: member.name,
+            party: member.party,
+            state: member.state,
+            district: member.district,
+            chamber: member.chamber,
+            congress: vote.congress,
+            session: vote.session,
+            rollCall: vote.rollCall,
+            date: vote.date,
+            question: vote.question,
+            description: vote.description,
+            bill: vote.bill,
+            billId: vote.billId,
+            position: vote.position,
+            result: vote.result,
+            topic: vote.topic,
+            topicLabel,
+            topics: vote.topics,
+            procedural: vote.procedural,
+            policyArea: vote.policyArea,
+            source: record.source,
+            billUrl: absoluteUrl(vote.billUrl),
+            voteUrl: vote.voteUrl
+        }));
+    });
+    return rows.sort((a, b) => (b.date || '').localeCompare(a.date || '') || (b.rollCall || 0) - (a.rollCall || 0));
+}
+
+// One row per cycle of getCampaignFinanceDetailed's history
+function financeRows(member, finance) {
+    return (finance.history || []).map(totals => ({
+        bioguideId: member.bioguideId,
+        member: member.name,
+        candidateId: finance.candidateId,
+        ...totals
+    }));
+}
+
+function seatLabel(name, title) {
+    return title ? `${name} (${title})` : name;
+}
+
+// A current member, with committee seats from getMemberCommitteeSummary
+function rosterRow(member, committees) {
+    return {
+        ...member,
+        twitter: member.social ? member.social.twitter : null,
+        committees: (committees || []).map(c => seatLabel(c.name, c.title)),
+        subcommittees: (committees || []).flatMap(c => c.subcommittees.map(sub => seatLabel(`${c.name}: ${sub.name}`, sub.title)))
+    };
+}
+
+// A CSV cell. Text starting with =, +, - or @ gets a leading ' so
+// spreadsheet apps don't run it as a formula; lists are checked once
+// joined, since their first item starts the cell. Numbers are left alone.
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = Array.isArray(value) ? value.join('; ') : String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function xlsxCell(value, column) {
+    if (value === null || value === undefined) return null;
+    if (Array.isArray(value)) return value.join('; ');
+    if (column.type === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(`${value}T00:00:00Z`);
+    return value;
+}
+
+// Resolves once the client can take more, or has disconnected (after which
+// 'drain' never comes)
+function writable(res) {
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+// Write one chunk, waiting when the client is reading slower than rows come.
+// Resolves false if the client has gone, so the caller stops writing.
+async function send(res, chunk) {
+    if (res.destroyed) return false;
+    if (!res.write(chunk)) await writable(res);
+    return !res.destroyed;
+}
+
+// Stream rows to the response as CSV, JSON Lines or XLSX, in the dataset's
+// column order. Headers are sent before the first row, so anything that
+// can fail belongs before this call.
+async function streamExport(res, { dataset, format, filename, rows }) {
+    const { title, columns } = DATASETS[dataset];
+    const { type, extension } = FORMATS[format];
+    res.set({
+        'Content-Type': type,
+        'Content-Disposition': `attachment; filename="${filename}.${extension}"`
+    });
+
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+        const sheet = workbook.addWorksheet(title);
+        sheet.columns = columns.map(column => ({
+            header: column.name,
+            key: column.name,
+            width: Math.max(column.name.length + 2, column.type === 'string' || column.type === 'list' ? 24 : 12),
+            ...(column.type === 'date' ? { style: { numFmt: 'yyyy-mm-dd' } } : {})
+        }));
+        for (const row of rows) {
+            sheet.addRow(columns.map(column => xlsxCell(row[column.name], column))).commit();
+        }
+        // The workbook resolves on the response's 'finish', which a
+        // disconnected client never sends
+        if (!res.destroyed) await Promise.race([workbook.commit(), once(res, 'close')]);
+        return;
+    }
+
+    if (format === 'csv' && !await send(res, `${columns.map(column => column.name).join(',')}\r\n`)) return;
+    for (const row of rows) {
+        const line = format === 'csv'
+            ? columns.map(column => csvCell(row[column.name])).join(',') + '\r\n'
+            : JSON.stringify(Object.fromEntries(columns.map(column => [column.name, row[column.name] ?? null]))) + '\n';
+        if (!await send(res, line)) return;
+    }
+    res.end();
+}
+
+// Datasets, formats and column documentation for /api/export
+function getExportSchemas() {
+    return {
+        formats: Object.keys(FORMATS),
+        datasets: Object.fromEntries(Object.entries(DATASETS).map(([name, { columns }]) => [name, { columns }]))
+    };
+}
+
+module.exports = {
+    isFormat,
+    voteRows,
+    financeRows,
+    rosterRow,
+    streamExport,
+    getExportSchemas
+};
@@ -0,0 +1,180 @@
+const { CONFIG } = require('./config');
+const { upstreamFetch } = require('./upstream');
+
+const DAY = 24 * 60 * 60 * 1000;
+// First cycle with electronic filings in the FEC API
+const FIRST_CYCLE = 1980;
+// Most cycles one request may ask for
+const MAX_CYCLES = 10;
+
+// GET an OpenFEC API resource. Array params are sent as repeated keys
+// (cycle=2020&cycle=2022), which is how FEC takes multiple values.
+// Retries, the request budget and rate limits are handled by the upstream
+// client; errors carry the HTTP status, so callers can tell a rate limit
+// or spent budget (429) from a failure.
+async function fecRequest(resourcePath, params = {}) {
+    const query = new URLSearchParams();
+    Object.entries({ ...params, api_key: CONFIG.FEC_API_KEY }).forEach(([name, value]) => {
+        if (value === null || value === undefined) return;
+        (Array.isArray(value) ? value : [value]).forEach(v => query.append(name, v));
+    });
+
+    return upstreamFetch('fec', `${CONFIG.FEC_API_BASE_URL}${resourcePath}?${query}`);
+}
+
+// Walk an FEC endpoint that uses keyset pagination: each page's
+// pagination.last_indexes are sent back to get the next one. Stops after
+// maxPages, and stops early (keeping what it has) on a rate limit that
+// outlasts the retries.
+async function fetchKeysetPages(resourcePath, params, { maxPages, perPage = 100 }) {
+    const results = [];
+    let total = null;
+    let after = null;
+    let pagesFetched = 0;
+    let rateLimited = false;
+    let done = false;
+
+    while (!done && pagesFetched < maxPages) {
+        let data;
+        try {
+            data = await fecRequest(resourcePath, { ...params, per_page: perPage, ...(after || {}) });
+        } catch (error) {
+            if (error.status !== 429) throw error;
+            console.error(`FEC rate limit reached paging ${resourcePath}`);
+            rateLimited = true;
+            break;
+        }
+
+        const page = data.results || [];
+        const lastIndexes = data.pagination && data.pagination.last_indexes;
+        if (total === null && data.pagination) total = data.pagination.count;
+        pagesFetched++;
+        results.push(...page);
+        after = lastIndexes && page.length === perPage ? lastIndexes : null;
+        done = !after;
+    }
+
+    return { results, total, pagesFetched, complete: done, rateLimited };
+}
+
+// FEC two-year cycles are named for the even year they end in
+function currentCycle(date = new Date()) {
+    const year = date.getUTCFullYear();
+    return year % 2 === 0 ? year : year + 1;
+}
+
+// Validate one cycle; returns the number or null
+function parseCycle(value) {
+    const cycle = parseInt(value, 10);
+    if (String(cycle) !== String(value).trim()) return null;
+    if (cycle % 2 !== 0 || cycle < FIRST_CYCLE || cycle > currentCycle()) return null;
+    return cycle;
+}
+
+// "2018-2026" or "2020,2024" -> [2018, 2020, ...]; null when malformed
+function parseCycles(value) {
+    const text = String(value).trim();
+    let cycles;
+
+    const range = text.match(/^(\d{4})\s*-\s*(\d{4})$/);
+    if (range) {
+        const from = parseCycle(range[1]);
+        const to = parseCycle(range[2]);
+        if (!from || !to || from > to) return null;
+        cycles = [];
+        for (let cycle = from; cycle <= to; cycle += 2) cycles.push(cycle);
+    } else {
+        cycles = text.split(',').map(parseCycle);
+        if (cycles.some(cycle => !cycle)) return null;
+        cycles = Array.from(new Set(cycles)).sort((a, b) => a - b);
+    }
+
+    return cycles.length && cycles.length <= MAX_CYCLES ? cycles : null;
+}
+
+// Principal campaign committees of a candidate in a cycle
+async function getPrincipalCommittees(candidateId, cycle) {
+    const data = await fecRequest(`/candidate/${candidateId}/committees/`, { cycle, designation: 'P' });
+    return (data.results || []).map(c => ({ id: c.committee_id, name: c.name }));
+}
+
+// Two-year totals for each requested cycle, oldest first. election_full is
+// off so a senator's six-year election period comes back as three cycles.
+async function getCandidateTotals(candidateId, cycles) {
+    const data = await fecRequest(`/candidate/${candidateId}/totals/`, {
+        cycle: cycles,
+        election_full: false,
+        per_page: cycles.length
+    });
+    return (data.results || []).sort((a, b) => a.cycle - b.cycle);
+}
+
+// Receipts bucketed by contribution size for one cycle
+async function getContributionsBySize(candidateId, cycle) {
+    const data = await fecRequest('/schedules/schedule_a/by_size/by_candidate/', {
+        cycle,
+        candidate_id: candidateId,
+        per_page: 10
+    });
+    return data.results || [];
+}
+
+// A candidate's most recent filings (reports, statements and 48-hour
+// notices), newest first
+async function getCandidateFilings(candidateId, { limit = 20 } = {}) {
+    const data = await fecRequest(`/candidate/${candidateId}/filings/`, {
+        sort: '-receipt_date',
+        per_page: limit
+    });
+    return (data.results || []).map(f => ({
+        fileNumber: f.file_number,
+        formType: f.form_type || null,
+        reportType: f.report_type_full || f.document_description || null,
+        committeeName: f.committee_name || null,
+        receiptDate: f.receipt_date || null,
+        coverageStart: f.coverage_start_date || null,
+        coverageEnd: f.coverage_end_date || null,
+        receipts: f.total_receipts === undefined ? null : f.total_receipts,
+        disbursements: f.total_disbursements === undefined ? null : f.total_disbursements,
+        cashOnHand: f.cash_on_hand_close_of_period === undefined ? null : f.cash_on_hand_close_of_period,
+        amendment: f.amendment_indicator === 'A',
+        url: f.pdf_url || f.fec_url || null
+    }));
+}
+
+// FEC filing deadlines in a year for House and Senate campaign committees:
+// the quarterly reports, plus the pre-general (12 days before the election)
+// and post-general (30 days after) reports in election years
+function filingDeadlines(year) {
+    const deadlines = [Date.UTC(year, 0, 31), Date.UTC(year, 3, 15), Date.UTC(year, 6, 15), Date.UTC(year, 9, 15)];
+
+    if (year % 2 === 0) {
+        // Election day is the Tuesday after the first Monday in November
+        const firstMonday = 1 + (8 - new Date(Date.UTC(year, 10, 1)).getUTCDay()) % 7;
+        const electionDay = Date.UTC(year, 10, firstMonday + 1);
+        deadlines.push(electionDay - 12 * DAY, electionDay + 30 * DAY);
+    }
+    return deadlines.sort((a, b) => a - b);
+}
+
+// Most recent filing deadline at or before a timestamp
+function lastFilingDeadline(timestamp) {
+    const year = new Date(timestamp).getUTCFullYear();
+    const deadlines = filingDeadlines(year - 1).concat(filingDeadlines(year));
+    return deadlines.filter(d => d <= timestamp).pop();
+}
+
+module.exports = {
+    MAX_CYCLES,
+    fecRequest,
+    fetchKeysetPages,
+    currentCycle,
+    parseCycle,
+    parseCycles,
+    getPrincipalCommittees,
+    getCandidateTotals,
+    getContributionsBySize,
+    getCandidateFilings,
+    filingDeadlines,
+    lastFilingDeadline
+};
@@ -0,0 +1,199 @@
+const { fecRequest, currentCycle } = require('./fec');
+const storage = require('./storage');
+
+// FEC office codes for each chamber
+const OFFICE_CODES = { house: 'H', senate: 'S' };
+// Name-search results scored per lookup
+const SEARCH_LIMIT = 20;
+// Alternatives reported alongside the chosen candidate
+const ALTERNATIVES = 3;
+
+// Candidate records, with principal committees, from /candidates/search/
+async function searchCandidates(params) {
+    const data = await fecRequest('/candidates/search/', { per_page: SEARCH_LIMIT, ...params });
+    return data.results || [];
+}
+
+// How well an FEC candidate record fits a legislator. Each signal the
+// legislator can be checked against adds to `possible`, so scores for a
+// bare name and for a full member record are comparable as a ratio.
+function scoreCandidate(record, legislator, cycle) {
+    let score = 0;
+    let possible = 0;
+    const reasons = [];
+
+    const office = OFFICE_CODES[legislator.chamber];
+    if (office) {
+        possible += 3;
+        if (record.office === office) {
+            score += 3;
+            reasons.push('office');
+        } else {
+            score -= 3;
+        }
+    }
+
+    if (legislator.state) {
+        possible += 3;
+        if (record.state === legislator.state) {
+            score += 3;
+            reasons.push('state');
+        } else {
+            score -= 3;
+        }
+    }
+
+    if (office === 'H' && legislator.district !== null && legislator.district !== undefined) {
+        possible += 2;
+        if (parseInt(record.district, 10) === legislator.district) {
+            score += 2;
+            reasons.push('district');
+        }
+    }
+
+    possible += 2;
+    const cycles = record.cycles || [];
+    if (cycles.includes(cycle) || (record.election_years || []).some(year => year >= cycle)) {
+        score += 2;
+        reasons.push('active cycle');
+    }
+
+    possible += 1;
+    if (record.incumbent_challenge === 'I') {
+        score += 1;
+        reasons.push('incumbent');
+    }
+
+    // FEC names are "LAST, FIRST MIDDLE"
+    const fecName = (record.name || '').toUpperCase();
+    const [lastName, firstName] = legislator.lastName
+        ? [legislator.lastName, legislator.firstName]
+        : splitName(legislator.name);
+    possible += 3;
+    if (lastName && fecName.split(',')[0].includes(lastName.toUpperCase())) {
+        score += 2;
+        reasons.push('last name');
+    }
+    if (firstName && fecName.includes(firstName.toUpperCase())) {
+        score += 1;
+        reasons.push('first name');
+    }
+
+    return { score, possible, reasons };
+}
+
+// "Jared Huffman" -> ['Huffman', 'Jared']
+function splitName(name) {
+    const parts = String(name || '').trim().split(/\s+/);
+    return [parts[parts.length - 1] || null, parts.length > 1 ? parts[0] : null];
+}
+
+// high: the record fits nearly every signal and clearly beats the rest;
+// medium: most signals fit; low: a guess
+function confidenceFor(best, runnerUp, legislator, method) {
+    const ratio = best.score / best.possible;
+    const clear = !runnerUp || best.score - runnerUp.score >= 3;
+    // A bare name has nothing to corroborate it beyond the name itself
+    const ceiling = legislator.state ? 'high' : 'medium';
+
+    if (method === 'registry' && best.reasons.includes('office')) return 'high';
+    if (ratio >= 0.8 && clear) return ceiling;
+    if (ratio >= 0.5) return 'medium';
+    return 'low';
+}
+
+function principalCommittees(record, cycle) {
+    return (record.principal_committees || [])
+        .filter(c => !c.cycles || !c.cycles.length || c.cycles.includes(cycle))
+        .map(c => ({ id: c.committee_id, name: c.name }));
+}
+
+function summarize(record, scored) {
+    return {
+        candidateId: record.candidate_id,
+        name: record.name,
+        office: record.office,
+        state: record.state,
+        district: record.district || null,
+        score: scored.score
+    };
+}
+
+// Pick the best-scoring record, or null when nothing fits well enough
+function chooseCandidate(records, legislator, cycle, method) {
+    const ranked = records
+        .map(record => ({ record, scored: scoreCandidate(record, legislator, cycle) }))
+        .sort((a, b) => b.scored.score - a.scored.score);
+    if (!ranked.length) return null;
+
+    const [best, runnerUp] = ranked;
+    // Name searches need positive evidence; the registry's own IDs don't
+    if (method === 'name-search' && best.scored.score / best.scored.possible < 0.3) return null;
+
+    return {
+        candidateId: best.record.candidate_id,
+        name: best.record.name,
+        committees: principalCommittees(best.record, cycle),
+        method,
+        confidence: confidenceFor(best.scored, runnerUp && runnerUp.scored, legislator, method),
+        score: best.scored.score,
+        maxScore: best.scored.possible,
+        reasons: best.scored.reasons,
+        alternatives: ranked.slice(1, 1 + ALTERNATIVES).map(r => summarize(r.record, r.scored))
+    };
+}
+
+// Resolve a legislator to an FEC candidate:
+// 1. every FEC ID in the legislator data (members who moved from the House
+//    to the Senate have one per office), best fit for the current office
+// 2. otherwise a name search, scored on office, state, district and
+//    whether the candidate is active in the cycle
+async function matchCandidate(legislator, cycle) {
+    const fecIds = legislator.fecIds && legislator.fecIds.length
+        ? legislator.fecIds
+        : (legislator.fecId ? [legislator.fecId] : []);
+
+    if (fecIds.length) {
+        const records = await searchCandidates({ candidate_id: fecIds });
+        const match = chooseCandidate(records, legislator, cycle, 'registry');
+        if (match) return match;
+
+        // FEC doesn't know the IDs (yet); trust the registry's first one
+        return {
+            candidateId: fecIds[0],
+            name: legislator.name,
+            committees: [],
+            method: 'registry',
+            confidence: 'medium',
+            score: null,
+            maxScore: null,
+            reasons: ['legislator data'],
+            alternatives: []
+        };
+    }
+
+    // Members are searched by last name within their state and office, so
+    // nicknames ("Chuck" for CHARLES) don't hide them; bare names as given
+    const records = await searchCandidates({
+        q: legislator.state ? (legislator.lastName || splitName(legislator.name)[0]) : legislator.name,
+        state: legislator.state || null,
+        office: OFFICE_CODES[legislator.chamber] || null
+    });
+    return chooseCandidate(records, legislator, cycle, 'name-search');
+}
+
+// Cached candidate match for a legislator in a cycle, or null. Matches
+// change rarely, so they are kept as long as legislator data.
+async function resolveCandidate(legislator, cycle = currentCycle()) {
+    const key = `${legislator.bioguideId || legislator.name}|${cycle}`;
+    const match = await storage.cached('candidates', key, async () => {
+        return (await matchCandidate(legislator, cycle)) || { candidateId: null };
+    });
+    return match.candidateId ? match : null;
+}
+
+module.exports = {
+    scoreCandidate,
+    matchCandidate,
+    resolveCandidate
+};
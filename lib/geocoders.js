@@ -0,0 +1,61 @@
+// Geocoder adapters turn a street address into coordinates.
+// Each adapter is an async function (address) => { lat, lng, matchedAddress }
+// or null when the address can't be matched.
+
+const { upstreamFetch } = require('./upstream');
+
+// U.S. Census Bureau geocoder - free, no key required
+async function censusGeocoder(address) {
+    const url = `https://geocoding.geo.census.gov/geocoder/locations/onelineaddress?address=${encodeURIComponent(address)}&benchmark=Public_AR_Current&format=json`;
+    const data = await upstreamFetch('census', url);
+    const match = data.result && data.result.addressMatches && data.result.addressMatches[0];
+    if (!match) return null;
+
+    return {
+        lat: match.coordinates.y,
+        lng: match.coordinates.x,
+        matchedAddress: match.matchedAddress
+    };
+}
+
+// OpenStreetMap Nominatim - free, rate limited to one request per second
+async function nominatimGeocoder(address) {
+    const url = `https://nominatim.openstreetmap.org/search?format=json&limit=1&countrycodes=us&q=${encodeURIComponent(address)}`;
+    const data = await upstreamFetch('nominatim', url, {
+        headers: { 'User-Agent': 'congressional-tracker' }
+    });
+    if (!data.length) return null;
+
+    return {
+        lat: parseFloat(data[0].lat),
+        lng: parseFloat(data[0].lon),
+        matchedAddress: data[0].display_name
+    };
+}
+
+const geocoders = {
+    census: censusGeocoder,
+    nominatim: nominatimGeocoder
+};
+
+// Add or replace an adapter, e.g. for a commercial geocoding service
+function registerGeocoder(name, adapter) {
+    geocoders[name] = adapter;
+}
+
+function getGeocoder(name) {
+    if (!name || name === 'none') return null;
+    return geocoders[name] || null;
+}
+
+// Only addresses with a street number are worth geocoding; bare ZIPs and
+// city/state strings are handled by the ZIP crosswalk
+function isStreetAddress(address) {
+    return /^\s*\d+[A-Za-z]?\s+[A-Za-z]/.test(address || '');
+}
+
+module.exports = {
+    registerGeocoder,
+    getGeocoder,
+    isStreetAddress
+};
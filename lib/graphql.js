@@ -0,0 +1,625 @@
+const DataLoader = require('dataloader');
+const {
+    GraphQLError,
+    Kind,
+    buildSchema,
+    execute,
+    getArgumentValues,
+    getNamedType,
+    getNullableType,
+    getVariableValues,
+    isListType,
+    isObjectType,
+    parse,
+    validate
+} = require('graphql');
+const { CONFIG } = require('./config');
+const { findLegislator, getCurrentLegislators, toMember, toBiography } = require('./legislators');
+const { BILL_TYPES, formatBillId, parseBillId, mapWithConcurrency } = require('./congressGov');
+const { getRollCall, listRollCalls, rollCallUrl } = require('./rollcalls');
+const { getBillDetail, getMemberBills } = require('./bills');
+const { listCommittees, getCommittee, getMemberCommittees } = require('./committees');
+const { isKnownTopic } = require('./topics');
+const { MAX_CYCLES, currentCycle, parseCycle } = require('./fec');
+
+// Longest query document accepted, in characters
+const MAX_QUERY_LENGTH = 10000;
+// Most items a list field may ask for
+const MAX_LIST_LIMIT = 500;
+// Items assumed for list fields without a limit or a known size, when
+// costing a query
+const DEFAULT_LIST_SIZE = 10;
+// Parallel upstream lookups per loader batch
+const LOADER_CONCURRENCY = 5;
+
+// Query cost: every object returned costs 1. Fields that call an upstream
+// API for each parent cost more, and bills (five Congress.gov requests
+// each) cost more per item. List fields multiply what's under them by
+// their limit.
+const FIELD_COSTS = {
+    'Member.votes': 10,
+    'Member.finance': 10,
+    'Member.sponsoredBills': 10,
+    'Member.cosponsoredBills': 10
+};
+const TYPE_COSTS = { Bill: 5 };
+// Most items these lists hold in practice, by arguments. Lists without a
+// limit are costed at this size, and a limit above it counts as this size.
+const LIST_SIZES = {
+    // About 50 full committees across the House, Senate and joint committees
+    'Query.committees': ({ chamber }) => (chamber ? 25 : 50),
+    'Member.terms': () => 30,
+    'Member.committees': () => 20,
+    'Member.finance': ({ cycles }) => (cycles ? cycles.length : 1),
+    'Bill.cosponsors': () => 300,
+    'Bill.rollCalls': () => 10,
+    // Appropriations has 12 subcommittees
+    'Committee.subcommittees': () => 12,
+    'Committee.members': () => 70
+};
+
+const schema = buildSchema(`
+    "Lists take a limit from 1 to ${MAX_LIST_LIMIT}. Dates are YYYY-MM-DD."
+    type Query {
+        "A member by Bioguide, FEC, GovTrack, ICPSR, THOMAS or LIS ID"
+        member(id: ID!): Member
+        "Current members by last name, filtered by state, chamber, party (D, Republican...) or name"
+        members(state: String, chamber: String, party: String, name: String, limit: Int = 20): [Member!]!
+        "A bill from Congress.gov; needs CONGRESS_API_KEY"
+        bill(congress: Int!, type: String!, number: Int!): Bill
+        "A stored roll call, e.g. house-119-1-12"
+        rollCall(id: ID!): RollCall
+        "Stored roll calls, newest first"
+        rollCalls(chamber: String, congress: Int, session: Int, billId: ID, limit: Int = 20): [RollCall!]!
+        committee(id: ID!): Committee
+        "Full committees, by chamber then name"
+        committees(chamber: String): [Committee!]!
+    }
+
+    type Member {
+        bioguideId: ID!
+        name: String!
+        firstName: String
+        lastName: String
+        chamber: String
+        state: String
+        district: Int
+        party: String
+        caucus: String
+        inOffice: Boolean
+        website: String
+        phone: String
+        office: String
+        contactForm: String
+        fecIds: [String!]!
+        terms: [Term!]!
+        "Votes as on the voting record, newest first"
+        votes(topic: String, congress: Int, session: Int, limit: Int = 20): [Vote!]!
+        "Committee and subcommittee seats"
+        committees: [CommitteeAssignment!]!
+        "FEC totals for each cycle (default: the current one); cycles with no filings are left out"
+        finance(cycles: [Int!]): [FinanceCycle!]!
+        "Newest first; needs CONGRESS_API_KEY"
+        sponsoredBills(limit: Int = 20): [Bill!]!
+        "Newest first; needs CONGRESS_API_KEY"
+        cosponsoredBills(limit: Int = 20): [Bill!]!
+    }
+
+    type Term {
+        chamber: String
+        start: String
+        end: String
+        state: String
+        district: Int
+        senateClass: Int
+        party: String
+        url: String
+    }
+
+    "A member's vote on one roll call"
+    type Vote {
+        rollCallId: ID!
+        chamber: String
+        congress: Int
+        session: Int
+        rollCallNumber: Int
+        date: String
+        question: String
+        description: String
+        result: String
+        "Yea, Nay, Present or Not Voting"
+        position: String!
+        topic: String
+        topics: [String!]!
+        procedural: Boolean
+        policyArea: String
+        voteUrl: String
+        bill: Bill
+        "The roll call with every member's position, when it has been ingested"
+        rollCall: RollCall
+    }
+
+    type RollCall {
+        id: ID!
+        chamber: String!
+        congress: Int
+        session: Int
+        number: Int
+        date: String
+        question: String
+        title: String
+        result: String
+        voteType: String
+        totals: Totals!
+        bill: Bill
+        "Filtered by position (Yea, Nay...), party or state"
+        positions(position: String, party: String, state: String, limit: Int = 100): [Position!]!
+        "Source XML at the House Clerk or Senate"
+        url: String
+    }
+
+    type Totals {
+        yea: Int!
+        nay: Int!
+        present: Int!
+        notVoting: Int!
+    }
+
+    "One member's position on a roll call"
+    type Position {
+        bioguideId: ID
+        lisId: ID
+        name: String
+        party: String
+        state: String
+        position: String!
+        member: Member
+    }
+
+    type Bill {
+        billId: ID!
+        congress: Int!
+        type: String!
+        number: Int!
+        title: String
+        introducedDate: String
+        policyArea: String
+        status: BillStatus
+        subjects: [String!]!
+        sponsor: Member
+        "Current cosponsors the registry knows"
+        cosponsors: [Member!]!
+        cosponsorCount: Int
+        "The bill on Congress.gov"
+        url: String
+        "Stored roll calls on the bill, oldest first"
+        rollCalls: [RollCall!]!
+    }
+
+    type BillStatus {
+        code: String!
+        label: String!
+        date: String
+    }
+
+    type Committee {
+        id: ID!
+        name: String
+        chamber: String
+        url: String
+        jurisdiction: String
+        parent: Committee
+        subcommittees: [Committee!]!
+        memberCount: Int
+        "Majority first, then by rank"
+        members(limit: Int = 100): [CommitteeMember!]!
+    }
+
+    type CommitteeMember {
+        bioguideId: ID
+        name: String
+        "majority or minority"
+        side: String
+        rank: Int
+        title: String
+        party: String
+        state: String
+        member: Member
+    }
+
+    type CommitteeAssignment {
+        committee: Committee!
+        title: String
+        rank: Int
+        side: String
+    }
+
+    type FinanceCycle {
+        cycle: Int!
+        candidateId: ID!
+        receipts: Float
+        disbursements: Float
+        cashOnHand: Float
+        debt: Float
+        individualContributions: Float
+        pacContributions: Float
+        individualPercentage: Int
+        pacPercentage: Int
+        coverageEndDate: String
+    }
+`);
+
+function userError(message) {
+    return new GraphQLError(message, { extensions: { code: 'BAD_USER_INPUT' } });
+}
+
+function checkLimit(limit, max = MAX_LIST_LIMIT) {
+    if (!(limit >= 1 && limit <= max)) throw userError(`limit must be from 1 to ${max}`);
+    return limit;
+}
+
+// A field of a partly loaded object: the parent's own value when it has
+// one, otherwise the field of the full record from a loader
+function loaded(loaderName, keyField, field) {
+    return async (parent, args, { loaders }) => {
+        if (parent[field] !== undefined) return parent[field];
+        const record = await loaders[loaderName].load(parent[keyField]);
+        return record ? record[field] : null;
+    };
+}
+
+// Batch lookups per request. Each loader fetches a key once however many
+// parents ask for it, so nested lists don't repeat upstream requests.
+function createLoaders(lookups) {
+    const member = new DataLoader(async ids => {
+        const legislators = await Promise.all(ids.map(id => findLegislator(id)));
+        return legislators.map(leg => (leg ? toMember(leg) : null));
+    });
+
+    const votes = new DataLoader(keys => mapWithConcurrency(keys, LOADER_CONCURRENCY, async ({ member: subject, ...options }) => {
+        const record = await lookups.getVotingRecord(subject, options);
+        // Without a source the record is the "view on Congress.gov" placeholder
+        if (!record.source) return record.error ? new Error(`Voting record unavailable: ${record.error}`) : [];
+        return Object.values(record.grouped).flat()
+            .sort((a, b) => (b.date || '').localeCompare(a.date || '') || (b.rollCall || 0) - (a.rollCall || 0))
+            .map(vote => ({ ...vote, chamber: subject.chamber }));
+    }), { cacheKeyFn: ({ member: subject, topic, congress, session, limit }) => [subject.bioguideId, topic, congress, session, limit].join('|') });
+
+    const bill = new DataLoader(billIds => mapWithConcurrency(billIds, LOADER_CONCURRENCY, async billId => {
+        const parsed = parseBillId(billId);
+        if (!parsed) return null;
+        if (!CONFIG.CONGRESS_API_KEY) return new Error('Congress.gov API key not configured');
+        try {
+            return await getBillDetail(parsed.congress, parsed.type, parsed.number);
+        } catch (error) {
+            return error.status === 404 ? null : error;
+        }
+    }));
+
+    // Sponsored and cosponsored bills come from one lookup
+    const memberBills = new DataLoader(keys => mapWithConcurrency(keys, LOADER_CONCURRENCY, key => {
+        const [bioguideId, limit] = key.split('|');
+        return getMemberBills(bioguideId, { limit: parseInt(limit, 10) }).catch(error => error);
+    }));
+
+    const committee = new DataLoader(ids => Promise.all(ids.map(id => getCommittee(id).catch(error => error))));
+
+    // Totals for every cycle a member is asked about come from one FEC
+    // request for that member
+    const finance = new DataLoader(async keys => {
+        const byMember = new Map();
+        keys.forEach(({ member: subject, cycle }) => {
+            if (!byMember.has(subject.bioguideId)) byMember.set(subject.bioguideId, { subject, cycles: new Set() });
+            byMember.get(subject.bioguideId).cycles.add(cycle);
+        });
+
+        const results = new Map();
+        await mapWithConcurrency(Array.from(byMember.values()), LOADER_CONCURRENCY, async ({ subject, cycles }) => {
+            const sorted = Array.from(cycles).sort((a, b) => a - b);
+            try {
+                const result = await lookups.getCampaignFinanceDetailed(subject, { cycle: sorted[sorted.length - 1], cycles: sorted });
+                results.set(subject.bioguideId, result.error
+                    ? Object.assign(new Error(`Finance data unavailable: ${result.error}`), { retryAt: result.retryAt || null })
+                    : result);
+            } catch (error) {
+                results.set(subject.bioguideId, error);
+            }
+        });
+
+        return keys.map(({ member: subject, cycle }) => {
+            const result = results.get(subject.bioguideId);
+            if (result instanceof Error) return result;
+            const totals = result.candidateId ? result.history.find(h => h.cycle === cycle) : null;
+            return totals && totals.receipts !== null ? { candidateId: result.candidateId, ...totals } : null;
+        });
+    }, { cacheKeyFn: ({ member: subject, cycle }) => `${subject.bioguideId}|${cycle}` });
+
+    return { member, votes, bill, memberBills, committee, finance };
+}
+
+const loadMember = (id, { loaders }) => (id ? loaders.member.load(id) : null);
+const billRef = billId => (billId ? { billId } : null);
+
+function storedRollCallsNewestFirst(rollCalls) {
+    return rollCalls.sort((a, b) => (b.date || '').localeCompare(a.date || '') || b.number - a.number);
+}
+
+// A sponsored or cosponsored list item as a Bill, keeping the fields the
+// list already has so they don't need the full bill
+async function memberBillList(member, { limit }, { loaders }, list) {
+    checkLimit(limit, 250);
+    const bills = await loaders.memberBills.load(`${member.bioguideId}|${limit}`);
+    return bills[list].filter(item => item.billId).map(item => ({
+        billId: item.billId,
+        title: item.title,
+        introducedDate: item.introducedDate,
+        policyArea: item.policyArea,
+        status: item.status
+    }));
+}
+
+const RESOLVERS = {
+    Query: {
+        member: (root, { id }, context) => loadMember(id, context),
+        members: async (root, { state, chamber, party, name, limit }, { loaders }) => {
+            checkLimit(limit);
+            const words = String(name || '').toLowerCase().split(/\s+/).filter(Boolean);
+            const members = (await getCurrentLegislators())
+                .map(toMember)
+                .filter(member => (!state || member.state === state.toUpperCase())
+                    && (!chamber || member.chamber === chamber)
+                    && (!party || member.party.toLowerCase().startsWith(party.toLowerCase())))
+                .filter(member => {
+                    const nameWords = [member.name, member.firstName, member.lastName].join(' ').toLowerCase().split(/[\s.,'-]+/);
+                    return words.every(word => nameWords.some(nameWord => nameWord.startsWith(word)));
+                })
+                .sort((a, b) => a.lastName.localeCompare(b.lastName))
+                .slice(0, limit);
+            members.forEach(member => loaders.member.prime(member.bioguideId, member));
+            return members;
+        },
+        bill: async (root, { congress, type, number }, { loaders }) => {
+            const billType = type.toLowerCase().replace(/\./g, '');
+            if (!BILL_TYPES.includes(billType)) throw userError(`type must be one of ${BILL_TYPES.join(', ')}`);
+            const billId = formatBillId(billType, number, congress);
+            return (await loaders.bill.load(billId)) ? { billId } : null;
+        },
+        rollCall: (root, { id }) => getRollCall(id),
+        rollCalls: (root, { chamber, congress, session, billId, limit }) => {
+            checkLimit(limit);
+            const rollCalls = listRollCalls({ chamber, congress, session })
+                .filter(rc => !billId || (rc.bill && rc.bill.billId === billId));
+            return storedRollCallsNewestFirst(rollCalls).slice(0, limit);
+        },
+        committee: (root, { id }, { loaders }) => loaders.committee.load(String(id).toUpperCase()),
+        committees: (root, { chamber }) => listCommittees({ chamber: chamber || null })
+    },
+    Member: {
+        terms: async member => {
+            const leg = await findLegislator(member.bioguideId, 'bioguide');
+            return leg ? toBiography(leg).terms : [];
+        },
+        votes: async (member, { topic, congress, session, limit }, { loaders }) => {
+            checkLimit(limit);
+            if (topic && !isKnownTopic(topic)) throw userError(`${topic} is not a topic in /api/topics`);
+            return loaders.votes.load({ member, topic: topic || null, congress: congress || null, session: session || null, limit });
+        },
+        committees: async member => (await getMemberCommittees(member.bioguideId)).map(seat => ({
+            committee: { id: seat.id, name: seat.name, chamber: seat.chamber },
+            title: seat.title,
+            rank: seat.rank,
+            side: seat.side
+        })),
+        finance: async (member, { cycles }, { loaders }) => {
+            const requested = cycles || [currentCycle()];
+            if (requested.length > MAX_CYCLES || requested.some(cycle => parseCycle(cycle) !== cycle)) {
+                throw userError(`cycles must be at most ${MAX_CYCLES} even election years from 1980 to ${currentCycle()}`);
+            }
+            const results = await loaders.finance.loadMany(Array.from(new Set(requested)).map(cycle => ({ member, cycle })));
+            const failed = results.find(result => result instanceof Error);
+            if (failed) throw failed;
+            return results.filter(Boolean).sort((a, b) => a.cycle - b.cycle);
+        },
+        sponsoredBills: (member, args, context) => memberBillList(member, args, context, 'sponsored'),
+        cosponsoredBills: (member, args, context) => memberBillList(member, args, context, 'cosponsored')
+    },
+    Vote: {
+        rollCallId: vote => `${vote.chamber}-${vote.congress}-${vote.session}-${vote.rollCall}`,
+        rollCallNumber: vote => vote.rollCall,
+        topics: vote => vote.topics || [],
+        bill: vote => billRef(vote.billId),
+        rollCall: vote => getRollCall(`${vote.chamber}-${vote.congress}-${vote.session}-${vote.rollCall}`)
+    },
+    RollCall: {
+        bill: rc => billRef(rc.bill && rc.bill.billId),
+        positions: (rc, { position, party, state, limit }) => {
+            checkLimit(limit);
+            return rc.positions
+                .filter(p => (!position || p.position.toLowerCase() === position.toLowerCase())
+                    && (!party || (p.party || '').toLowerCase().startsWith(party.toLowerCase()))
+                    && (!state || p.state === state.toUpperCase()))
+                .slice(0, limit);
+        },
+        url: rc => rollCallUrl(rc)
+    },
+    Position: {
+        member: (position, args, context) => loadMember(position.bioguideId, context)
+    },
+    Bill: {
+        congress: bill => parseBillId(bill.billId).congress,
+        type: bill => parseBillId(bill.billId).type,
+        number: bill => parseInt(parseBillId(bill.billId).number, 10),
+        title: loaded('bill', 'billId', 'title'),
+        introducedDate: loaded('bill', 'billId', 'introducedDate'),
+        policyArea: loaded('bill', 'billId', 'policyArea'),
+        status: loaded('bill', 'billId', 'status'),
+        subjects: async (bill, args, context) => (await loaded('bill', 'billId', 'subjects')(bill, args, context)) || [],
+        cosponsorCount: loaded('bill', 'billId', 'cosponsorCount'),
+        url: loaded('bill', 'billId', 'url'),
+        sponsor: async (bill, args, context) => {
+            const sponsor = await loaded('bill', 'billId', 'sponsor')(bill, args, context);
+            return sponsor ? loadMember(sponsor.bioguideId, context) : null;
+        },
+        cosponsors: async (bill, args, context) => {
+            const cosponsors = (await loaded('bill', 'billId', 'cosponsors')(bill, args, context)) || [];
+            const members = await Promise.all(cosponsors.filter(c => !c.withdrawn).map(c => loadMember(c.bioguideId, context)));
+            return members.filter(Boolean);
+        },
+        rollCalls: bill => listRollCalls()
+            .filter(rc => rc.bill && rc.bill.billId === bill.billId)
+            .sort((a, b) => (a.date || '').localeCompare(b.date || '') || a.number - b.number)
+    },
+    Committee: {
+        name: loaded('committee', 'id', 'name'),
+        chamber: loaded('committee', 'id', 'chamber'),
+        url: loaded('committee', 'id', 'url'),
+        jurisdiction: loaded('committee', 'id', 'jurisdiction'),
+        parent: loaded('committee', 'id', 'parent'),
+        subcommittees: async (committee, args, context) => (await loaded('committee', 'id', 'subcommittees')(committee, args, context)) || [],
+        memberCount: loaded('committee', 'id', 'memberCount'),
+        members: async (committee, { limit }, context) => {
+            checkLimit(limit);
+            return ((await loaded('committee', 'id', 'members')(committee, {}, context)) || []).slice(0, limit);
+        }
+    },
+    CommitteeMember: {
+        member: (seat, args, context) => loadMember(seat.bioguideId, context)
+    }
+};
+
+Object.entries(RESOLVERS).forEach(([typeName, resolvers]) => {
+    const fields = schema.getType(typeName).getFields();
+    Object.entries(resolvers).forEach(([fieldName, resolve]) => { fields[fieldName].resolve = resolve; });
+});
+
+// Depth and cost of the operation that will run, or null when its
+// variables are invalid (execution reports that)
+function measureQuery(document, operationName, variables) {
+    const fragments = new Map();
+    let operation = null;
+    document.definitions.forEach(definition => {
+        if (definition.kind === Kind.FRAGMENT_DEFINITION) fragments.set(definition.name.value, definition);
+        else if (definition.kind === Kind.OPERATION_DEFINITION && !operation
+            && (!operationName || (definition.name && definition.name.value === operationName))) operation = definition;
+    });
+    if (!operation) return null;
+
+    const { coerced, errors } = getVariableValues(schema, operation.variableDefinitions || [], variables || {});
+    if (errors) return null;
+
+    let depth = 0;
+    const cost = (selectionSet, type, level) => selectionSet.selections.reduce((sum, selection) => {
+        if (selection.kind === Kind.INLINE_FRAGMENT) {
+            const on = selection.typeCondition ? schema.getType(selection.typeCondition.name.value) : type;
+            return sum + cost(selection.selectionSet, on, level);
+        }
+        if (selection.kind === Kind.FRAGMENT_SPREAD) {
+            const fragment = fragments.get(selection.name.value);
+            return sum + cost(fragment.selectionSet, schema.getType(fragment.typeCondition.name.value), level);
+        }
+
+        // Introspection is free
+        const name = selection.name.value;
+        if (name.startsWith('__')) return sum;
+        const field = type.getFields()[name];
+        depth = Math.max(depth, level);
+
+        const itemType = getNamedType(field.type);
+        const args = getArgumentValues(field, selection, coerced);
+        const size = LIST_SIZES[`${type.name}.${name}`];
+        const items = !isListType(getNullableType(field.type)) ? 1
+            : size ? Math.min(args.limit || Infinity, size(args))
+                : args.limit || DEFAULT_LIST_SIZE;
+        const itemCost = isObjectType(itemType) ? 1 + (TYPE_COSTS[itemType.name] || 0) : 0;
+        const children = selection.selectionSet ? cost(selection.selectionSet, itemType, level + 1) : 0;
+        return sum + (FIELD_COSTS[`${type.name}.${name}`] || 0) + items * (itemCost + children);
+    }, 0);
+
+    const total = cost(operation.selectionSet, schema.getQueryType(), 1);
+    return { depth, cost: total };
+}
+
+function formatError(error) {
+    const json = error.toJSON();
+    const cause = error.originalError;
+    if (cause && !(cause instanceof GraphQLError)) {
+        console.error(`GraphQL error at ${(error.path || []).join('.')}:`, cause.message);
+        const extensions = {
+            ...(cause.status ? { status: cause.status } : {}),
+            ...(cause.retryAt ? { retryAt: cause.retryAt } : {})
+        };
+        if (Object.keys(extensions).length) json.extensions = { ...json.extensions, ...extensions };
+    }
+    return json;
+}
+
+// Run a GraphQL request: { status, body }. Malformed, invalid and
+// over-limit queries are 400s; anything that runs is a 200 with `data`
+// and any field `errors`.
+async function runQuery({ query, variables, operationName }, lookups) {
+    const rejected = (message, status = 400) => ({ status, body: { errors: [{ message }] } });
+    if (typeof query !== 'string' || !query.trim()) return rejected('Missing query');
+    if (query.length > MAX_QUERY_LENGTH) return rejected(`Query is longer than ${MAX_QUERY_LENGTH} characters`);
+
+    let document;
+    try {
+        document = parse(query);
+    } catch (error) {
+        return { status: 400, body: { errors: [error.toJSON()] } };
+    }
+    const invalid = validate(schema, document);
+    if (invalid.length) return { status: 400, body: { errors: invalid.map(error => error.toJSON()) } };
+
+    const measured = measureQuery(document, operationName, variables);
+    if (measured && measured.depth > CONFIG.GRAPHQL_MAX_DEPTH) {
+        return rejected(`Query depth ${measured.depth} exceeds the limit of ${CONFIG.GRAPHQL_MAX_DEPTH}`);
+    }
+    if (measured && measured.cost > CONFIG.GRAPHQL_MAX_COST) {
+        return rejected(`Query cost ${measured.cost} exceeds the limit of ${CONFIG.GRAPHQL_MAX_COST}; ask for fewer items`);
+    }
+
+    const result = await execute({
+        schema,
+        document,
+        variableValues: variables,
+        operationName,
+        contextValue: { loaders: createLoaders(lookups) }
+    });
+    return {
+        status: 200,
+        body: {
+            ...(result.errors ? { errors: result.errors.map(formatError) } : {}),
+            data: result.data,
+            extensions: { cost: measured ? measured.cost : null }
+        }
+    };
+}
+
+// Express handler for GET (?query=&variables=) and POST (JSON body).
+// `lookups` are the voting record and finance functions the REST routes
+// use, so both return the same data.
+function createGraphqlHandler(lookups) {
+    return async (req, res) => {
+        const params = req.method === 'POST' ? (req.body || {}) : req.query;
+        let variables = params.variables || null;
+        if (typeof variables === 'string') {
+            try {
+                variables = JSON.parse(variables);
+            } catch (error) {
+                return res.status(400).json({ errors: [{ message: 'variables must be JSON' }] });
+            }
+        }
+
+        try {
+            const { status, body } = await runQuery({ query: params.query, variables, operationName: params.operationName || null }, lookups);
+            res.status(status).json(body);
+        } catch (error) {
+            console.error('GraphQL error:', error);
+            res.status(500).json({ errors: [{ message: 'Query failed' }] });
+        }
+    };
+}
+
+module.exports = {
+    createGraphqlHandler
+};
@@ -0,0 +1,274 @@
+const { listRollCalls } = require('./rollcalls');
+const { congressOrdinal } = require('./congressGov');
+
+// Roll calls where the losing side has less than this share of Yea/Nay
+// votes say nothing about ideology (W-NOMINATE uses the same cutoff)
+const MIN_MINORITY_SHARE = 0.025;
+// Members need this many Yea/Nay votes on the remaining roll calls
+const MIN_MEMBER_VOTES = 20;
+// Pairs of members with fewer shared votes get the average distance
+const MIN_SHARED_VOTES = 10;
+const DIMENSIONS = 2;
+const POWER_ITERATIONS = 500;
+
+// Scores per chamber and Congress, recomputed when the roll calls change
+const cache = new Map();
+
+// Member x roll-call matrix for one chamber and Congress: +1 Yea, -1 Nay,
+// 0 for anything else
+function buildVoteMatrix(rollCalls) {
+    const usable = rollCalls.filter(rc => {
+        const { yea, nay } = rc.totals;
+        return yea + nay > 0 && Math.min(yea, nay) / (yea + nay) >= MIN_MINORITY_SHARE;
+    });
+
+    const members = new Map();
+    usable.forEach((rc, column) => {
+        rc.positions.forEach(p => {
+            // Senate positions not yet mapped from their LIS ID
+            if (!p.bioguideId) return;
+            if (!members.has(p.bioguideId)) {
+                members.set(p.bioguideId, {
+                    bioguideId: p.bioguideId,
+                    name: p.name,
+                    party: p.party,
+                    state: p.state,
+                    votes: new Int8Array(usable.length),
+                    cast: 0
+                });
+            }
+            const member = members.get(p.bioguideId);
+            const value = p.position === 'Yea' ? 1 : p.position === 'Nay' ? -1 : 0;
+            member.votes[column] = value;
+            if (value) member.cast++;
+        });
+    });
+
+    return {
+        rollCalls: usable.length,
+        members: Array.from(members.values()).filter(m => m.cast >= MIN_MEMBER_VOTES)
+    };
+}
+
+// Squared disagreement rates between every pair of members
+function squaredDistances(members) {
+    const n = members.length;
+    const distances = Array.from({ length: n }, () => new Float64Array(n));
+    const missing = [];
+    let sum = 0;
+    let count = 0;
+
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const a = members[i].votes;
+            const b = members[j].votes;
+            let shared = 0;
+            let agreed = 0;
+            for (let k = 0; k < a.length; k++) {
+                if (a[k] && b[k]) {
+                    shared++;
+                    if (a[k] === b[k]) agreed++;
+                }
+            }
+            if (shared < MIN_SHARED_VOTES) {
+                missing.push([i, j]);
+                continue;
+            }
+            const d = 1 - agreed / shared;
+            distances[i][j] = distances[j][i] = d * d;
+            sum += d * d;
+            count++;
+        }
+    }
+
+    const average = count ? sum / count : 0;
+    missing.forEach(([i, j]) => { distances[i][j] = distances[j][i] = average; });
+    return distances;
+}
+
+// Classical scaling: double-center the squared distances so the leading
+// eigenvectors are the members' coordinates
+function doubleCenter(distances) {
+    const n = distances.length;
+    const rowMeans = distances.map(row => row.reduce((a, b) => a + b, 0) / n);
+    const grandMean = rowMeans.reduce((a, b) => a + b, 0) / n;
+    return distances.map((row, i) => Float64Array.from(row, (d, j) => -0.5 * (d - rowMeans[i] - rowMeans[j] + grandMean)));
+}
+
+// Leading eigenvalues/vectors of a symmetric matrix by power iteration with
+// deflation. The start vector is fixed so results are reproducible.
+function leadingEigenvectors(matrix, count) {
+    const n = matrix.length;
+    const found = [];
+
+    for (let k = 0; k < count; k++) {
+        let vector = Float64Array.from({ length: n }, (_, i) => 1 + ((i * 7919 + k * 104729) % 97) / 97);
+        let value = 0;
+
+        for (let iteration = 0; iteration < POWER_ITERATIONS; iteration++) {
+            // Stay orthogonal to the vectors already found
+            found.forEach(({ vector: previous }) => {
+                const dot = previous.reduce((sum, v, i) => sum + v * vector[i], 0);
+                for (let i = 0; i < n; i++) vector[i] -= dot * previous[i];
+            });
+
+            const next = new Float64Array(n);
+            for (let i = 0; i < n; i++) {
+                const row = matrix[i];
+                let total = 0;
+                for (let j = 0; j < n; j++) total += row[j] * vector[j];
+                next[i] = total;
+            }
+
+            const norm = Math.sqrt(next.reduce((sum, v) => sum + v * v, 0));
+            if (norm === 0) break;
+            for (let i = 0; i < n; i++) next[i] /= norm;
+
+            const change = next.reduce((sum, v, i) => sum + Math.abs(v - vector[i]), 0);
+            vector = next;
+            value = norm;
+            if (change < 1e-10) break;
+        }
+
+        found.push({ value, vector });
+    }
+    return found;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// Ideal points for one chamber and Congress from the stored roll calls.
+// Each dimension is scaled to -1..1 and oriented so Republicans average
+// positive, as in DW-NOMINATE; the first dimension is the left-right one.
+function computeIdeology(chamber, congress) {
+    const rollCalls = listRollCalls({ chamber, congress });
+    const { members, rollCalls: used } = buildVoteMatrix(rollCalls);
+    if (members.length < 3) return null;
+
+    const centered = doubleCenter(squaredDistances(members));
+    const trace = centered.reduce((sum, row, i) => sum + row[i], 0);
+    const dimensions = leadingEigenvectors(centered, Math.min(DIMENSIONS, members.length - 1)).map(({ value, vector }) => {
+        const coordinates = Array.from(vector, v => v * Math.sqrt(Math.max(value, 0)));
+        const republicans = members.map((m, i) => m.party === 'R' ? coordinates[i] : null).filter(v => v !== null);
+        const flip = republicans.length && republicans.reduce((a, b) => a + b, 0) < 0 ? -1 : 1;
+        const scale = Math.max(...coordinates.map(Math.abs)) || 1;
+        return {
+            coordinates: coordinates.map(v => (flip * v) / scale),
+            explained: trace > 0 ? round(value / trace) : null
+        };
+    });
+
+    const scores = members.map((member, i) => ({
+        bioguideId: member.bioguideId,
+        name: member.name,
+        party: member.party,
+        state: member.state,
+        votes: member.cast,
+        dimensions: dimensions.map(d => round(d.coordinates[i]))
+    }));
+
+    // Rank 1 is furthest left on the first dimension
+    const chamberMedian = median(scores.map(s => s.dimensions[0]));
+    const ranked = [...scores].sort((a, b) => a.dimensions[0] - b.dimensions[0]);
+    const partySizes = {};
+    ranked.forEach((score, index) => {
+        partySizes[score.party] = (partySizes[score.party] || 0) + 1;
+        score.chamberRank = index + 1;
+        score.partyRank = partySizes[score.party];
+    });
+    ranked.forEach(score => {
+        const difference = score.dimensions[0] - chamberMedian;
+        score.partySize = partySizes[score.party];
+        score.relativeToMedian = {
+            difference: round(difference),
+            side: Math.abs(difference) < 1e-9 ? 'median' : difference < 0 ? 'left' : 'right'
+        };
+    });
+
+    return {
+        chamber,
+        congress,
+        method: 'classical scaling (PCA) of pairwise disagreement rates',
+        rollCalls: used,
+        rollCallsStored: rollCalls.length,
+        members: ranked.length,
+        chamberMedian: round(chamberMedian),
+        explained: dimensions.map(d => d.explained),
+        scores: ranked
+    };
+}
+
+const fingerprintOf = rollCalls => `${rollCalls.length}:${rollCalls.reduce((latest, rc) => (rc.date || '') > latest ? rc.date : latest, '')}`;
+
+// Recompute the scores of every chamber and Congress whose stored roll
+// calls changed since they were last scored. Scoring a full House blocks
+// for about a second, so it runs here, from the roll-call sync and after
+// ingestion, rather than in a request; it yields between chambers and
+// Congresses so requests can run in between. Resolves to the keys rescored.
+async function refreshIdeology() {
+    const rescored = [];
+    for (const chamber of ['house', 'senate']) {
+        const stored = listRollCalls({ chamber });
+        const congresses = Array.from(new Set(stored.map(rc => rc.congress))).sort((a, b) => a - b);
+        for (const congress of congresses) {
+            const key = `${chamber}-${congress}`;
+            const fingerprint = fingerprintOf(stored.filter(rc => rc.congress === congress));
+            const hit = cache.get(key);
+            if (hit && hit.fingerprint === fingerprint) continue;
+
+            await new Promise(resolve => setImmediate(resolve));
+            const started = Date.now();
+            const result = computeIdeology(chamber, congress);
+            if (result) {
+                result.computedAt = new Date().toISOString();
+                console.log(`Ideology scores for ${key}: ${result.members} members, ${result.rollCalls} roll calls in ${Date.now() - started}ms`);
+            }
+            cache.set(key, { fingerprint, result });
+            rescored.push(key);
+        }
+    }
+    return rescored;
+}
+
+// Precomputed ideology scores for a chamber and Congress (by default the
+// latest Congress with stored roll calls), or null when there isn't enough
+// data. Never computes: scores not worked out yet throw an error with
+// status 503.
+function getIdeology(chamber, congress = null) {
+    const stored = listRollCalls({ chamber, congress });
+    if (!stored.length) return null;
+    const target = congress || Math.max(...stored.map(rc => rc.congress));
+
+    const key = `${chamber}-${target}`;
+    if (!cache.has(key)) {
+        const error = new Error(`Ideology scores for the ${chamber} in the ${congressOrdinal(target)} Congress are still being computed; try again shortly`);
+        error.status = 503;
+        throw error;
+    }
+    return cache.get(key).result;
+}
+
+// One member's scores, or null
+function getMemberIdeology(member, congress = null) {
+    const ideology = getIdeology(member.chamber, congress);
+    if (!ideology) return null;
+    const score = ideology.scores.find(s => s.bioguideId === member.bioguideId);
+    if (!score) return null;
+
+    const { scores, ...context } = ideology;
+    return { ...context, score };
+}
+
+module.exports = {
+    buildVoteMatrix,
+    computeIdeology,
+    refreshIdeology,
+    getIdeology,
+    getMemberIdeology
+};
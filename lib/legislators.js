@@ -0,0 +1,237 @@
+const fs = require('fs');
+const { dataPath } = require('./config');
+const storage = require('./storage');
+const { upstreamFetch } = require('./upstream');
+
+// unitedstates/congress-legislators datasets (committee data is published alongside)
+const LEGISLATORS_BASE_URL = 'https://unitedstates.github.io/congress-legislators';
+const DATASETS = {
+    current: 'legislators-current.json',
+    historical: 'legislators-historical.json',
+    social: 'legislators-social-media.json'
+};
+
+// ID types the registry is indexed by
+const ID_TYPES = ['bioguide', 'fec', 'govtrack', 'icpsr', 'thomas', 'lis'];
+
+let registry = null;
+let loadedAt = 0;
+let loading = null;
+
+// Read a dataset from DATA_DIR when a local copy exists, otherwise download
+// it. Downloads are kept in storage, so a restart or an outage at GitHub
+// serves the last copy instead of failing. `refresh` forces a download.
+async function fetchDataset(fileName, { refresh = false } = {}) {
+    const localPath = dataPath(null, fileName);
+    if (fs.existsSync(localPath)) {
+        return JSON.parse(fs.readFileSync(localPath, 'utf8'));
+    }
+
+    const download = async () => {
+        const data = await upstreamFetch('legislators', `${LEGISLATORS_BASE_URL}/${fileName}`);
+        console.log(`Legislators dataset ${fileName} downloaded`);
+        return data;
+    };
+
+    return refresh
+        ? storage.refresh('legislators', fileName, download)
+        : storage.cached('legislators', fileName, download);
+}
+
+function buildRegistry(current, historical, social) {
+    const byId = {};
+    ID_TYPES.forEach(type => { byId[type] = new Map(); });
+
+    const socialByBioguide = new Map();
+    (social || []).forEach(entry => {
+        if (entry.id && entry.id.bioguide) {
+            socialByBioguide.set(entry.id.bioguide, entry.social || {});
+        }
+    });
+
+    const add = (leg, inOffice) => {
+        if (!leg.id || !leg.id.bioguide || !leg.terms || leg.terms.length === 0) return;
+        const record = { ...leg, inOffice, social: socialByBioguide.get(leg.id.bioguide) || {} };
+
+        ID_TYPES.forEach(type => {
+            const value = leg.id[type];
+            if (value === undefined || value === null) return;
+            (Array.isArray(value) ? value : [value]).forEach(id => {
+                const key = String(id).toUpperCase();
+                // Current members win over historical records sharing an ID
+                if (!byId[type].has(key) || inOffice) {
+                    byId[type].set(key, record);
+                }
+            });
+        });
+    };
+
+    (historical || []).forEach(leg => add(leg, false));
+    current.forEach(leg => add(leg, true));
+
+    return {
+        byId,
+        current: current.map(leg => byId.bioguide.get(leg.id.bioguide.toUpperCase())).filter(Boolean)
+    };
+}
+
+// Load (or refresh) the registry; concurrent callers share one download
+async function loadLegislators(force = false) {
+    if (!force && registry && Date.now() - loadedAt < storage.getTtl('legislators')) {
+        return registry;
+    }
+    if (loading) return loading;
+
+    loading = (async () => {
+        try {
+            const [current, historical, social] = await Promise.all([
+                fetchDataset(DATASETS.current, { refresh: force }),
+                fetchDataset(DATASETS.historical, { refresh: force }).catch(error => {
+                    console.error('Historical legislators unavailable:', error.message);
+                    return [];
+                }),
+                fetchDataset(DATASETS.social, { refresh: force }).catch(error => {
+                    console.error('Legislator social media unavailable:', error.message);
+                    return [];
+                })
+            ]);
+
+            registry = buildRegistry(current, historical, social);
+            loadedAt = Date.now();
+            console.log(`Legislator registry: ${registry.current.length} current, ${registry.byId.bioguide.size} total`);
+            return registry;
+        } catch (error) {
+            // Keep serving the previous copy if a refresh fails; forced
+            // refreshes report the failure to the caller
+            if (registry && !force) {
+                console.error('Legislator registry refresh failed:', error.message);
+                return registry;
+            }
+            throw error;
+        } finally {
+            loading = null;
+        }
+    })();
+
+    return loading;
+}
+
+// Raw legislators-current.json records
+async function getCurrentLegislators() {
+    const { current } = await loadLegislators();
+    return current;
+}
+
+// Find a legislator record by any indexed ID. Without an idType every
+// index is tried, bioguide first.
+async function findLegislator(id, idType = null) {
+    if (id === undefined || id === null || id === '') return null;
+    const { byId } = await loadLegislators();
+    const key = String(id).toUpperCase();
+    const types = idType ? [idType] : ID_TYPES;
+
+    for (const type of types) {
+        if (byId[type] && byId[type].has(key)) {
+            return byId[type].get(key);
+        }
+    }
+    return null;
+}
+
+// Flatten a legislator record into the member shape used by the routes
+function toMember(leg) {
+    const currentTerm = leg.terms[leg.terms.length - 1];
+    const isSenator = currentTerm.type === 'sen';
+    const social = leg.social || {};
+
+    return {
+        bioguideId: leg.id.bioguide,
+        name: leg.name.official_full || `${leg.name.first} ${leg.name.last}`,
+        firstName: leg.name.first,
+        lastName: leg.name.last,
+        type: isSenator ? 'Senator' : 'Representative',
+        chamber: isSenator ? 'senate' : 'house',
+        party: currentTerm.party,
+        // Independents' caucus ("Democrat" for Sanders and King)
+        caucus: currentTerm.caucus || null,
+        state: currentTerm.state,
+        district: isSenator ? null : currentTerm.district,
+        inOffice: leg.inOffice,
+        termStart: currentTerm.start,
+        termEnd: currentTerm.end,
+        website: currentTerm.url || null,
+        phone: currentTerm.phone || null,
+        office: currentTerm.office || null,
+        contactForm: currentTerm.contact_form || null,
+        fecId: leg.id.fec ? leg.id.fec[0] : null,
+        fecIds: leg.id.fec || [],
+        ids: {
+            bioguide: leg.id.bioguide,
+            fec: leg.id.fec || [],
+            govtrack: leg.id.govtrack || null,
+            icpsr: leg.id.icpsr || null,
+            thomas: leg.id.thomas || null,
+            lis: leg.id.lis || null
+        },
+        social: {
+            twitter: social.twitter || null,
+            facebook: social.facebook || null,
+            youtube: social.youtube || social.youtube_id || null,
+            instagram: social.instagram || null
+        }
+    };
+}
+
+// Biography and full term history for the member profile
+function toBiography(leg) {
+    const terms = leg.terms.map(term => ({
+        chamber: term.type === 'sen' ? 'senate' : 'house',
+        start: term.start,
+        end: term.end,
+        state: term.state,
+        district: term.type === 'sen' ? null : term.district,
+        senateClass: term.class || null,
+        party: term.party,
+        url: term.url || null
+    }));
+    const firstStart = terms.length ? terms[0].start : null;
+
+    return {
+        fullName: leg.name.official_full || [leg.name.first, leg.name.middle, leg.name.last].filter(Boolean).join(' '),
+        nickname: leg.name.nickname || null,
+        birthday: leg.bio ? leg.bio.birthday || null : null,
+        gender: leg.bio ? leg.bio.gender || null : null,
+        firstServed: firstStart,
+        houseTerms: terms.filter(t => t.chamber === 'house').length,
+        senateTerms: terms.filter(t => t.chamber === 'senate').length,
+        leadershipRoles: leg.leadership_roles || [],
+        terms
+    };
+}
+
+// Member lookup for the per-member routes
+async function getMember(id, idType = null) {
+    const leg = await findLegislator(id, idType);
+    return leg ? toMember(leg) : null;
+}
+
+function getRegistryInfo() {
+    return {
+        loaded: !!registry,
+        loadedAt: loadedAt ? new Date(loadedAt).toISOString() : null,
+        currentCount: registry ? registry.current.length : 0,
+        totalCount: registry ? registry.byId.bioguide.size : 0
+    };
+}
+
+module.exports = {
+    ID_TYPES,
+    fetchDataset,
+    loadLegislators,
+    getCurrentLegislators,
+    findLegislator,
+    toMember,
+    toBiography,
+    getMember,
+    getRegistryInfo
+};
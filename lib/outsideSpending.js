@@ -0,0 +1,152 @@
+const { CONFIG } = require('./config');
+const { fetchKeysetPages } = require('./fec');
+
+// FEC committee type codes for groups that spend independently
+const COMMITTEE_TYPE_LABELS = {
+    O: 'Super PAC',
+    U: 'Single-candidate super PAC',
+    V: 'Hybrid PAC',
+    W: 'Hybrid PAC',
+    N: 'PAC',
+    Q: 'PAC',
+    X: 'Party committee',
+    Y: 'Party committee',
+    Z: 'Party committee',
+    I: 'Independent expenditure filer',
+    E: 'Electioneering communication filer',
+    C: 'Communication cost filer'
+};
+
+// Schedule E support_oppose_indicator values
+const SUPPORT_OPPOSE = { S: 'support', O: 'oppose' };
+
+// Independent expenditures (Schedule E) naming the candidate. most_recent
+// keeps only the latest version of amended filings.
+function getScheduleE(candidateId, cycle, maxPages) {
+    return fetchKeysetPages('/schedules/schedule_e/', {
+        candidate_id: candidateId,
+        cycle,
+        most_recent: true,
+        sort: '-expenditure_date'
+    }, { maxPages });
+}
+
+// Electioneering communications (broadcast ads naming the candidate close
+// to an election). They carry no support/oppose flag.
+function getElectioneering(candidateId, cycle, maxPages) {
+    return fetchKeysetPages('/electioneering/', {
+        candidate_id: candidateId,
+        cycle,
+        sort: '-disbursement_date'
+    }, { maxPages });
+}
+
+// "2024-10-03" -> "2024-10" (month) or the Monday starting its week
+function periodOf(date, interval) {
+    if (!date) return 'Undated';
+    const day = date.slice(0, 10);
+    if (interval === 'month') return day.slice(0, 7);
+
+    const parsed = new Date(`${day}T00:00:00Z`);
+    const offset = (parsed.getUTCDay() + 6) % 7;
+    parsed.setUTCDate(parsed.getUTCDate() - offset);
+    return parsed.toISOString().slice(0, 10);
+}
+
+const round = amount => Math.round(amount * 100) / 100;
+
+// Outside spending for and against a candidate in a cycle: totals, the
+// committees doing the spending, and a timeline by month or week
+async function getOutsideSpending(match, cycle, { interval = 'month', maxPages = CONFIG.FEC_MAX_PAGES } = {}) {
+    const [expenditures, electioneering] = await Promise.all([
+        getScheduleE(match.candidateId, cycle, maxPages),
+        getElectioneering(match.candidateId, cycle, maxPages)
+    ]);
+
+    const totals = { support: 0, oppose: 0, unknown: 0, electioneering: 0 };
+    const committees = new Map();
+    const timeline = new Map();
+
+    function add(kind, amount, committee, date) {
+        totals[kind] += amount;
+
+        const key = committee.id || committee.name;
+        if (!committees.has(key)) {
+            committees.set(key, {
+                committeeId: committee.id || null,
+                name: committee.name || 'Unnamed committee',
+                type: committee.type || null,
+                typeLabel: COMMITTEE_TYPE_LABELS[committee.type] || 'Other',
+                support: 0,
+                oppose: 0,
+                unknown: 0,
+                electioneering: 0
+            });
+        }
+        committees.get(key)[kind] += amount;
+
+        const period = periodOf(date, interval);
+        if (!timeline.has(period)) timeline.set(period, { period, support: 0, oppose: 0, unknown: 0, electioneering: 0 });
+        timeline.get(period)[kind] += amount;
+    }
+
+    expenditures.results
+        // Memo entries repeat amounts reported on another line
+        .filter(item => item.memo_code !== 'X')
+        .forEach(item => {
+            // Lines filed without an indicator are neither; counting them as
+            // support would inflate it
+            const kind = SUPPORT_OPPOSE[item.support_oppose_indicator] || 'unknown';
+            const committee = item.committee || {};
+            add(kind, item.expenditure_amount || 0, {
+                id: item.committee_id,
+                name: committee.name || item.committee_name,
+                type: committee.committee_type
+            }, item.expenditure_date || item.dissemination_date);
+        });
+
+    electioneering.results.forEach(item => {
+        // A communication naming several candidates is split between them
+        const amount = item.calculated_candidate_share ?? item.disbursement_amount ?? 0;
+        add('electioneering', amount, {
+            id: item.committee_id,
+            name: item.committee_name,
+            type: 'E'
+        }, item.disbursement_date || item.public_distribution_date);
+    });
+
+    const byCommittee = Array.from(committees.values())
+        .map(c => ({
+            ...c,
+            support: round(c.support),
+            oppose: round(c.oppose),
+            unknown: round(c.unknown),
+            electioneering: round(c.electioneering),
+            total: round(c.support + c.oppose + c.unknown + c.electioneering)
+        }))
+        .sort((a, b) => b.total - a.total);
+
+    return {
+        candidateId: match.candidateId,
+        cycle,
+        interval,
+        complete: expenditures.complete && electioneering.complete,
+        rateLimited: expenditures.rateLimited || electioneering.rateLimited,
+        totals: {
+            support: round(totals.support),
+            oppose: round(totals.oppose),
+            unknown: round(totals.unknown),
+            electioneering: round(totals.electioneering),
+            total: round(totals.support + totals.oppose + totals.unknown + totals.electioneering)
+        },
+        byCommittee,
+        timeline: Array.from(timeline.values())
+            .map(p => ({ ...p, support: round(p.support), oppose: round(p.oppose), unknown: round(p.unknown), electioneering: round(p.electioneering) }))
+            .sort((a, b) => a.period.localeCompare(b.period))
+    };
+}
+
+module.exports = {
+    COMMITTEE_TYPE_LABELS,
+    getOutsideSpending
+};
@@ -0,0 +1,423 @@
+const fs = require('fs');
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+const { findLegislator } = require('./legislators');
+const { BILL_TYPES, formatBillId } = require('./congressGov');
+const storage = require('./storage');
+const { upstreamFetch } = require('./upstream');
+
+const HOUSE_CLERK_URL = 'https://clerk.house.gov/evs';
+const SENATE_LIS_URL = 'https://www.senate.gov/legislative/LIS';
+
+const MONTHS = {
+    jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06',
+    jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12',
+    january: '01', february: '02', march: '03', april: '04', june: '06', july: '07',
+    august: '08', september: '09', october: '10', november: '11', december: '12'
+};
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    parseTagValue: false,
+    trimValues: true,
+    isArray: (name, jpath) => [
+        'rollcall-vote.vote-data.recorded-vote',
+        'roll_call_vote.members.member',
+        'vote_summary.votes.vote'
+    ].includes(jpath)
+});
+
+// Roll calls by id ("house-119-1-12"), and bioguide -> Set of roll call ids.
+// Storage holds the durable copy; these are the in-process indexes over it.
+const rollCalls = new Map();
+const memberIndex = new Map();
+
+function text(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'object') return value['#text'] !== undefined ? String(value['#text']) : null;
+    return String(value);
+}
+
+function toInt(value) {
+    const number = parseInt(text(value), 10);
+    return isNaN(number) ? null : number;
+}
+
+// "Aye"/"No" (House recorded votes) and "Yea"/"Nay" (yea-and-nay votes)
+// mean the same thing; keep one spelling
+function normalizePosition(value) {
+    const position = (text(value) || '').trim();
+    const lower = position.toLowerCase();
+    if (lower === 'aye' || lower === 'yea' || lower === 'yes') return 'Yea';
+    if (lower === 'no' || lower === 'nay') return 'Nay';
+    if (lower === 'not voting') return 'Not Voting';
+    if (lower === 'present') return 'Present';
+    return position || 'Not Voting';
+}
+
+// "H R 23", "H.R. 23", "S. 5" -> { type, number }
+function parseBillReference(reference, congress) {
+    const match = (reference || '').replace(/\./g, '').match(/^\s*([A-Za-z ]+?)\s*(\d+)\s*$/);
+    if (!match) return null;
+    const type = match[1].replace(/\s+/g, '').toLowerCase();
+    if (!BILL_TYPES.includes(type)) return null;
+    return {
+        billId: formatBillId(type, match[2], congress),
+        type,
+        number: match[2],
+        congress
+    };
+}
+
+function tally(positions) {
+    const totals = { yea: 0, nay: 0, present: 0, notVoting: 0 };
+    positions.forEach(p => {
+        if (p.position === 'Yea') totals.yea++;
+        else if (p.position === 'Nay') totals.nay++;
+        else if (p.position === 'Present') totals.present++;
+        else if (p.position === 'Not Voting') totals.notVoting++;
+    });
+    return totals;
+}
+
+// House Clerk rollcall-vote XML (clerk.house.gov/evs/YYYY/rollNNN.xml)
+function parseHouseRollCall(xml, source = null) {
+    const doc = parser.parse(xml)['rollcall-vote'];
+    if (!doc) throw new Error('Not a House rollcall-vote document');
+
+    const meta = doc['vote-metadata'];
+    const congress = toInt(meta.congress);
+    const session = toInt((text(meta.session) || '').replace(/\D/g, ''));
+    const number = toInt(meta['rollcall-num']);
+
+    // "22-Jan-2025"
+    const [day, month, year] = (text(meta['action-date']) || '').split('-');
+    const date = year ? `${year}-${MONTHS[month.toLowerCase()]}-${day.padStart(2, '0')}` : null;
+
+    const positions = ((doc['vote-data'] || {})['recorded-vote'] || []).map(rv => ({
+        bioguideId: rv.legislator['name-id'],
+        name: text(rv.legislator['unaccented-name']) || text(rv.legislator),
+        party: rv.legislator.party || null,
+        state: rv.legislator.state || null,
+        position: normalizePosition(rv.vote)
+    })).filter(p => p.bioguideId);
+
+    return {
+        id: `house-${congress}-${session}-${number}`,
+        chamber: 'house',
+        congress,
+        session,
+        number,
+        date,
+        question: text(meta['vote-question']),
+        title: text(meta['vote-desc']),
+        result: text(meta['vote-result']),
+        voteType: text(meta['vote-type']),
+        bill: parseBillReference(text(meta['legis-num']), congress),
+        totals: tally(positions),
+        positions,
+        source
+    };
+}
+
+// Senate roll_call_vote XML. Members are identified by LIS ID, which is
+// mapped to bioguide through the legislator registry. Members the registry
+// doesn't know yet (e.g. just sworn in) keep bioguideId: null and their LIS
+// ID, so remapRollCallMembers can fill them in after a registry refresh.
+async function parseSenateRollCall(xml, source = null) {
+    const doc = parser.parse(xml).roll_call_vote;
+    if (!doc) throw new Error('Not a Senate roll_call_vote document');
+
+    const congress = toInt(doc.congress);
+    const session = toInt(doc.session);
+    const number = toInt(doc.vote_number);
+
+    // "January 9, 2025, 11:50 AM"
+    const dateMatch = (text(doc.vote_date) || '').match(/([A-Za-z]+)\s+(\d{1,2}),\s*(\d{4})/);
+    const date = dateMatch ? `${dateMatch[3]}-${MONTHS[dateMatch[1].toLowerCase()]}-${dateMatch[2].padStart(2, '0')}` : null;
+
+    const members = (doc.members && doc.members.member) || [];
+    const positions = [];
+    const unmatched = [];
+
+    for (const member of members) {
+        const lisId = text(member.lis_member_id);
+        const legislator = lisId ? await findLegislator(lisId, 'lis') : null;
+        if (!legislator) unmatched.push(lisId);
+        positions.push({
+            bioguideId: legislator ? legislator.id.bioguide : null,
+            lisId,
+            name: `${text(member.first_name)} ${text(member.last_name)}`,
+            party: text(member.party),
+            state: text(member.state),
+            position: normalizePosition(member.vote_cast)
+        });
+    }
+
+    if (unmatched.length > 0) {
+        console.warn(`Senate vote ${congress}-${session}-${number}: no bioguide ID for LIS ${unmatched.join(', ')}`);
+    }
+
+    const document = doc.document || {};
+    const bill = parseBillReference(`${text(document.document_type) || ''} ${text(document.document_number) || ''}`, toInt(document.document_congress) || congress);
+
+    return {
+        id: `senate-${congress}-${session}-${number}`,
+        chamber: 'senate',
+        congress,
+        session,
+        number,
+        date,
+        question: text(doc.vote_question_text) || text(doc.question),
+        title: text(document.document_title) || text(doc.vote_title) || text(doc.vote_document_text),
+        result: text(doc.vote_result) || text(doc.vote_result_text),
+        voteType: text(doc.majority_requirement) ? `${text(doc.majority_requirement)} majority` : null,
+        bill,
+        totals: tally(positions),
+        positions,
+        source
+    };
+}
+
+// Senate vote_menu XML: the list of roll calls in a session
+function parseSenateVoteMenu(xml) {
+    const doc = parser.parse(xml).vote_summary;
+    if (!doc) throw new Error('Not a Senate vote_summary document');
+
+    return {
+        congress: toInt(doc.congress),
+        session: toInt(doc.session),
+        votes: ((doc.votes && doc.votes.vote) || []).map(vote => ({
+            number: toInt(vote.vote_number),
+            date: text(vote.vote_date),
+            issue: text(vote.issue),
+            question: text(vote.question),
+            result: text(vote.result),
+            title: text(vote.title)
+        }))
+    };
+}
+
+// Detect the format of a roll-call XML document and parse it
+async function parseRollCallXml(xml, source = null) {
+    if (xml.includes('<rollcall-vote')) return parseHouseRollCall(xml, source);
+    if (xml.includes('<roll_call_vote')) return parseSenateRollCall(xml, source);
+    throw new Error('Unrecognized roll-call XML format');
+}
+
+function indexRollCall(rollCall) {
+    const previous = rollCalls.get(rollCall.id);
+    if (previous) {
+        previous.positions.forEach(p => {
+            const ids = memberIndex.get(p.bioguideId);
+            if (ids) ids.delete(rollCall.id);
+        });
+    }
+
+    rollCalls.set(rollCall.id, rollCall);
+    rollCall.positions.forEach(p => {
+        if (!p.bioguideId) return;
+        if (!memberIndex.has(p.bioguideId)) memberIndex.set(p.bioguideId, new Set());
+        memberIndex.get(p.bioguideId).add(rollCall.id);
+    });
+}
+
+// Save a parsed roll call and add it to the indexes
+function storeRollCall(rollCall) {
+    storage.set('rollcalls', rollCall.id, rollCall);
+    indexRollCall(rollCall);
+    return rollCall;
+}
+
+// Rebuild the indexes from storage
+function loadRollCallStore() {
+    try {
+        storage.list('rollcalls').forEach(indexRollCall);
+        if (rollCalls.size > 0) console.log(`Loaded ${rollCalls.size} stored roll calls`);
+    } catch (error) {
+        console.error('Error loading stored roll calls:', error.message);
+    }
+    return rollCalls.size;
+}
+
+// Map Senate positions stored without a bioguide ID through the (refreshed)
+// legislator registry. Returns the number of positions mapped.
+async function remapRollCallMembers() {
+    let mapped = 0;
+    for (const rollCall of Array.from(rollCalls.values())) {
+        if (!rollCall.positions.some(p => !p.bioguideId && p.lisId)) continue;
+
+        let changed = false;
+        const positions = [];
+        for (const p of rollCall.positions) {
+            const legislator = !p.bioguideId && p.lisId ? await findLegislator(p.lisId, 'lis') : null;
+            if (legislator) {
+                positions.push({ ...p, bioguideId: legislator.id.bioguide });
+                changed = true;
+                mapped++;
+            } else {
+                positions.push(p);
+            }
+        }
+        // A new object, so per-roll-call caches elsewhere are recounted
+        if (changed) storeRollCall({ ...rollCall, positions });
+    }
+
+    if (mapped > 0) console.log(`Mapped ${mapped} stored Senate positions to bioguide IDs`);
+    return mapped;
+}
+
+// Ingest every roll-call XML file in a directory
+async function ingestDirectory(directory) {
+    if (!directory || !fs.existsSync(directory)) return 0;
+
+    let count = 0;
+    for (const name of fs.readdirSync(directory).filter(n => /\.xml$/i.test(n))) {
+        const filePath = path.join(directory, name);
+        try {
+            const xml = fs.readFileSync(filePath, 'utf8');
+            if (xml.includes('<vote_summary')) continue; // menus carry no positions
+            storeRollCall(await parseRollCallXml(xml, filePath));
+            count++;
+        } catch (error) {
+            console.error(`Error ingesting ${name}:`, error.message);
+        }
+    }
+
+    if (count > 0) {
+        console.log(`Ingested ${count} roll calls from ${directory}`);
+    }
+    return count;
+}
+
+// Roll-call XML from the Clerk (houseClerk) or the Senate (senate); null
+// for a vote that doesn't exist yet
+function fetchXml(provider, url) {
+    return upstreamFetch(provider, url, { type: 'text', notFound: null });
+}
+
+// Pull House roll calls for a year from the Clerk, starting after the
+// highest one already stored, until the Clerk has no more
+async function syncHouseRollCalls(year = new Date().getFullYear(), { maxVotes = 100 } = {}) {
+    const stored = Array.from(rollCalls.values())
+        .filter(rc => rc.chamber === 'house' && rc.date && rc.date.startsWith(String(year)))
+        .map(rc => rc.number);
+    let number = stored.length ? Math.max(...stored) + 1 : 1;
+    let count = 0;
+
+    while (count < maxVotes) {
+        const url = `${HOUSE_CLERK_URL}/${year}/roll${String(number).padStart(3, '0')}.xml`;
+        const xml = await fetchXml('houseClerk', url);
+        if (!xml) break;
+        storeRollCall(parseHouseRollCall(xml, url));
+        count++;
+        number++;
+    }
+
+    return count;
+}
+
+// Pull Senate roll calls for a session: read the vote menu, then fetch each
+// roll call that isn't stored yet
+async function syncSenateRollCalls(congress, session, { maxVotes = 100 } = {}) {
+    const menuXml = await fetchXml('senate', `${SENATE_LIS_URL}/roll_call_lists/vote_menu_${congress}_${session}.xml`);
+    if (!menuXml) return 0;
+
+    const menu = parseSenateVoteMenu(menuXml);
+    const missing = menu.votes
+        .filter(v => !rollCalls.has(`senate-${congress}-${session}-${v.number}`))
+        .sort((a, b) => a.number - b.number)
+        .slice(0, maxVotes);
+    let count = 0;
+
+    for (const vote of missing) {
+        const url = `${SENATE_LIS_URL}/roll_call_votes/vote${congress}${session}/vote_${congress}_${session}_${String(vote.number).padStart(5, '0')}.xml`;
+        const xml = await fetchXml('senate', url);
+        if (!xml) continue;
+        storeRollCall(await parseSenateRollCall(xml, url));
+        count++;
+    }
+
+    return count;
+}
+
+// The official XML a roll call is published as, whatever it was ingested from
+function rollCallUrl(rc) {
+    const number = String(rc.number);
+    return rc.chamber === 'house'
+        ? `${HOUSE_CLERK_URL}/${(rc.date || '').slice(0, 4)}/roll${number.padStart(3, '0')}.xml`
+        : `${SENATE_LIS_URL}/roll_call_votes/vote${rc.congress}${rc.session}/vote_${rc.congress}_${rc.session}_${number.padStart(5, '0')}.xml`;
+}
+
+function getRollCall(id) {
+    return rollCalls.get(id) || null;
+}
+
+// Stored roll calls, optionally limited to a chamber, Congress and session
+function listRollCalls({ chamber = null, congress = null, session = null } = {}) {
+    return Array.from(rollCalls.values()).filter(rc =>
+        (!chamber || rc.chamber === chamber)
+        && (!congress || rc.congress === congress)
+        && (!session || rc.session === session));
+}
+
+// Stored roll calls a member appears in (including as Not Voting)
+function getMemberRollCalls(bioguideId) {
+    const ids = memberIndex.get(bioguideId);
+    return ids ? Array.from(ids).map(id => rollCalls.get(id)) : [];
+}
+
+// A member's stored votes, newest first, in the raw vote shape
+// getVotingRecord groups
+function getStoredMemberVotes(bioguideId) {
+    const ids = memberIndex.get(bioguideId);
+    if (!ids) return [];
+
+    return Array.from(ids)
+        .map(id => rollCalls.get(id))
+        .sort((a, b) => (b.date || '').localeCompare(a.date || '') || b.number - a.number)
+        .map(rc => {
+            const position = rc.positions.find(p => p.bioguideId === bioguideId);
+            return {
+                congress: rc.congress,
+                session: rc.session,
+                chamber: rc.chamber,
+                roll_call: rc.number,
+                date: rc.date,
+                question: rc.question,
+                description: rc.title || rc.question,
+                result: rc.result,
+                position: position ? position.position : 'Not Voting',
+                bill: rc.bill ? { bill_id: rc.bill.billId, title: rc.title } : null,
+                source: 'roll-call-xml'
+            };
+        });
+}
+
+function getRollCallInfo() {
+    const byChamber = { house: 0, senate: 0 };
+    rollCalls.forEach(rc => { byChamber[rc.chamber]++; });
+    return { count: rollCalls.size, ...byChamber, members: memberIndex.size };
+}
+
+module.exports = {
+    normalizePosition,
+    parseBillReference,
+    parseHouseRollCall,
+    parseSenateRollCall,
+    parseSenateVoteMenu,
+    parseRollCallXml,
+    storeRollCall,
+    loadRollCallStore,
+    remapRollCallMembers,
+    ingestDirectory,
+    syncHouseRollCalls,
+    syncSenateRollCalls,
+    rollCallUrl,
+    getRollCall,
+    listRollCalls,
+    getMemberRollCalls,
+    getStoredMemberVotes,
+    getRollCallInfo
+};
@@ -0,0 +1,166 @@
+const storage = require('./storage');
+
+const HOUR = 60 * 60 * 1000;
+// Runs kept per job
+const HISTORY_LIMIT = 20;
+// setTimeout overflows past ~24.8 days, so long waits are taken in steps
+const MAX_TIMER_DELAY = 24 * HOUR;
+
+// name -> { name, dataset, description, intervalMs, shouldRun, run, timer, running }
+const jobs = new Map();
+// Called with (name, run) after every run, e.g. to react to fresh data
+const completionListeners = [];
+let started = false;
+
+// Register a background job.
+// - intervalMs: how often the job is due
+// - shouldRun(now, lastSuccess): optional extra gate for scheduled runs,
+//   e.g. only while Congress is in session (manual runs skip it)
+// - run(): does the work and resolves to a short summary for the history
+function registerJob({ name, dataset = name, description = '', intervalMs, shouldRun = null, run }) {
+    if (jobs.has(name)) throw new Error(`Job already registered: ${name}`);
+    jobs.set(name, { name, dataset, description, intervalMs, shouldRun, run, timer: null, running: null });
+}
+
+// Run history is kept in storage so it survives restarts
+function getHistory(name) {
+    return storage.get('jobs', name) || [];
+}
+
+function recordRun(name, run) {
+    const history = [run, ...getHistory(name)].slice(0, HISTORY_LIMIT);
+    storage.set('jobs', name, history);
+}
+
+function lastSuccess(name) {
+    const run = getHistory(name).find(r => r.status === 'ok');
+    return run ? run.finishedAt : null;
+}
+
+// Run a job now. Overlapping calls share the run in progress.
+function runJob(name, { trigger = 'manual' } = {}) {
+    const job = jobs.get(name);
+    if (!job) return Promise.reject(new Error(`Unknown job: ${name}`));
+    if (job.running) return job.running;
+
+    job.running = (async () => {
+        const startedAt = new Date();
+        const run = { trigger, startedAt: startedAt.toISOString(), finishedAt: null, durationMs: null, status: 'ok', result: null, error: null };
+
+        try {
+            run.result = (await job.run()) || null;
+        } catch (error) {
+            console.error(`Job ${name} failed:`, error.message);
+            run.status = 'error';
+            run.error = error.message;
+        }
+
+        run.finishedAt = new Date().toISOString();
+        run.durationMs = Date.now() - startedAt.getTime();
+        recordRun(name, run);
+        completionListeners.forEach(listener => {
+            try {
+                listener(name, run);
+            } catch (error) {
+                console.error(`Job ${name} completion listener failed:`, error.message);
+            }
+        });
+        return run;
+    })().finally(() => {
+        job.running = null;
+    });
+
+    return job.running;
+}
+
+// Listen for finished runs of any job
+function onJobComplete(listener) {
+    completionListeners.push(listener);
+}
+
+// Time until the job is next due, based on its last run of any outcome
+function nextDelay(job) {
+    const [latest] = getHistory(job.name);
+    if (!latest) return 0;
+    const due = new Date(latest.startedAt).getTime() + job.intervalMs;
+    return Math.max(0, due - Date.now());
+}
+
+function schedule(job, delay = nextDelay(job)) {
+    clearTimeout(job.timer);
+    job.timer = setTimeout(async () => {
+        if (delay > MAX_TIMER_DELAY) return schedule(job, delay - MAX_TIMER_DELAY);
+
+        const now = new Date();
+        if (!job.shouldRun || job.shouldRun(now, lastSuccess(job.name))) {
+            await runJob(job.name, { trigger: 'schedule' });
+            return schedule(job);
+        }
+        // Not wanted right now; check again in an hour (or sooner for
+        // jobs that run more often than that)
+        schedule(job, Math.min(HOUR, job.intervalMs));
+    }, Math.min(delay, MAX_TIMER_DELAY));
+
+    // Timers never keep the process alive on their own
+    job.timer.unref();
+}
+
+// Start timers for every registered job. Jobs overdue from before a
+// restart run straight away.
+function startScheduler() {
+    if (started) return;
+    started = true;
+    jobs.forEach(job => schedule(job));
+}
+
+function stopScheduler() {
+    started = false;
+    jobs.forEach(job => {
+        clearTimeout(job.timer);
+        job.timer = null;
+    });
+}
+
+function getJob(name) {
+    return jobs.get(name) || null;
+}
+
+// Summary of every job for /api/health and the admin routes
+function getJobsInfo({ historyLimit = 5 } = {}) {
+    return Array.from(jobs.values()).map(job => {
+        const history = getHistory(job.name);
+        return {
+            name: job.name,
+            dataset: job.dataset,
+            description: job.description,
+            intervalHours: job.intervalMs / HOUR,
+            running: !!job.running,
+            lastRun: history[0] || null,
+            lastSuccess: lastSuccess(job.name),
+            history: history.slice(0, historyLimit)
+        };
+    });
+}
+
+// dataset -> timestamp of its most recent successful sync
+function getDatasetFreshness() {
+    const freshness = {};
+    jobs.forEach(job => {
+        const success = lastSuccess(job.name);
+        if (!freshness[job.dataset] || (success && success > freshness[job.dataset])) {
+            freshness[job.dataset] = success;
+        }
+    });
+    return freshness;
+}
+
+module.exports = {
+    registerJob,
+    runJob,
+    onJobComplete,
+    startScheduler,
+    stopScheduler,
+    getJob,
+    getJobsInfo,
+    getDatasetFreshness
+};
@@ -0,0 +1,224 @@
+const { currentCongress, parseBillId } = require('./congressGov');
+const { parseBillReference, listRollCalls, getMemberRollCalls, rollCallUrl } = require('./rollcalls');
+const { getMemberSpeeches, quotePassage } = require('./transcripts');
+
+const BILL_LABELS = {
+    hr: 'H.R.', s: 'S.', hres: 'H.Res.', sres: 'S.Res.',
+    hjres: 'H.J.Res.', sjres: 'S.J.Res.', hconres: 'H.Con.Res.', sconres: 'S.Con.Res.'
+};
+
+// "H.R. 23", "H. R. 23", "S.J. Res. 4" and so on. Longer forms come first so
+// "S." doesn't claim "S. Res."; the lookbehind skips "U.S. 50".
+const BILL_CITATION = /(?<![A-Za-z.])(H\. ?J\. ?Res\.|H\. ?Con\. ?Res\.|H\. ?Res\.|H\. ?R\.|S\. ?J\. ?Res\.|S\. ?Con\. ?Res\.|S\. ?Res\.|S\.) ?(\d{1,5})\b/g;
+
+// Phrases that state a position on the measure being discussed. Negated
+// support ("cannot support") is removed before support is looked for.
+const NEGATED_SUPPORT = /\b(?:cannot|can't|can not|could not|will not|won't|do not|don't|did not|not) (?:\w+ )?support\b/gi;
+const SUPPORT_CUES = [
+    /\b(?:rise|stand|speak) (?:today )?in (?:strong )?support\b/i,
+    /\bin (?:strong )?support of\b/i,
+    /\burge (?:my colleagues|all members|members|the (?:house|senate)) to (?:support|pass|vote (?:yes|aye|yea|for))\b/i,
+    /\bvote (?:yes|aye|yea)\b/i,
+    /\bproud to (?:support|cosponsor|sponsor|introduce|vote for)\b/i,
+    /\bi (?:\w+ )?support(?:ed)?\b/i,
+    /\bsupport (?:this|the) (?:bill|legislation|resolution|measure)\b/i,
+    /\bdeserves (?:a vote|our support|to pass|to become law)\b/i
+];
+const OPPOSE_CUES = [
+    NEGATED_SUPPORT,
+    /\b(?:rise|stand|speak) (?:today )?in (?:strong )?opposition\b/i,
+    /\bin (?:strong )?opposition to\b/i,
+    /\burge (?:my colleagues|all members|members|the (?:house|senate)) to (?:oppose|reject|vote (?:no|nay|against))\b/i,
+    /\bvote (?:no|nay|against)\b/i,
+    /\bi (?:\w+ )?opposed?\b/i,
+    /\boppose (?:this|the) (?:bill|legislation|resolution|measure)\b/i,
+    /\bagainst (?:this|the) (?:bill|legislation|resolution|measure)\b/i
+];
+
+// How a Yea reads on a question about the bill itself. Amendments, motions
+// to table and other procedure say nothing about the bill, so they return
+// null and aren't compared.
+function questionDirection(question) {
+    const q = question || '';
+    if (/motion to concur/i.test(q)) return 1;
+    if (/amendment|table|adjourn|point of order|quorum/i.test(q)) return null;
+    if (/recommit/i.test(q)) return -1;
+    if (/passage|pass|agree|adopt|concur|override|cloture|suspend|proceed/i.test(q)) return 1;
+    return null;
+}
+
+function cueMatches(text, cues) {
+    return cues.map(cue => text.match(new RegExp(cue.source, 'i'))).filter(Boolean).map(match => match[0]);
+}
+
+// support, oppose or unclear, with the phrases that decided it
+function classifyStance(text) {
+    const oppose = cueMatches(text, OPPOSE_CUES);
+    const support = cueMatches(text.replace(NEGATED_SUPPORT, ' '), SUPPORT_CUES);
+    if (support.length && !oppose.length) return { stance: 'support', cues: support };
+    if (oppose.length && !support.length) return { stance: 'oppose', cues: oppose };
+    return { stance: 'unclear', cues: [...support, ...oppose] };
+}
+
+function voteStance(rc, position) {
+    const direction = questionDirection(rc.question);
+    if (!direction || !['Yea', 'Nay'].includes(position)) return null;
+    return (position === 'Yea') === (direction === 1) ? 'support' : 'oppose';
+}
+
+function billLabel(billId) {
+    const bill = parseBillId(billId);
+    return bill ? `${BILL_LABELS[bill.type] || bill.type.toUpperCase()} ${bill.number}` : billId;
+}
+
+// Short titles of the bills stored roll calls were on, e.g. "Laken Riley
+// Act", by Congress. Vote descriptions that aren't names are skipped.
+function billTitles() {
+    const titles = new Map();
+    listRollCalls().forEach(rc => {
+        if (!rc.bill || !rc.title || rc.title.length < 10 || !/\b(?:Act|Resolution)\b/.test(rc.title)) return;
+        if (/^(?:providing for|on motion|motion)/i.test(rc.title)) return;
+        titles.set(`${rc.bill.congress}|${rc.title.toLowerCase()}`, { billId: rc.bill.billId, title: rc.title });
+    });
+    return titles;
+}
+
+// Bills a speech mentions, by citation or short title: billId -> offsets
+function findMentions(speech, congress, titles) {
+    const mentions = new Map();
+    const add = (billId, start, end) => {
+        if (!mentions.has(billId)) mentions.set(billId, []);
+        mentions.get(billId).push({ start, end });
+    };
+
+    let match;
+    BILL_CITATION.lastIndex = 0;
+    while ((match = BILL_CITATION.exec(speech.text)) !== null) {
+        const bill = parseBillReference(`${match[1]} ${match[2]}`, congress);
+        if (bill) add(bill.billId, match.index, match.index + match[0].length);
+    }
+
+    const lower = speech.text.toLowerCase();
+    titles.forEach(({ billId, title }, key) => {
+        if (!key.startsWith(`${congress}|`)) return;
+        for (let at = lower.indexOf(title.toLowerCase()); at !== -1; at = lower.indexOf(title.toLowerCase(), at + 1)) {
+            add(billId, at, at + title.length);
+        }
+    });
+    return mentions;
+}
+
+// The paragraphs of a speech around some offsets
+function paragraphsAt(text, offsets) {
+    return offsets.map(({ start }) => {
+        const from = text.lastIndexOf('\n', start - 1) + 1;
+        const to = text.indexOf('\n', start);
+        return text.slice(from, to === -1 ? text.length : to);
+    });
+}
+
+// Floor speeches of a member that mention a bill, each next to the member's
+// recorded votes on that bill, with the pairs that disagree flagged: e.g.
+// speaking against a bill, then voting Yea on its passage.
+function getStatementsVsVotes(member) {
+    const titles = billTitles();
+    const votesByBill = new Map();
+    getMemberRollCalls(member.bioguideId).forEach(rc => {
+        if (!rc.bill) return;
+        if (!votesByBill.has(rc.bill.billId)) votesByBill.set(rc.bill.billId, []);
+        votesByBill.get(rc.bill.billId).push(rc);
+    });
+
+    const speeches = getMemberSpeeches(member.bioguideId);
+    const items = [];
+    speeches.forEach(entry => {
+        const { speech, granule } = entry;
+        const congress = currentCongress(new Date(`${granule.date}T00:00:00Z`)).congress;
+        const mentions = findMentions(speech, congress, titles);
+
+        mentions.forEach((offsets, billId) => {
+            offsets.sort((a, b) => a.start - b.start);
+            // The position is read from the paragraphs naming the bill; a
+            // speech about one bill alone is read whole
+            let reading = classifyStance(paragraphsAt(speech.text, offsets).join('\n'));
+            if (reading.stance === 'unclear' && mentions.size === 1) reading = classifyStance(speech.text);
+
+            const cited = offsets[0];
+            const passage = quotePassage(entry, cited.start, cited.end);
+            const bill = parseBillId(billId);
+            const rollCalls = (votesByBill.get(billId) || [])
+                .sort((a, b) => (a.date || '').localeCompare(b.date || '') || a.number - b.number);
+
+            const votes = rollCalls.map(rc => {
+                const vote = rc.positions.find(p => p.bioguideId === member.bioguideId);
+                const position = vote ? vote.position : 'Not Voting';
+                const stance = voteStance(rc, position);
+                return {
+                    rollCallId: rc.id,
+                    chamber: rc.chamber,
+                    date: rc.date,
+                    question: rc.question,
+                    result: rc.result,
+                    position,
+                    stance,
+                    matchesStatement: stance && reading.stance !== 'unclear' ? stance === reading.stance : null,
+                    url: rollCallUrl(rc)
+                };
+            });
+
+            const compared = votes.filter(vote => vote.matchesStatement !== null);
+            const mismatched = compared.filter(vote => !vote.matchesStatement);
+            let verdict;
+            if (rollCalls.length === 0) verdict = 'no votes';
+            else if (reading.stance === 'unclear') verdict = 'unclear statement';
+            else if (compared.length === 0) verdict = 'no comparable votes';
+            else verdict = mismatched.length ? 'mismatch' : 'consistent';
+
+            const label = billLabel(billId);
+            items.push({
+                bill: {
+                    billId,
+                    label,
+                    title: (rollCalls.find(rc => rc.title) || {}).title || null,
+                    url: bill ? `/api/bills/${bill.congress}/${bill.type}/${bill.number}` : null
+                },
+                statement: {
+                    speechId: speech.id,
+                    date: granule.date,
+                    title: granule.title,
+                    stance: reading.stance,
+                    cues: reading.cues,
+                    passage: passage.text,
+                    snippet: passage.snippet,
+                    citation: passage.citation
+                },
+                votes,
+                verdict,
+                flags: mismatched.map(vote =>
+                    `Spoke ${reading.stance === 'support' ? 'in support of' : 'against'} ${label} on ${granule.date}`
+                    + ` but voted ${vote.position} on "${vote.question}" on ${vote.date}`)
+            });
+        });
+    });
+
+    const count = verdict => items.filter(item => item.verdict === verdict).length;
+    return {
+        summary: {
+            speeches: speeches.length,
+            statements: items.length,
+            bills: new Set(items.map(item => item.bill.billId)).size,
+            consistent: count('consistent'),
+            mismatches: count('mismatch'),
+            unclear: count('unclear statement'),
+            withoutVotes: count('no votes') + count('no comparable votes')
+        },
+        items: items.sort((a, b) => (b.verdict === 'mismatch') - (a.verdict === 'mismatch')
+            || b.statement.date.localeCompare(a.statement.date))
+    };
+}
+
+module.exports = {
+    classifyStance,
+    questionDirection,
+    getStatementsVsVotes
+};
@@ -0,0 +1,402 @@
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('./config');
+
+const HOUR = 60 * 60 * 1000;
+
+// Data types held in storage. ttl is how long an entry is fresh; evictable
+// types are trimmed least-recently-used first once they hold more than
+// STORAGE_MAX_ENTRIES entries between them. Roll calls are permanent
+// records and never expire, get evicted or count against that budget, and
+// neither do watchlist subscriptions, delivered alerts or the snapshots
+// the change detector compares against. A type with a `table` is kept
+// apart from the shared one; the speech index is tens of thousands of
+// granules, more than the rest of the store put together.
+const DATA_TYPES = {
+    legislators: { ttl: CONFIG.LEGISLATOR_CACHE_HOURS * HOUR, evictable: true },
+    lookups: { ttl: CONFIG.CACHE_DURATION_HOURS * HOUR, evictable: true },
+    votes: { ttl: CONFIG.VOTES_CACHE_HOURS * HOUR, evictable: true },
+    finance: { ttl: CONFIG.FINANCE_CACHE_HOURS * HOUR, evictable: true },
+    bills: { ttl: CONFIG.BILL_CACHE_HOURS * HOUR, evictable: true },
+    contributions: { ttl: CONFIG.FINANCE_CACHE_HOURS * HOUR, evictable: true },
+    outsideSpending: { ttl: CONFIG.FINANCE_CACHE_HOURS * HOUR, evictable: true },
+    candidates: { ttl: CONFIG.LEGISLATOR_CACHE_HOURS * HOUR, evictable: true },
+    calendar: { ttl: CONFIG.CALENDAR_CACHE_HOURS * HOUR, evictable: true },
+    rollcalls: { ttl: Infinity, evictable: false },
+    transcripts: { ttl: Infinity, evictable: false, table: 'transcripts' },
+    jobs: { ttl: Infinity, evictable: false },
+    subscriptions: { ttl: Infinity, evictable: false },
+    // Email confirm and unsubscribe tokens -> the subscription holding them
+    emailIndex: { ttl: Infinity, evictable: false },
+    alerts: { ttl: Infinity, evictable: false },
+    watchState: { ttl: Infinity, evictable: false }
+};
+
+const EVICTABLE_TYPES = Object.keys(DATA_TYPES).filter(type => DATA_TYPES[type].evictable);
+
+// In-process backend. Map iteration order doubles as LRU order: reads move
+// an entry to the end, so the first entries are the least recently used.
+function createMemoryBackend() {
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry;
+        },
+        set(key, entry) {
+            entries.delete(key);
+            entries.set(key, { ...entry, key });
+        },
+        delete(key) {
+            entries.delete(key);
+        },
+        // Entries of one type whose key starts with prefix
+        list(type, prefix) {
+            return Array.from(entries.values()).filter(e => e.type === type && e.key.startsWith(prefix));
+        },
+        // Entries of one type or a list of types, or all of them
+        count(types = null) {
+            if (!types) return entries.size;
+            const wanted = [].concat(types);
+            let count = 0;
+            entries.forEach(e => { if (wanted.includes(e.type)) count++; });
+            return count;
+        },
+        // Remove the least recently used entries of the given types
+        evict(types, howMany) {
+            const victims = [];
+            for (const [key, entry] of entries) {
+                if (victims.length >= howMany) break;
+                if (types.includes(entry.type)) victims.push(key);
+            }
+            victims.forEach(key => entries.delete(key));
+            return victims.length;
+        },
+        clear() {
+            entries.clear();
+        }
+    };
+}
+
+// Open database files, shared by the backends for each table
+const databases = new Map();
+
+function openDatabase(filePath) {
+    if (!databases.has(filePath)) {
+        const Database = require('better-sqlite3');
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const db = new Database(filePath);
+        db.pragma('journal_mode = WAL');
+        databases.set(filePath, db);
+    }
+    return databases.get(filePath);
+}
+
+// SQLite backend (better-sqlite3, synchronous) over one table of the
+// database. Values are stored as JSON. `types` stored in the shared entries
+// table by earlier versions are moved into this one.
+function createSqliteBackend(filePath, { table = 'entries', types = [] } = {}) {
+    const db = openDatabase(filePath);
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS ${table} (
+            key TEXT PRIMARY KEY,
+            type TEXT NOT NULL,
+            value TEXT NOT NULL,
+            stored_at INTEGER NOT NULL,
+            accessed_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS ${table}_type_accessed ON ${table} (type, accessed_at);
+    `);
+    if (table !== 'entries' && types.length && db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'entries'").get()) {
+        const placeholders = types.map(() => '?').join(', ');
+        db.transaction(() => {
+            db.prepare(`INSERT OR IGNORE INTO ${table} SELECT * FROM entries WHERE type IN (${placeholders})`).run(...types);
+            db.prepare(`DELETE FROM entries WHERE type IN (${placeholders})`).run(...types);
+        })();
+    }
+
+    const statements = {
+        get: db.prepare(`SELECT key, type, value, stored_at FROM ${table} WHERE key = ?`),
+        touch: db.prepare(`UPDATE ${table} SET accessed_at = ? WHERE key = ?`),
+        set: db.prepare(`INSERT INTO ${table} (key, type, value, stored_at, accessed_at) VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(key) DO UPDATE SET type = excluded.type, value = excluded.value,
+            stored_at = excluded.stored_at, accessed_at = excluded.accessed_at`),
+        delete: db.prepare(`DELETE FROM ${table} WHERE key = ?`),
+        // A key range on the primary key, so a prefix lookup reads only its rows
+        list: db.prepare(`SELECT key, type, value, stored_at FROM ${table} WHERE type = ? AND key >= ? AND key < ?`),
+        count: db.prepare(`SELECT COUNT(*) AS count FROM ${table}`),
+        clear: db.prepare(`DELETE FROM ${table}`)
+    };
+
+    // Statements built per call shape (count and evict take a list of
+    // types), prepared the first time each shape is used
+    const prepared = new Map();
+    const prepare = sql => {
+        if (!prepared.has(sql)) prepared.set(sql, db.prepare(sql));
+        return prepared.get(sql);
+    };
+
+    const toEntry = row => ({ key: row.key, type: row.type, value: JSON.parse(row.value), storedAt: row.stored_at });
+
+    return {
+        name: 'sqlite',
+        file: filePath,
+        get(key) {
+            const row = statements.get.get(key);
+            if (!row) return null;
+            statements.touch.run(Date.now(), key);
+            return toEntry(row);
+        },
+        set(key, entry) {
+            statements.set.run(key, entry.type, JSON.stringify(entry.value), entry.storedAt, Date.now());
+        },
+        delete(key) {
+            statements.delete.run(key);
+        },
+        list(type, prefix) {
+            // Keys starting with "a|" sort from "a|" up to (not including) "a}"
+            const end = prefix.slice(0, -1) + String.fromCharCode(prefix.charCodeAt(prefix.length - 1) + 1);
+            return statements.list.all(type, prefix, end).map(toEntry);
+        },
+        count(types = null) {
+            if (!types) return statements.count.get().count;
+            const wanted = [].concat(types);
+            const placeholders = wanted.map(() => '?').join(', ');
+            return prepare(`SELECT COUNT(*) AS count FROM ${table} WHERE type IN (${placeholders})`).get(...wanted).count;
+        },
+        evict(types, howMany) {
+            const placeholders = types.map(() => '?').join(', ');
+            const result = prepare(`DELETE FROM ${table} WHERE key IN (
+                SELECT key FROM ${table} WHERE type IN (${placeholders}) ORDER BY accessed_at LIMIT ?
+            )`).run(...types, howMany);
+            return result.changes;
+        },
+        clear() {
+            statements.clear.run();
+        }
+    };
+}
+
+function createBackend(kind, table) {
+    if (kind === 'sqlite') {
+        try {
+            const types = Object.keys(DATA_TYPES).filter(type => DATA_TYPES[type].table === table);
+            return createSqliteBackend(CONFIG.STORAGE_PATH, { table, types });
+        } catch (error) {
+            console.error(`SQLite storage unavailable (${error.message}); using in-memory storage`);
+        }
+    }
+    return createMemoryBackend();
+}
+
+let storageKind = CONFIG.STORAGE;
+// table -> backend, opened on first use
+const backends = new Map();
+// key -> in-flight loader promise, shared by concurrent misses and refreshes
+const inflight = new Map();
+const stats = { hits: 0, misses: 0, staleServed: 0, refreshFailures: 0, evictions: 0 };
+
+// The backend holding a data type (the shared table without one)
+function getBackend(type = null) {
+    const table = (type && typeConfig(type).table) || 'entries';
+    if (!backends.has(table)) backends.set(table, createBackend(storageKind, table));
+    return backends.get(table);
+}
+
+// Swap the backend, e.g. useStorage('memory') to keep tests off disk
+function useStorage(kind) {
+    storageKind = kind;
+    backends.clear();
+    inflight.clear();
+    return getBackend();
+}
+
+function storageKey(type, key) {
+    return `${type}:${key}`;
+}
+
+function typeConfig(type) {
+    const config = DATA_TYPES[type];
+    if (!config) throw new Error(`Unknown storage data type: ${type}`);
+    return config;
+}
+
+function get(type, key) {
+    typeConfig(type);
+    const entry = getBackend(type).get(storageKey(type, key));
+    return entry ? entry.value : null;
+}
+
+function set(type, key, value) {
+    typeConfig(type);
+    const store = getBackend(type);
+    store.set(storageKey(type, key), { type, value, storedAt: Date.now() });
+
+    // Keep the cache within its size budget. Permanent data neither counts
+    // against it nor gets evicted, so writing it never needs a check.
+    if (DATA_TYPES[type].evictable) {
+        const overflow = store.count(EVICTABLE_TYPES) - CONFIG.STORAGE_MAX_ENTRIES;
+        if (overflow > 0) stats.evictions += store.evict(EVICTABLE_TYPES, overflow);
+    }
+    return value;
+}
+
+// A stored value and whether it's within its TTL, or null when there is
+// none. Unlike cached(), never loads anything.
+function peek(type, key) {
+    const { ttl } = typeConfig(type);
+    const entry = getBackend(type).get(storageKey(type, key));
+    return entry ? { value: entry.value, fresh: Date.now() - entry.storedAt < ttl } : null;
+}
+
+function remove(type, key) {
+    getBackend(type).delete(storageKey(type, key));
+}
+
+// Every stored value of one type, or those whose key starts with prefix
+function list(type, prefix = '') {
+    typeConfig(type);
+    return getBackend(type).list(type, storageKey(type, prefix)).map(entry => entry.value);
+}
+
+// Keys (without the type prefix) of every stored value of one type, or of
+// those starting with prefix
+function keys(type, prefix = '') {
+    typeConfig(type);
+    const typePrefix = storageKey(type, '');
+    return getBackend(type).list(type, storageKey(type, prefix)).map(entry => entry.key.slice(typePrefix.length));
+}
+
+// Values flagged with `error` are placeholder responses, not data
+function defaultIsFailure(value) {
+    return value === null || value === undefined || !!(value && value.error);
+}
+
+function runLoader(type, key, loader, isFailure) {
+    const fullKey = storageKey(type, key);
+    if (inflight.has(fullKey)) return inflight.get(fullKey);
+
+    const promise = (async () => {
+        try {
+            const value = await loader();
+            if (!isFailure(value)) set(type, key, value);
+            return value;
+        } finally {
+            inflight.delete(fullKey);
+        }
+    })();
+
+    inflight.set(fullKey, promise);
+    return promise;
+}
+
+// Read-through cache with stale-while-revalidate:
+// - fresh entries are returned as-is
+// - entries up to STALE_WINDOW_HOURS past their TTL are returned at once
+//   and refreshed in the background
+// - older entries, and missing ones, wait for the loader
+// - if the loader fails (throws, or returns a value isFailure() rejects)
+//   the last good value is served instead, however old
+async function cached(type, key, loader, { isFailure = defaultIsFailure } = {}) {
+    const { ttl } = typeConfig(type);
+    const entry = getBackend(type).get(storageKey(type, key));
+    const age = entry ? Date.now() - entry.storedAt : null;
+
+    if (entry && age < ttl) {
+        stats.hits++;
+        return entry.value;
+    }
+
+    if (entry && age < ttl + CONFIG.STALE_WINDOW_HOURS * HOUR) {
+        stats.staleServed++;
+        runLoader(type, key, loader, isFailure).then(value => {
+            if (isFailure(value)) stats.refreshFailures++;
+        }).catch(error => {
+            stats.refreshFailures++;
+            console.error(`Background refresh of ${type}:${key} failed:`, error.message);
+        });
+        return entry.value;
+    }
+
+    stats.misses++;
+    try {
+        const value = await runLoader(type, key, loader, isFailure);
+        if (entry && isFailure(value)) {
+            stats.staleServed++;
+            return entry.value;
+        }
+        return value;
+    } catch (error) {
+        if (!entry) throw error;
+        stats.staleServed++;
+        console.error(`Refresh of ${type}:${key} failed, serving last good copy:`, error.message);
+        return entry.value;
+    }
+}
+
+// Run the loader now, whatever the freshness of the stored copy, and store
+// the result. Throws when the loader fails, leaving the stored copy alone.
+async function refresh(type, key, loader, { isFailure = defaultIsFailure } = {}) {
+    typeConfig(type);
+    const value = await runLoader(type, key, loader, isFailure);
+    if (isFailure(value)) {
+        throw new Error((value && value.error) || `Refresh of ${type}:${key} returned no data`);
+    }
+    return value;
+}
+
+// Drop cached entries of one type so the next read reloads them
+function invalidate(type, key = null) {
+    if (key !== null) return remove(type, key);
+    const store = getBackend(type);
+    store.list(type, storageKey(type, '')).forEach(entry => store.delete(entry.key));
+}
+
+function getTtl(type) {
+    return typeConfig(type).ttl;
+}
+
+function getStorageInfo() {
+    const store = getBackend();
+    const types = {};
+    Object.keys(DATA_TYPES).forEach(type => {
+        const ttl = DATA_TYPES[type].ttl;
+        types[type] = {
+            entries: getBackend(type).count(type),
+            ttlHours: ttl === Infinity ? null : ttl / HOUR
+        };
+    });
+
+    return {
+        backend: store.name,
+        entries: Object.values(types).reduce((sum, { entries }) => sum + entries, 0),
+        // Cache entries, which STORAGE_MAX_ENTRIES applies to
+        cacheEntries: store.count(EVICTABLE_TYPES),
+        maxEntries: CONFIG.STORAGE_MAX_ENTRIES,
+        types,
+        ...stats
+    };
+}
+
+module.exports = {
+    DATA_TYPES,
+    createMemoryBackend,
+    createSqliteBackend,
+    useStorage,
+    get,
+    set,
+    peek,
+    remove,
+    list,
+    keys,
+    cached,
+    refresh,
+    invalidate,
+    getTtl,
+    getStorageInfo
+};
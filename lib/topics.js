@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TAXONOMY_PATH = path.join(__dirname, 'topic-taxonomy.json');
+
+let taxonomy = null;
+
+// "immigra*" matches immigrant/immigration; other terms match whole words
+// or phrases only, so "tax" doesn't fire on "syntax"
+function compileTerm(term) {
+    const prefix = term.endsWith('*');
+    const words = (prefix ? term.slice(0, -1) : term)
+        .trim()
+        .split(/\s+/)
+        .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`\\b${words.join('\\s+')}${prefix ? '\\w*' : '\\b'}`, 'i');
+}
+
+// Keywords are "term" or { term, weight }
+function compileKeywords(keywords = []) {
+    return keywords.map(keyword => {
+        const { term, weight = 1 } = typeof keyword === 'string' ? { term: keyword } : keyword;
+        return { term, weight, pattern: compileTerm(term) };
+    });
+}
+
+function normalizeLabel(value) {
+    return String(value || '').trim().toLowerCase();
+}
+
+// Check a taxonomy document and precompile its rules
+function compileTaxonomy(document) {
+    if (!document || !Array.isArray(document.topics) || document.topics.length === 0) {
+        throw new Error('Topic taxonomy needs a non-empty "topics" list');
+    }
+
+    const ids = new Set();
+    const topics = document.topics.map(topic => {
+        if (!topic.id || !topic.label) throw new Error('Every topic needs an id and a label');
+        if (ids.has(topic.id)) throw new Error(`Duplicate topic id: ${topic.id}`);
+        ids.add(topic.id);
+
+        return {
+            id: topic.id,
+            label: topic.label,
+            policyAreas: new Set((topic.policyAreas || []).map(normalizeLabel)),
+            subjects: new Set((topic.subjects || []).map(normalizeLabel)),
+            keywords: compileKeywords(topic.keywords),
+            questionKeywords: compileKeywords(topic.questionKeywords),
+            source: topic
+        };
+    });
+
+    const procedural = document.procedural || {};
+    return {
+        minScore: document.minScore || 2,
+        weights: { policyArea: 5, subject: 2, ...(document.weights || {}) },
+        topics,
+        procedural: {
+            label: procedural.label || 'Procedural Votes',
+            questionKeywords: compileKeywords(procedural.questionKeywords),
+            titleKeywords: compileKeywords(procedural.titleKeywords)
+        },
+        fallback: { id: 'other', label: 'Other Votes', ...(document.fallback || {}) }
+    };
+}
+
+// Load the taxonomy from a JSON file (the bundled one by default). A bad
+// custom file falls back to the bundled taxonomy.
+function loadTaxonomy(filePath = null) {
+    const file = filePath || DEFAULT_TAXONOMY_PATH;
+    try {
+        taxonomy = compileTaxonomy(JSON.parse(fs.readFileSync(file, 'utf8')));
+        console.log(`Loaded topic taxonomy: ${taxonomy.topics.length} topics from ${file}`);
+    } catch (error) {
+        if (file === DEFAULT_TAXONOMY_PATH) throw error;
+        console.error(`Topic taxonomy ${file} unusable (${error.message}); using the bundled taxonomy`);
+        taxonomy = compileTaxonomy(JSON.parse(fs.readFileSync(DEFAULT_TAXONOMY_PATH, 'utf8')));
+    }
+    return taxonomy;
+}
+
+function getCompiledTaxonomy() {
+    return taxonomy || loadTaxonomy();
+}
+
+function matchKeywords(keywords, text) {
+    return text ? keywords.filter(k => k.pattern.test(text)) : [];
+}
+
+// Classify one vote. `bill` carries Congress.gov metadata where known:
+// { title, policyArea, subjects }. Policy area and legislative subjects
+// are weighted well above keyword hits; keywords are the fallback for
+// votes with no bill metadata. Returns every topic that reaches minScore,
+// best first, plus whether the vote is procedural (a procedural vote on a
+// defense bill is still a defense vote).
+function classifyVote(vote, bill = {}) {
+    const { topics, weights, minScore, procedural, fallback } = getCompiledTaxonomy();
+    const title = bill.title || (vote.bill && vote.bill.title) || '';
+    const question = vote.question || '';
+    const description = vote.description && vote.description !== question ? vote.description : '';
+    const policyArea = normalizeLabel(bill.policyArea);
+    const subjects = (bill.subjects || []).map(normalizeLabel);
+
+    const scored = topics.map(topic => {
+        let score = 0;
+        const basis = [];
+
+        if (policyArea && topic.policyAreas.has(policyArea)) {
+            score += weights.policyArea;
+            basis.push(`policy area: ${bill.policyArea}`);
+        }
+
+        subjects.filter(subject => topic.subjects.has(subject)).forEach(subject => {
+            score += weights.subject;
+            basis.push(`subject: ${subject}`);
+        });
+
+        // A keyword counts once however many fields mention it
+        const hits = new Map();
+        [title, description, question].forEach(text => {
+            matchKeywords(topic.keywords, text).forEach(k => hits.set(k.term, k));
+        });
+        matchKeywords(topic.questionKeywords, question).forEach(k => hits.set(k.term, k));
+        hits.forEach(k => {
+            score += k.weight;
+            basis.push(`keyword: ${k.term}`);
+        });
+
+        return { id: topic.id, label: topic.label, score, basis };
+    })
+        .filter(topic => topic.score >= minScore)
+        .sort((a, b) => b.score - a.score);
+
+    const isProcedural = matchKeywords(procedural.questionKeywords, question).length > 0
+        || matchKeywords(procedural.titleKeywords, title).length > 0;
+
+    let primary;
+    if (scored.length > 0) {
+        primary = { id: scored[0].id, label: scored[0].label };
+    } else if (isProcedural) {
+        primary = { id: 'procedural', label: procedural.label };
+    } else {
+        primary = { id: fallback.id, label: fallback.label };
+    }
+
+    return { primary, topics: scored, procedural: isProcedural };
+}
+
+// Public view of the taxonomy for /api/topics
+function getTaxonomy() {
+    const { topics, procedural, fallback, minScore, weights } = getCompiledTaxonomy();
+    return {
+        topics: topics.map(topic => ({
+            id: topic.id,
+            label: topic.label,
+            policyAreas: topic.source.policyAreas || [],
+            subjects: topic.source.subjects || []
+        })),
+        procedural: { id: 'procedural', label: procedural.label },
+        fallback: { id: fallback.id, label: fallback.label },
+        minScore,
+        weights
+    };
+}
+
+// Topic ids a vote can be filtered by, including the catch-all groups
+function isKnownTopic(id) {
+    const { topics, fallback } = getCompiledTaxonomy();
+    return id === 'procedural' || id === fallback.id || topics.some(topic => topic.id === id);
+}
+
+module.exports = {
+    compileTaxonomy,
+    loadTaxonomy,
+    classifyVote,
+    getTaxonomy,
+    isKnownTopic
+};
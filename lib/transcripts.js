@@ -0,0 +1,591 @@
+const fs = require('fs');
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+const { loadLegislators } = require('./legislators');
+const storage = require('./storage');
+
+const GOVINFO_URL = 'https://www.govinfo.gov';
+
+// Characters of context around the best match in a search snippet
+const SNIPPET_LENGTH = 280;
+
+// BM25 ranking parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const SECTIONS = {
+    house: 'house',
+    senate: 'senate',
+    'extensions of remarks': 'extensions',
+    'daily digest': 'digest'
+};
+
+// Record citations abbreviate months the Bluebook way
+const CITATION_MONTHS = ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'June', 'July', 'Aug.', 'Sept.', 'Oct.', 'Nov.', 'Dec.'];
+
+// Speaker headings name states in full ("Mr. SMITH of Texas")
+const STATE_CODES = {
+    alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA', colorado: 'CO',
+    connecticut: 'CT', delaware: 'DE', florida: 'FL', georgia: 'GA', hawaii: 'HI', idaho: 'ID',
+    illinois: 'IL', indiana: 'IN', iowa: 'IA', kansas: 'KS', kentucky: 'KY', louisiana: 'LA',
+    maine: 'ME', maryland: 'MD', massachusetts: 'MA', michigan: 'MI', minnesota: 'MN', mississippi: 'MS',
+    missouri: 'MO', montana: 'MT', nebraska: 'NE', nevada: 'NV', 'new hampshire': 'NH', 'new jersey': 'NJ',
+    'new mexico': 'NM', 'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND', ohio: 'OH', oklahoma: 'OK',
+    oregon: 'OR', pennsylvania: 'PA', 'rhode island': 'RI', 'south carolina': 'SC', 'south dakota': 'SD',
+    tennessee: 'TN', texas: 'TX', utah: 'UT', vermont: 'VT', virginia: 'VA', washington: 'WA',
+    'west virginia': 'WV', wisconsin: 'WI', wyoming: 'WY', 'american samoa': 'AS', 'district of columbia': 'DC',
+    guam: 'GU', 'northern mariana islands': 'MP', 'puerto rico': 'PR', 'virgin islands': 'VI'
+};
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'he', 'her', 'his',
+    'i', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'she', 'that', 'the', 'their', 'this', 'to',
+    'was', 'we', 'were', 'will', 'with'
+]);
+
+// Member headings: "Mr. SMITH of Texas. Mr. Speaker, ...", "Ms. DeLAURO. ...".
+// Surnames are in capitals, apart from prefixes such as Mc, De and La.
+const SURNAME = "(?:[A-Z][a-z]{0,2})?[A-Z][A-Z'\\-]*[A-Z]";
+const MEMBER_HEADING = new RegExp(
+    `^(Mr|Ms|Mrs|Miss|Dr)\\. (${SURNAME}(?: ${SURNAME})*)(?: of ([A-Z][a-z]+(?: [A-Z][a-z]+)*))?(?: \\([^)]*\\))?\\. (.*)$`, 's');
+// The same names as MODS gives them: "Mr. SMITH of Texas"
+const PARSED_NAME = new RegExp(`^(?:Mr|Ms|Mrs|Miss|Dr)\\. (${SURNAME}(?: ${SURNAME})*)(?: of ([A-Z][a-z]+(?: [A-Z][a-z]+)*))?$`);
+const PRESIDING_HEADING = /^The ((?:Acting |ACTING )?(?:SPEAKER|PRESIDING OFFICER|PRESIDENT|VICE PRESIDENT|CHAIR|CHAIRMAN|CHAIRWOMAN|CLERK)(?: pro tempore)?)(?: \([^)]*\))?\. (.*)$/s;
+
+const modsParser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    removeNSPrefix: true,
+    parseTagValue: false,
+    trimValues: true,
+    isArray: name => ['relatedItem', 'congMember', 'name'].includes(name)
+});
+
+// Granules by ID ("CREC-2024-01-17-pt1-PgH123-2") and the full-text index
+// over their speeches. Storage holds the durable copy, as with roll calls.
+const granules = new Map();
+const speeches = new Map();
+const postings = new Map();
+const docLengths = new Map();
+const memberIndex = new Map();
+let totalLength = 0;
+
+function decodeEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const foldAccents = text => text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+
+// Plural folding (Harman's S-stemmer), so "veterans" finds "veteran"
+function stem(word) {
+    if (word.length > 3 && word.endsWith('ies') && !/[ae]ies$/.test(word)) return word.slice(0, -3) + 'y';
+    if (word.length > 3 && word.endsWith('es') && !/[aeo]es$/.test(word)) return word.slice(0, -1);
+    if (word.length > 2 && word.endsWith('s') && !/[us]s$/.test(word)) return word.slice(0, -1);
+    return word;
+}
+
+// Words of a text with their offsets; possessives are dropped
+function words(text) {
+    const found = [];
+    const pattern = /[A-Za-z0-9\u00C0-\u024F]+(?:'[A-Za-z]+)?/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const term = stem(foldAccents(match[0]).toLowerCase().replace(/'s$/, '').replace(/'/g, ''));
+        found.push({ term, start: match.index, end: match.index + match[0].length });
+    }
+    return found;
+}
+
+function tokenize(text) {
+    return words(text).map(w => w.term).filter(term => term && !STOP_WORDS.has(term));
+}
+
+// Lowercased words joined by single spaces, for phrase matching
+const normalizeForPhrase = text => ` ${words(text).map(w => w.term).join(' ')} `;
+
+// Speaker key shared by headings and the MODS parsed names: "SMITH|TX"
+function speakerKey(surname, stateName) {
+    const state = stateName ? STATE_CODES[stateName.toLowerCase()] || stateName.toUpperCase() : '';
+    return `${foldAccents(surname).toUpperCase()}|${state}`;
+}
+
+// MODS metadata from a CREC package: granule ID -> speaker key -> member
+function parseMods(xml) {
+    const doc = modsParser.parse(xml).mods || {};
+    const byGranule = new Map();
+
+    (doc.relatedItem || []).forEach(item => {
+        if (!item.ID) return;
+        const granuleId = item.ID.replace(/^id-/, '');
+        const speakers = new Map();
+        ((item.extension && item.extension.congMember) || []).forEach(cm => {
+            const names = cm.name || [];
+            const parsed = names.find(n => n.type === 'parsed');
+            const full = names.find(n => n.type === 'authority-fnf');
+            const heading = parsed && (parsed['#text'] || '').match(PARSED_NAME);
+            if (!heading || !cm.bioGuideId) return;
+            speakers.set(speakerKey(heading[1], heading[2]), {
+                bioguideId: cm.bioGuideId,
+                name: full ? full['#text'] : null,
+                party: cm.party || null,
+                state: cm.state || null
+            });
+        });
+        byGranule.set(granuleId, speakers);
+    });
+    return byGranule;
+}
+
+// Surname index over everyone in the registry, current and former
+let registryIndex = null;
+let registryByBioguide = null;
+
+async function loadRegistryIndex() {
+    if (registryIndex) return registryIndex;
+    const { byId } = await loadLegislators();
+    registryByBioguide = byId.bioguide;
+    registryIndex = new Map();
+    byId.bioguide.forEach(leg => {
+        const surname = foldAccents(leg.name.last || '').toUpperCase();
+        if (!registryIndex.has(surname)) registryIndex.set(surname, []);
+        registryIndex.get(surname).push(leg);
+    });
+    return registryIndex;
+}
+
+function memberFromRegistry(leg, term) {
+    return {
+        bioguideId: leg.id.bioguide,
+        name: leg.name.official_full || `${leg.name.first} ${leg.name.last}`,
+        party: term.party || null,
+        state: term.state
+    };
+}
+
+// The member a heading names, among those serving in the chamber on the
+// date. Null unless exactly one matches.
+function matchSpeaker(surname, stateName, chamber, date) {
+    if (!registryIndex) return null;
+    const type = chamber === 'senate' ? 'sen' : 'rep';
+    const state = stateName ? STATE_CODES[stateName.toLowerCase()] : null;
+    const matches = [];
+
+    (registryIndex.get(foldAccents(surname).toUpperCase()) || []).forEach(leg => {
+        const term = leg.terms.find(t => t.type === type && t.start <= date && t.end >= date && (!state || t.state === state));
+        if (term) matches.push(memberFromRegistry(leg, term));
+    });
+    return matches.length === 1 ? matches[0] : null;
+}
+
+// Registry details for a bioguide ID from the MODS, when the registry has them
+function enrichMember(member, date) {
+    const leg = registryByBioguide && registryByBioguide.get(member.bioguideId.toUpperCase());
+    if (!leg) return member;
+    const term = leg.terms.find(t => t.start <= date && t.end >= date) || leg.terms[leg.terms.length - 1];
+    return memberFromRegistry(leg, term);
+}
+
+// Split a daily-edition granule (the HTML GovInfo serves for each article)
+// into speeches. `speakers` maps heading keys to members, from the MODS.
+function parseGranule(html, granuleId, speakers = new Map()) {
+    const pre = html.match(/<pre[^>]*>([\s\S]*?)<\/pre>/i);
+    const text = decodeEntities((pre ? pre[1] : html).replace(/<[^>]+>/g, ''));
+    const lines = text.split(/\r?\n/);
+
+    const header = text.match(/\[Congressional Record Volume (\d+), Number (\d+) \(\w+, ([A-Za-z]+ \d{1,2}, \d{4})\)\]/);
+    const sectionLine = text.match(/^\[(House|Senate|Extensions of Remarks|Daily Digest)\]$/mi);
+    const pageLine = text.match(/^\[Pages? ([A-Z]*\d+)(?:-([A-Z]*\d+))?\]$/m);
+    const packageDate = granuleId.match(/^CREC-(\d{4}-\d{2}-\d{2})/);
+    const date = packageDate ? packageDate[1] : header ? new Date(`${header[3]} UTC`).toISOString().slice(0, 10) : null;
+    if (!date) throw new Error('Not a Congressional Record granule');
+
+    const section = sectionLine ? SECTIONS[sectionLine[1].toLowerCase()] : null;
+    const chamber = section === 'senate' ? 'senate' : section === 'house' || section === 'extensions' ? 'house' : null;
+    let page = pageLine ? pageLine[1] : null;
+
+    // Paragraphs start with an indented line; unindented lines continue
+    // them. The header runs to the GPO notice.
+    const bodyStart = lines.findIndex(line => /^From the Congressional Record Online/.test(line));
+    const paragraphs = [];
+    let current = null;
+    const close = () => {
+        if (current) paragraphs.push(current);
+        current = null;
+    };
+    lines.slice(bodyStart + 1).forEach(line => {
+        if (/^\[(?!\[).*\]$/.test(line)) return; // header lines, when there's no GPO notice
+        const pageBreak = line.match(/^\s*\[\[Page ([A-Z]*\d+)\]\]\s*$/);
+        if (pageBreak) {
+            page = pageBreak[1];
+            return;
+        }
+        if (!line.trim()) return close();
+        if (/^\s*_{5,}\s*$/.test(line)) {
+            close();
+            paragraphs.push({ separator: true });
+            return;
+        }
+        const indent = line.match(/^ */)[0].length;
+        if (indent > 0 || !current) {
+            close();
+            current = { text: line.trim(), page, centered: indent > 2 };
+        } else {
+            current.text += ` ${line.trim()}`;
+        }
+    });
+    close();
+
+    // Leading centered lines are the article title
+    const titleLines = [];
+    while (paragraphs.length && paragraphs[0].centered) titleLines.push(paragraphs.shift().text);
+    const title = titleLines.join(' ').replace(/\s+/g, ' ') || null;
+
+    const found = [];
+    let speech = null;
+    const finish = () => {
+        if (speech && speech.text.trim()) found.push(speech);
+        speech = null;
+    };
+    paragraphs.forEach(paragraph => {
+        if (paragraph.separator) return finish();
+        const body = paragraph.text.replace(/\s+/g, ' ');
+        if (/^\(.*\)$/.test(body)) return; // stage directions
+
+        const memberHeading = body.match(MEMBER_HEADING);
+        const presidingHeading = !memberHeading && body.match(PRESIDING_HEADING);
+        if (memberHeading || presidingHeading) {
+            finish();
+            const speaker = memberHeading
+                ? `${memberHeading[1]}. ${memberHeading[2]}${memberHeading[3] ? ` of ${memberHeading[3]}` : ''}`
+                : `The ${presidingHeading[1]}`;
+            const member = memberHeading
+                ? speakers.get(speakerKey(memberHeading[2], memberHeading[3]))
+                    || matchSpeaker(memberHeading[2], memberHeading[3], chamber, date)
+                : null;
+            speech = {
+                id: `${granuleId}-${found.length + 1}`,
+                speaker,
+                role: memberHeading ? 'member' : 'presiding officer',
+                member: member ? enrichMember(member, date) : null,
+                text: memberHeading ? memberHeading[4] : presidingHeading[2],
+                pages: { start: paragraph.page, end: paragraph.page },
+                pageBreaks: paragraph.page ? [{ offset: 0, page: paragraph.page }] : []
+            };
+            return;
+        }
+        if (!speech) return;
+
+        if (paragraph.page && paragraph.page !== speech.pages.end) {
+            speech.pageBreaks.push({ offset: speech.text.length + 1, page: paragraph.page });
+            speech.pages.end = paragraph.page;
+        }
+        speech.text += `\n${body}`;
+    });
+    finish();
+
+    const packageId = granuleId.replace(/-pt\d+.*$|-Pg.*$/, '');
+    return {
+        granuleId,
+        packageId,
+        date,
+        volume: header ? parseInt(header[1], 10) : parseInt(date.slice(0, 4), 10) - 1854,
+        issue: header ? parseInt(header[2], 10) : null,
+        section,
+        chamber,
+        title,
+        pages: pageLine ? { start: pageLine[1], end: pageLine[2] || pageLine[1] } : null,
+        url: `${GOVINFO_URL}/app/details/${packageId}/${granuleId}`,
+        speeches: found
+    };
+}
+
+function unindexGranule(granule) {
+    granule.speeches.forEach(speech => {
+        if (!speeches.has(speech.id)) return;
+        speeches.delete(speech.id);
+        new Set(tokenize(speech.text)).forEach(term => {
+            const docs = postings.get(term);
+            if (!docs) return;
+            docs.delete(speech.id);
+            if (docs.size === 0) postings.delete(term);
+        });
+        totalLength -= docLengths.get(speech.id) || 0;
+        docLengths.delete(speech.id);
+        if (speech.member && memberIndex.has(speech.member.bioguideId)) {
+            memberIndex.get(speech.member.bioguideId).delete(speech.id);
+        }
+    });
+}
+
+function indexGranule(granule) {
+    const previous = granules.get(granule.granuleId);
+    if (previous) unindexGranule(previous);
+    granules.set(granule.granuleId, granule);
+
+    granule.speeches.forEach(speech => {
+        speeches.set(speech.id, { speech, granule });
+        const terms = tokenize(speech.text);
+        terms.forEach(term => {
+            if (!postings.has(term)) postings.set(term, new Map());
+            const docs = postings.get(term);
+            docs.set(speech.id, (docs.get(speech.id) || 0) + 1);
+        });
+        docLengths.set(speech.id, terms.length);
+        totalLength += terms.length;
+        if (speech.member) {
+            if (!memberIndex.has(speech.member.bioguideId)) memberIndex.set(speech.member.bioguideId, new Set());
+            memberIndex.get(speech.member.bioguideId).add(speech.id);
+        }
+    });
+}
+
+// Rebuild the index from storage
+function loadTranscriptStore() {
+    try {
+        storage.list('transcripts').forEach(indexGranule);
+        if (granules.size > 0) console.log(`Loaded ${speeches.size} stored speeches from ${granules.size} Record granules`);
+    } catch (error) {
+        console.error('Error loading stored transcripts:', error.message);
+    }
+    return speeches.size;
+}
+
+// Granule files under a directory: extracted GovInfo CREC packages
+// (CREC-YYYY-MM-DD/html/*.htm with mods.xml alongside) or loose .htm files
+function findGranuleFiles(directory) {
+    const found = [];
+    const walk = (dir, mods) => {
+        const entries = fs.readdirSync(dir, { withFileTypes: true });
+        const modsFile = entries.find(e => e.isFile() && e.name.toLowerCase() === 'mods.xml');
+        const packageMods = modsFile ? path.join(dir, modsFile.name) : mods;
+        entries.forEach(entry => {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) walk(entryPath, packageMods);
+            else if (/^CREC-.*\.html?$/i.test(entry.name)) found.push({ filePath: entryPath, mods: packageMods });
+        });
+    };
+    walk(directory, null);
+    return found;
+}
+
+// Ingest every CREC granule under a directory. Granules already stored
+// from a file of the same size are skipped unless `force` is set.
+async function ingestTranscripts(directory, { force = false } = {}) {
+    if (!directory || !fs.existsSync(directory)) return 0;
+
+    try {
+        await loadRegistryIndex();
+    } catch (error) {
+        console.error('Speakers will only be matched from MODS metadata:', error.message);
+    }
+
+    const modsCache = new Map();
+    let count = 0;
+    for (const { filePath, mods } of findGranuleFiles(directory)) {
+        const granuleId = path.basename(filePath).replace(/\.html?$/i, '');
+        try {
+            const size = fs.statSync(filePath).size;
+            const stored = storage.get('transcripts', granuleId);
+            if (!force && stored && stored.sourceSize === size) continue;
+
+            if (mods && !modsCache.has(mods)) {
+                try {
+                    modsCache.set(mods, parseMods(fs.readFileSync(mods, 'utf8')));
+                } catch (error) {
+                    console.error(`Error reading ${mods}:`, error.message);
+                    modsCache.set(mods, new Map());
+                }
+            }
+            const speakers = (mods && modsCache.get(mods).get(granuleId)) || new Map();
+            const granule = { ...parseGranule(fs.readFileSync(filePath, 'utf8'), granuleId, speakers), sourceSize: size };
+            storage.set('transcripts', granuleId, granule);
+            indexGranule(granule);
+            count++;
+        } catch (error) {
+            console.error(`Error ingesting ${path.basename(filePath)}:`, error.message);
+        }
+    }
+
+    if (count > 0) {
+        console.log(`Ingested ${count} Congressional Record granules from ${directory}`);
+    }
+    return count;
+}
+
+function citation(granule, page) {
+    const [year, month, day] = granule.date.split('-').map(Number);
+    const pageLabel = page || (granule.pages && granule.pages.start);
+    return {
+        text: `${granule.volume} Cong. Rec.${pageLabel ? ` ${pageLabel}` : ''} (daily ed. ${CITATION_MONTHS[month - 1]} ${day}, ${year})`,
+        volume: granule.volume,
+        page: pageLabel || null,
+        date: granule.date,
+        granuleId: granule.granuleId,
+        url: granule.url
+    };
+}
+
+function pageAt(speech, offset) {
+    let page = speech.pages.start;
+    speech.pageBreaks.forEach(pageBreak => {
+        if (pageBreak.offset <= offset) page = pageBreak.page;
+    });
+    return page;
+}
+
+// The window of the speech with the most distinct query terms, HTML-escaped
+// with the matches wrapped in <mark>
+function snippet(speech, terms) {
+    const text = speech.text;
+    const matches = words(text).filter(w => terms.has(w.term));
+
+    let best = { start: 0, distinct: 0 };
+    matches.forEach((match, i) => {
+        const inWindow = new Set();
+        for (let j = i; j < matches.length && matches[j].end - match.start <= SNIPPET_LENGTH; j++) {
+            inWindow.add(matches[j].term);
+        }
+        if (inWindow.size > best.distinct) best = { start: match.start, distinct: inWindow.size };
+    });
+
+    // Open a little before the first match, on a word boundary
+    let start = Math.max(0, best.start - 60);
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+
+    let html = '';
+    let cursor = start;
+    matches.filter(m => m.start >= start && m.end <= end).forEach(m => {
+        html += `${escapeHtml(text.slice(cursor, m.start))}<mark>${escapeHtml(text.slice(m.start, m.end))}</mark>`;
+        cursor = m.end;
+    });
+    html += escapeHtml(text.slice(cursor, end));
+
+    return {
+        html: `${start > 0 ? '…' : ''}${html.replace(/\n/g, ' ')}${end < text.length ? '…' : ''}`,
+        page: pageAt(speech, best.start)
+    };
+}
+
+// "q" is free text: every word must appear, and "quoted phrases" must
+// appear as written (ignoring case and punctuation)
+function parseQuery(q) {
+    const phrases = [];
+    const rest = (q || '').replace(/"([^"]+)"/g, (m, phrase) => {
+        phrases.push(normalizeForPhrase(phrase));
+        return ` ${phrase} `;
+    });
+    return { terms: Array.from(new Set(tokenize(rest))), phrases: phrases.filter(p => p.trim()) };
+}
+
+// Full-text search over ingested speeches. Without q, a member's speeches
+// are listed newest first. Returns { total, results }.
+function searchTranscripts({ q = '', bioguideId = null, from = null, to = null, offset = 0, limit = 20 } = {}) {
+    const { terms, phrases } = parseQuery(q);
+
+    let candidates;
+    if (terms.length > 0) {
+        // Rarest term first keeps the intersection small
+        const lists = terms.map(term => postings.get(term) || new Map()).sort((a, b) => a.size - b.size);
+        candidates = Array.from(lists[0].keys()).filter(id => lists.every(docs => docs.has(id)));
+    } else if (bioguideId) {
+        candidates = Array.from(memberIndex.get(bioguideId) || []);
+    } else {
+        candidates = [];
+    }
+
+    const avgLength = speeches.size ? totalLength / speeches.size : 1;
+    const matched = candidates
+        .map(id => speeches.get(id))
+        .filter(({ speech, granule }) =>
+            (!bioguideId || (speech.member && speech.member.bioguideId === bioguideId))
+            && (!from || granule.date >= from)
+            && (!to || granule.date <= to)
+            && (phrases.length === 0 || phrases.every(phrase => normalizeForPhrase(speech.text).includes(phrase))))
+        .map(entry => {
+            const length = docLengths.get(entry.speech.id) || 0;
+            const score = terms.reduce((sum, term) => {
+                const docs = postings.get(term);
+                const tf = docs.get(entry.speech.id);
+                const idf = Math.log(1 + (speeches.size - docs.size + 0.5) / (docs.size + 0.5));
+                return sum + idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * length / avgLength));
+            }, 0);
+            return { ...entry, score };
+        })
+        .sort((a, b) => b.score - a.score || b.granule.date.localeCompare(a.granule.date) || a.speech.id.localeCompare(b.speech.id));
+
+    const termSet = new Set(terms);
+    const results = matched.slice(offset, offset + limit).map(({ speech, granule, score }) => {
+        const passage = snippet(speech, termSet);
+        return {
+            id: speech.id,
+            date: granule.date,
+            chamber: granule.chamber,
+            section: granule.section,
+            title: granule.title,
+            speaker: speech.speaker,
+            role: speech.role,
+            member: speech.member,
+            score: Math.round(score * 1000) / 1000,
+            snippet: passage.html,
+            citation: citation(granule, passage.page)
+        };
+    });
+    return { total: matched.length, results };
+}
+
+// A member's speeches, newest first, as { speech, granule }
+function getMemberSpeeches(bioguideId) {
+    return Array.from(memberIndex.get(bioguideId) || [])
+        .map(id => speeches.get(id))
+        .sort((a, b) => b.granule.date.localeCompare(a.granule.date) || a.speech.id.localeCompare(b.speech.id));
+}
+
+// The paragraph of a speech holding text[start, end), HTML-escaped with
+// that span in <mark>, and its citation
+function quotePassage({ speech, granule }, start, end) {
+    const text = speech.text;
+    const from = text.lastIndexOf('\n', start - 1) + 1;
+    const to = text.indexOf('\n', end) === -1 ? text.length : text.indexOf('\n', end);
+    return {
+        text: text.slice(from, to),
+        snippet: `${escapeHtml(text.slice(from, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>${escapeHtml(text.slice(end, to))}`,
+        citation: citation(granule, pageAt(speech, start))
+    };
+}
+
+function getTranscriptInfo() {
+    const dates = Array.from(granules.values()).map(g => g.date).sort();
+    return {
+        granules: granules.size,
+        speeches: speeches.size,
+        members: memberIndex.size,
+        terms: postings.size,
+        from: dates[0] || null,
+        to: dates[dates.length - 1] || null
+    };
+}
+
+module.exports = {
+    parseGranule,
+    parseMods,
+    loadTranscriptStore,
+    ingestTranscripts,
+    searchTranscripts,
+    getMemberSpeeches,
+    quotePassage,
+    getTranscriptInfo
+};
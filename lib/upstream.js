@@ -0,0 +1,359 @@
+const { CONFIG } = require('./config');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Statuses worth retrying; anything else is the caller's problem
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+// Longest Retry-After worth waiting for. api.data.gov limits (FEC,
+// Congress.gov) reset hourly, so waiting out those would stall the request.
+const MAX_RETRY_WAIT_MS = 30 * 1000;
+// First backoff; doubles with each retry, plus up to 50% jitter
+const BASE_BACKOFF_MS = 500;
+
+// Per-provider limits. `rate` and `burst` size the token bucket (requests
+// per second); `budget` caps requests per window, matching the provider's
+// own quota so it is spent evenly instead of failing with 429s for the rest
+// of the window. The breaker opens after `failureThreshold` failed requests
+// in a row and lets one trial request through after `cooldownMs`.
+const PROVIDER_DEFAULTS = {
+    label: null,
+    rate: 5,
+    burst: 5,
+    budget: null,
+    timeoutMs: CONFIG.UPSTREAM_TIMEOUT_MS,
+    maxRetries: 2,
+    failureThreshold: 5,
+    cooldownMs: 60 * 1000
+};
+
+const fecDemoKey = CONFIG.FEC_API_KEY === 'DEMO_KEY';
+
+const PROVIDERS = {
+    // DEMO_KEY is shared by everyone on the IP and counted per day; a
+    // registered api.data.gov key gets 1,000 an hour
+    fec: {
+        label: 'FEC API', rate: 2, burst: 5, maxRetries: 3,
+        budget: { limit: CONFIG.FEC_REQUEST_BUDGET, windowMs: fecDemoKey ? DAY : HOUR }
+    },
+    congress: {
+        label: 'Congress.gov API', rate: 5, burst: 10,
+        budget: { limit: CONFIG.CONGRESS_REQUEST_BUDGET, windowMs: HOUR }
+    },
+    propublica: {
+        label: 'ProPublica API', rate: 2, burst: 5,
+        budget: { limit: 5000, windowMs: DAY }
+    },
+    legislators: { label: 'Legislators dataset', rate: 2, burst: 5, timeoutMs: 60 * 1000 },
+    census: { label: 'Census geocoder', rate: 5, burst: 5 },
+    // Nominatim's usage policy allows one request per second
+    nominatim: { label: 'Nominatim geocoder', rate: 1, burst: 1 },
+    houseClerk: { label: 'House Clerk', rate: 5, burst: 5 },
+    senate: { label: 'Senate LIS', rate: 2, burst: 2 },
+    houseFloor: { label: 'House floor schedule', rate: 2, burst: 2 }
+};
+
+const providers = new Map();
+// Requests in flight, by provider, method and URL, so identical lookups
+// that overlap share one fetch
+const inFlight = new Map();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function upstreamError(provider, message, status, extra = {}) {
+    const error = new Error(`${provider.label} ${message}`);
+    error.status = status;
+    error.provider = provider.name;
+    Object.assign(error, extra);
+    return error;
+}
+
+// Add or replace a provider, e.g. for a mirror with its own limits
+function registerProvider(name, options = {}) {
+    const settings = { ...PROVIDER_DEFAULTS, label: name, ...options };
+    providers.set(name, {
+        name,
+        ...settings,
+        tokens: settings.burst,
+        refilledAt: Date.now(),
+        queue: Promise.resolve(),
+        budgetUsed: 0,
+        budgetResetAt: settings.budget ? Date.now() + settings.budget.windowMs : null,
+        pausedUntil: 0,
+        breaker: { state: 'closed', failures: 0, openedAt: null, retryAt: null, trial: false },
+        stats: { requests: 0, failures: 0, retries: 0, coalesced: 0, rateLimited: 0, rejected: 0 },
+        lastSuccessAt: null,
+        lastError: null
+    });
+}
+
+Object.entries(PROVIDERS).forEach(([name, options]) => registerProvider(name, options));
+
+function getProvider(name) {
+    const provider = providers.get(name);
+    if (!provider) throw new Error(`Unknown upstream provider: ${name}`);
+    return provider;
+}
+
+// Take one token, waiting for the bucket to refill when it's empty. Callers
+// queue so a burst of requests is spread out instead of all waking at once.
+function takeToken(provider) {
+    const turn = provider.queue.then(async () => {
+        const refill = () => {
+            const now = Date.now();
+            provider.tokens = Math.min(provider.burst, provider.tokens + (now - provider.refilledAt) / 1000 * provider.rate);
+            provider.refilledAt = now;
+        };
+        refill();
+        if (provider.tokens < 1) {
+            await sleep((1 - provider.tokens) / provider.rate * 1000);
+            refill();
+        }
+        provider.tokens -= 1;
+    });
+    provider.queue = turn;
+    return turn;
+}
+
+// Count a request against the provider's budget, refusing it when the
+// window's budget is spent
+function spendBudget(provider) {
+    if (!provider.budget) return;
+    const now = Date.now();
+    if (now >= provider.budgetResetAt) {
+        provider.budgetUsed = 0;
+        provider.budgetResetAt = now + provider.budget.windowMs;
+    }
+    if (provider.budgetUsed >= provider.budget.limit) {
+        provider.stats.rejected++;
+        throw upstreamError(provider, `request budget exhausted; resets at ${new Date(provider.budgetResetAt).toISOString()}`, 429, {
+            budgetExhausted: true,
+            retryAt: new Date(provider.budgetResetAt).toISOString()
+        });
+    }
+    provider.budgetUsed++;
+}
+
+// After a 429 whose Retry-After was too long to wait out, further requests
+// fail fast until then instead of spending the quota on more 429s
+function checkPause(provider) {
+    if (Date.now() >= provider.pausedUntil) return;
+    provider.stats.rejected++;
+    const retryAt = new Date(provider.pausedUntil).toISOString();
+    throw upstreamError(provider, `rate limited until ${retryAt}`, 429, { retryAt });
+}
+
+// api.data.gov reports the real quota left; trust it over our own count,
+// which starts from zero on every restart
+function syncBudget(provider, response) {
+    if (!provider.budget) return;
+    const remaining = parseInt(response.headers.get('x-ratelimit-remaining'), 10);
+    if (!isNaN(remaining)) {
+        provider.budgetUsed = Math.max(provider.budgetUsed, provider.budget.limit - remaining);
+    }
+}
+
+// Fail fast while the breaker is open; after the cooldown one trial
+// request is let through (half-open) to see whether the provider is back
+function checkBreaker(provider) {
+    const breaker = provider.breaker;
+    if (breaker.state === 'open' && Date.now() >= breaker.retryAt) {
+        breaker.state = 'half-open';
+        breaker.trial = false;
+    }
+    if (breaker.state === 'open' || (breaker.state === 'half-open' && breaker.trial)) {
+        provider.stats.rejected++;
+        throw upstreamError(provider, `unavailable after ${breaker.failures} failed requests; retrying after ${new Date(breaker.retryAt).toISOString()}`, 503, {
+            circuitOpen: true,
+            retryAt: new Date(breaker.retryAt).toISOString()
+        });
+    }
+    if (breaker.state === 'half-open') breaker.trial = true;
+}
+
+function closeBreaker(provider) {
+    provider.breaker = { state: 'closed', failures: 0, openedAt: null, retryAt: null, trial: false };
+}
+
+function recordSuccess(provider) {
+    closeBreaker(provider);
+    provider.lastSuccessAt = new Date().toISOString();
+}
+
+function recordFailure(provider, error) {
+    const breaker = provider.breaker;
+    provider.stats.failures++;
+    provider.lastError = { message: error.message, status: error.status || null, at: new Date().toISOString() };
+    breaker.failures++;
+    if (breaker.state === 'half-open' || breaker.failures >= provider.failureThreshold) {
+        breaker.state = 'open';
+        breaker.openedAt = new Date().toISOString();
+        breaker.retryAt = Date.now() + provider.cooldownMs;
+        breaker.trial = false;
+        console.error(`${provider.label} circuit open after ${breaker.failures} failures`);
+    }
+}
+
+// Wait before retry `attempt` (0-based): Retry-After when given, in seconds
+// or as a date, else exponential backoff with jitter
+function retryDelay(response, attempt) {
+    const retryAfter = response && response.headers.get('retry-after');
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const ms = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+        if (!isNaN(ms)) return Math.max(0, ms);
+    }
+    const backoff = BASE_BACKOFF_MS * 2 ** attempt;
+    return backoff + Math.random() * backoff / 2;
+}
+
+async function readBody(response, type) {
+    if (type === 'text') return response.text();
+    return response.json();
+}
+
+// One request with retries. Failures that say nothing about the provider's
+// health (404s, bad requests, rate limits) don't count toward the breaker.
+async function send(provider, url, options) {
+    checkBreaker(provider);
+    try {
+        return await attempts(provider, url, options);
+    } finally {
+        // A half-open trial that neither succeeded nor failed lets the next
+        // request try instead
+        if (provider.breaker.state === 'half-open') provider.breaker.trial = false;
+    }
+}
+
+async function attempts(provider, url, { method, headers, body, type, notFound }) {
+    for (let attempt = 0; ; attempt++) {
+        checkPause(provider);
+        await takeToken(provider);
+        spendBudget(provider);
+        provider.stats.requests++;
+
+        let response;
+        try {
+            response = await fetch(url, { method, headers, body, signal: AbortSignal.timeout(provider.timeoutMs) });
+        } catch (cause) {
+            const timedOut = cause.name === 'TimeoutError';
+            if (attempt < provider.maxRetries) {
+                provider.stats.retries++;
+                await sleep(retryDelay(null, attempt));
+                continue;
+            }
+            const error = upstreamError(provider, timedOut ? `timed out after ${provider.timeoutMs}ms` : `request failed: ${cause.message}`,
+                timedOut ? 504 : 502);
+            recordFailure(provider, error);
+            throw error;
+        }
+
+        syncBudget(provider, response);
+        if (response.status === 429) provider.stats.rateLimited++;
+
+        if (RETRY_STATUSES.includes(response.status) && attempt < provider.maxRetries) {
+            const delay = retryDelay(response, attempt);
+            if (delay <= MAX_RETRY_WAIT_MS) {
+                console.error(`${provider.label} returned ${response.status}; retrying in ${Math.round(delay)}ms`);
+                provider.stats.retries++;
+                await response.body?.cancel();
+                await sleep(delay);
+                continue;
+            }
+        }
+
+        if (response.status === 404 && notFound !== undefined) {
+            recordSuccess(provider);
+            return notFound;
+        }
+
+        if (!response.ok) {
+            const error = upstreamError(provider, `error: ${response.status}`, response.status);
+            if (response.status === 429 && response.headers.get('retry-after')) {
+                provider.pausedUntil = Date.now() + retryDelay(response, attempt);
+                error.retryAt = new Date(provider.pausedUntil).toISOString();
+            }
+            if (response.status >= 500) {
+                recordFailure(provider, error);
+            } else {
+                // The provider answered; the request was the problem
+                if (response.status !== 429) closeBreaker(provider);
+                provider.lastError = { message: error.message, status: response.status, at: new Date().toISOString() };
+            }
+            throw error;
+        }
+
+        try {
+            const result = await readBody(response, type);
+            recordSuccess(provider);
+            return result;
+        } catch (cause) {
+            const error = upstreamError(provider, `sent an unreadable response: ${cause.message}`, 502);
+            recordFailure(provider, error);
+            throw error;
+        }
+    }
+}
+
+// Fetch from an upstream provider and return the parsed body (`type`:
+// json or text). Errors carry the HTTP status; rate limits and spent
+// budgets are 429, an open breaker 503. With `notFound` set, a 404 returns
+// that value instead of throwing. Concurrent identical GETs share one
+// request, so callers must not modify what they get back.
+function upstreamFetch(providerName, url, { method = 'GET', headers = {}, body, type = 'json', notFound } = {}) {
+    const provider = getProvider(providerName);
+    if (method !== 'GET') {
+        return send(provider, url, { method, headers, body, type, notFound });
+    }
+
+    const key = `${providerName} ${url} ${type} ${JSON.stringify(headers)}`;
+    if (inFlight.has(key)) {
+        provider.stats.coalesced++;
+        return inFlight.get(key);
+    }
+    const request = send(provider, url, { method, headers, type, notFound })
+        .finally(() => inFlight.delete(key));
+    inFlight.set(key, request);
+    return request;
+}
+
+// Breaker, budget and counters per provider, for /api/health
+function getUpstreamInfo() {
+    const info = {};
+    providers.forEach(provider => {
+        const { breaker, budget } = provider;
+        const budgetSpent = budget && Date.now() < provider.budgetResetAt ? provider.budgetUsed : 0;
+        info[provider.name] = {
+            label: provider.label,
+            circuit: breaker.state === 'open' && Date.now() >= breaker.retryAt ? 'half-open' : breaker.state,
+            consecutiveFailures: breaker.failures,
+            ...(breaker.state === 'closed' ? {} : { openedAt: breaker.openedAt, retryAt: new Date(breaker.retryAt).toISOString() }),
+            ...(Date.now() < provider.pausedUntil ? { rateLimitedUntil: new Date(provider.pausedUntil).toISOString() } : {}),
+            budget: budget ? {
+                limit: budget.limit,
+                window: budget.windowMs >= DAY ? 'day' : 'hour',
+                used: budgetSpent,
+                remaining: budget.limit - budgetSpent,
+                resetsAt: budgetSpent ? new Date(provider.budgetResetAt).toISOString() : null
+            } : null,
+            rate: { perSecond: provider.rate, burst: provider.burst },
+            inFlight: Array.from(inFlight.keys()).filter(key => key.startsWith(`${provider.name} `)).length,
+            ...provider.stats,
+            lastSuccessAt: provider.lastSuccessAt,
+            lastError: provider.lastError
+        };
+    });
+    return info;
+}
+
+// True when any provider's breaker is open
+function hasOpenCircuit() {
+    return Array.from(providers.values()).some(provider => provider.breaker.state !== 'closed');
+}
+
+module.exports = {
+    registerProvider,
+    upstreamFetch,
+    getUpstreamInfo,
+    hasOpenCircuit
+};
@@ -0,0 +1,559 @@
+const crypto = require('crypto');
+const storage = require('./storage');
+const { CONFIG } = require('./config');
+const { getMember } = require('./legislators');
+const { listRollCalls } = require('./rollcalls');
+const { BILL_TYPES, parseBillId, mapWithConcurrency, getBill, getBillActions } = require('./congressGov');
+const { getCandidateFilings } = require('./fec');
+const { resolveCandidate } = require('./fecCandidates');
+const { classifyVote, getTaxonomy, isKnownTopic } = require('./topics');
+const { getChannel, getChannelTypes, getFeedAlerts } = require('./alertChannels');
+
+// What can be followed, and the events each kind of target produces
+const TARGET_EVENTS = {
+    member: ['votes', 'filings'],
+    bill: ['votes', 'actions'],
+    topic: ['votes']
+};
+const MAX_FEED_SUBSCRIPTIONS = 50;
+// Upstream lookups run in parallel per detector pass
+const CHECK_CONCURRENCY = 3;
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Feed and subscription IDs double as the credentials for reading and
+// managing a feed, so they are random rather than sequential
+const newId = () => crypto.randomBytes(12).toString('hex');
+const isId = value => /^[a-f0-9]{24}$/.test(String(value || ''));
+
+function requestError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Subscriptions are keyed feedId|subscriptionId, so a feed's are read by
+// key prefix
+function listSubscriptions(feedId = null) {
+    return storage.list('subscriptions', feedId ? `${feedId}|` : '')
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+const subscriptionKey = subscription => `${subscription.feedId}|${subscription.id}`;
+
+function saveSubscription(subscription) {
+    return storage.set('subscriptions', subscriptionKey(subscription), subscription);
+}
+
+// Email tokens point at their subscription in emailIndex, so a confirm or
+// unsubscribe click reads one subscription rather than all of them.
+// Unconfirmed channels are also listed there by address and target, so a
+// second confirmation can't be sent while one is pending and expired ones
+// can be found.
+const emailChannels = channels => channels.filter(c => c.type === 'email');
+const pendingKey = (to, target) => `pending:${to.toLowerCase()}|${target.type}|${target.id}`;
+
+function indexEmail(subscription) {
+    const key = subscriptionKey(subscription);
+    emailChannels(subscription.channels).forEach(channel => {
+        storage.set('emailIndex', `token:${channel.confirmToken}`, { subscription: key });
+        storage.set('emailIndex', `token:${channel.unsubscribeToken}`, { subscription: key });
+        if (!channel.confirmed) {
+            storage.set('emailIndex', pendingKey(channel.to, subscription.target), {
+                subscription: key,
+                expiresAt: new Date(Date.parse(subscription.createdAt) + CONFIG.EMAIL_CONFIRM_HOURS * HOUR).toISOString()
+            });
+        }
+    });
+}
+
+function unindexEmail(subscription, channels = subscription.channels) {
+    emailChannels(channels).forEach(channel => {
+        storage.remove('emailIndex', `token:${channel.confirmToken}`);
+        storage.remove('emailIndex', `token:${channel.unsubscribeToken}`);
+        storage.remove('emailIndex', pendingKey(channel.to, subscription.target));
+    });
+}
+
+// Confirmation emails sent per address (over a day) and per client IP
+// (over an hour), so subscribing can't be used to flood an inbox. Kept in
+// memory: a restart forgets them, but pending confirmations still block
+// repeats.
+const confirmationsSent = new Map();
+
+function recentConfirmations(key, windowMs) {
+    const since = Date.now() - windowMs;
+    const times = (confirmationsSent.get(key) || []).filter(time => time > since);
+    if (times.length) confirmationsSent.set(key, times);
+    else confirmationsSent.delete(key);
+    return times;
+}
+
+// Refuse email channels that would resend a pending confirmation or go
+// over a rate limit; otherwise count their confirmation emails as sent
+function checkEmailChannels(emails, target, client) {
+    for (const { to } of emails) {
+        const pending = storage.get('emailIndex', pendingKey(to, target));
+        if (pending && Date.parse(pending.expiresAt) > Date.now()) {
+            throw requestError(`A confirmation email for ${target.label} was already sent to ${to}. Follow its link, or ask again after ${pending.expiresAt}`, 409);
+        }
+    }
+
+    const limits = [
+        ...emails.map(({ to }) => [`address:${to.toLowerCase()}`, CONFIG.EMAIL_CONFIRMATIONS_PER_ADDRESS, DAY]),
+        ...(client ? [[`client:${client}`, CONFIG.EMAIL_CONFIRMATIONS_PER_CLIENT, HOUR]] : [])
+    ];
+    if (limits.some(([key, limit, windowMs]) => recentConfirmations(key, windowMs).length >= limit)) {
+        throw requestError('Too many confirmation emails requested. Try again later', 429);
+    }
+    limits.forEach(([key]) => confirmationsSent.set(key, [...(confirmationsSent.get(key) || []), Date.now()]));
+}
+
+// Check a target exists and give it a readable label
+async function resolveTarget(target) {
+    const type = target && target.type;
+    const id = target && String(target.id || '').trim();
+    if (!TARGET_EVENTS[type] || !id) {
+        throw requestError(`target needs a type (${Object.keys(TARGET_EVENTS).join(', ')}) and an id`);
+    }
+
+    if (type === 'member') {
+        const member = await getMember(id.toUpperCase(), 'bioguide');
+        if (!member) throw requestError(`No member with bioguide ID ${id}`, 404);
+        return { type, id: member.bioguideId, label: `${member.name} (${member.party.charAt(0)}-${member.state})` };
+    }
+
+    if (type === 'bill') {
+        const bill = parseBillId(id.toLowerCase());
+        if (!bill || !BILL_TYPES.includes(bill.type)) throw requestError('Bill IDs look like hr1234-119');
+        const billId = id.toLowerCase();
+        if (!CONFIG.CONGRESS_API_KEY) return { type, id: billId, label: billId };
+        try {
+            const record = await getBill(bill.congress, bill.type, bill.number);
+            return { type, id: billId, label: record.title ? `${billId}: ${record.title}` : billId };
+        } catch (error) {
+            if (error.status === 404) throw requestError(`No bill ${billId}`, 404);
+            // Congress.gov being down shouldn't block subscribing
+            console.error(`Bill lookup for ${billId} failed:`, error.message);
+            return { type, id: billId, label: billId };
+        }
+    }
+
+    if (!isKnownTopic(id)) throw requestError(`Unknown topic: ${id}. See /api/topics`);
+    const taxonomy = getTaxonomy();
+    const topic = [...taxonomy.topics, taxonomy.procedural, taxonomy.fallback].find(t => t.id === id);
+    return { type, id, label: topic.label };
+}
+
+// Follow a member, bill or topic. Without a feedId a new feed is started.
+// client (the requester's IP) is rate limited on confirmation emails.
+// Throws errors carrying an HTTP status for bad input.
+async function createSubscription({ feedId = null, target, events = null, channels = null, client = null } = {}) {
+    if (feedId !== null) {
+        if (!isId(feedId) || !listSubscriptions(feedId).length) throw requestError('Feed not found', 404);
+        if (listSubscriptions(feedId).length >= MAX_FEED_SUBSCRIPTIONS) {
+            throw requestError(`A feed can have at most ${MAX_FEED_SUBSCRIPTIONS} subscriptions`);
+        }
+    }
+
+    const resolved = await resolveTarget(target);
+    const allowed = TARGET_EVENTS[resolved.type];
+    const wanted = events === null ? allowed : events;
+    if (!Array.isArray(wanted) || !wanted.length || wanted.some(e => !allowed.includes(e))) {
+        throw requestError(`events for a ${resolved.type} must be some of: ${allowed.join(', ')}`);
+    }
+
+    const requested = channels === null ? [{ type: 'feed' }] : channels;
+    if (!Array.isArray(requested) || !requested.length) throw requestError('channels must be a non-empty array');
+    const configured = [];
+    for (const channel of requested) {
+        const handler = getChannel(channel && channel.type);
+        if (!handler) throw requestError(`Unknown channel type. Use one of: ${getChannelTypes().join(', ')}`);
+        try {
+            configured.push({ type: handler.type, ...(await handler.validate(channel)) });
+        } catch (error) {
+            throw requestError(error.message);
+        }
+    }
+
+    const id = feedId || newId();
+    if (listSubscriptions(id).some(s => s.target.type === resolved.type && s.target.id === resolved.id)) {
+        throw requestError(`This feed already follows ${resolved.label}`, 409);
+    }
+    const emails = emailChannels(configured);
+    if (emails.length) {
+        expireEmailConfirmations();
+        checkEmailChannels(emails, resolved, client);
+    }
+
+    const subscription = saveSubscription({
+        id: newId(),
+        feedId: id,
+        target: resolved,
+        events: Array.from(new Set(wanted)),
+        channels: configured,
+        createdAt: new Date().toISOString(),
+        lastDelivery: null
+    });
+    indexEmail(subscription);
+
+    // e.g. the email confirmation; a subscription that can't be confirmed
+    // is no use, so it's dropped again
+    for (const { type, ...config } of configured) {
+        const { created } = getChannel(type);
+        if (!created) continue;
+        try {
+            await created(subscription, config);
+        } catch (error) {
+            console.error(`Setting up ${type} for subscription ${subscription.id} failed:`, error.message);
+            deleteSubscription(subscription.feedId, subscription.id);
+            throw requestError(`Could not set up the ${type} channel: ${error.message}`, 502);
+        }
+    }
+    return subscription;
+}
+
+function deleteSubscription(feedId, id) {
+    const key = `${feedId}|${id}`;
+    const subscription = storage.get('subscriptions', key);
+    if (!subscription) return false;
+    unindexEmail(subscription);
+    storage.remove('subscriptions', key);
+    return true;
+}
+
+// Webhook secrets and email tokens never leave the server once set
+function publicSubscription({ channels, ...subscription }) {
+    return {
+        ...subscription,
+        channels: channels.map(({ secret, confirmToken, unsubscribeToken, ...channel }) => (secret ? { ...channel, signed: true } : channel))
+    };
+}
+
+// The subscription and email channel holding a confirm or unsubscribe token
+function findEmailChannel(field, token) {
+    if (!/^[a-f0-9]{32}$/.test(String(token || ''))) return null;
+    const indexed = storage.get('emailIndex', `token:${token}`);
+    const subscription = indexed && storage.get('subscriptions', indexed.subscription);
+    const channel = subscription && subscription.channels.find(c => c.type === 'email' && c[field] === token);
+    return channel ? { subscription, channel } : null;
+}
+
+// Drop one email channel, or the whole subscription if it was the only one
+function removeEmailChannel(subscription, channel) {
+    const remaining = subscription.channels.filter(c => c !== channel);
+    if (!remaining.length) {
+        deleteSubscription(subscription.feedId, subscription.id);
+        return subscription;
+    }
+    unindexEmail(subscription, [channel]);
+    return saveSubscription({ ...subscription, channels: remaining });
+}
+
+// Drop email channels not confirmed within EMAIL_CONFIRM_HOURS, and forget
+// rate-limit counts past their window. Returns how many were dropped.
+function expireEmailConfirmations() {
+    const now = Date.now();
+    let expired = 0;
+    storage.keys('emailIndex', 'pending:').forEach(key => {
+        const pending = storage.get('emailIndex', key);
+        if (Date.parse(pending.expiresAt) > now) return;
+        const subscription = storage.get('subscriptions', pending.subscription);
+        const channel = subscription && emailChannels(subscription.channels)
+            .find(c => !c.confirmed && pendingKey(c.to, subscription.target) === key);
+        if (channel) removeEmailChannel(subscription, channel);
+        storage.remove('emailIndex', key);
+        expired++;
+    });
+    Array.from(confirmationsSent.keys()).forEach(key => recentConfirmations(key, key.startsWith('address:') ? DAY : HOUR));
+    return expired;
+}
+
+// Start email alerts once the address has confirmed. Returns the
+// subscription, or null for an unknown or expired token.
+function confirmEmail(token) {
+    const found = findEmailChannel('confirmToken', token);
+    if (!found) return null;
+    const { subscription, channel } = found;
+    if (channel.confirmed) return subscription;
+    const key = pendingKey(channel.to, subscription.target);
+    const pending = storage.get('emailIndex', key);
+    if (pending && Date.parse(pending.expiresAt) <= Date.now()) {
+        removeEmailChannel(subscription, channel);
+        return null;
+    }
+    storage.remove('emailIndex', key);
+    return saveSubscription({
+        ...subscription,
+        channels: subscription.channels.map(c => (c === channel ? { ...c, confirmed: true, confirmedAt: new Date().toISOString() } : c))
+    });
+}
+
+// The subscription an unsubscribe token belongs to, without changing it,
+// or null for an unknown token
+function findUnsubscribe(token) {
+    const found = findEmailChannel('unsubscribeToken', token);
+    return found ? found.subscription : null;
+}
+
+// Stop email alerts from an unsubscribe link. The rest of the subscription
+// stays unless email was its only channel. Returns the subscription, or
+// null for an unknown token.
+function unsubscribeEmail(token) {
+    const found = findEmailChannel('unsubscribeToken', token);
+    if (!found) return null;
+    removeEmailChannel(found.subscription, found.channel);
+    return found.subscription;
+}
+
+// A feed's subscriptions and latest alerts, or null for an unknown feed
+function getFeed(feedId, { limit = 50 } = {}) {
+    if (!isId(feedId)) return null;
+    const subscriptions = listSubscriptions(feedId);
+    const alerts = getFeedAlerts(feedId, { limit });
+    if (!subscriptions.length && !alerts.length) return null;
+    return { id: feedId, subscriptions: subscriptions.map(publicSubscription), alerts };
+}
+
+// Change detection. Each source keeps a snapshot of what it has already
+// seen in watchState; anything not in the snapshot is new. The first pass
+// over a source only records the snapshot, so following a bill doesn't
+// replay its whole history.
+function diffSnapshot(key, items, keyOf) {
+    const previous = storage.get('watchState', key);
+    storage.set('watchState', key, { keys: items.map(keyOf), updatedAt: new Date().toISOString() });
+    if (!previous) return null;
+    const seen = new Set(previous.keys);
+    return items.filter(item => !seen.has(keyOf(item)));
+}
+
+function billRoute(billId) {
+    const bill = parseBillId(billId);
+    return bill ? `/api/bills/${bill.congress}/${bill.type}/${bill.number}` : null;
+}
+
+function rollCallAlert(rc) {
+    const chamber = rc.chamber === 'house' ? 'House' : 'Senate';
+    const { yea, nay } = rc.totals;
+    return {
+        id: `vote:${rc.id}`,
+        type: 'vote',
+        date: rc.date,
+        title: `${chamber} roll call ${rc.number}: ${rc.question || 'Vote'}${rc.bill ? ` (${rc.bill.billId})` : ''}`,
+        summary: `${rc.result || 'Result pending'}, ${yea}-${nay}${rc.title ? `. ${rc.title}` : ''}`,
+        url: rc.bill ? billRoute(rc.bill.billId) : null,
+        data: { rollCallId: rc.id, chamber: rc.chamber, congress: rc.congress, session: rc.session, number: rc.number, billId: rc.bill ? rc.bill.billId : null, totals: rc.totals }
+    };
+}
+
+// Does a roll call fall under a topic? Uses bill subjects already cached
+// by the votes route; keywords cover the rest.
+function rollCallTopics(rc) {
+    const subjects = rc.bill ? storage.get('bills', `subjects:${rc.bill.billId}`) : null;
+    const classification = classifyVote(
+        { question: rc.question, description: rc.title, bill: rc.title ? { title: rc.title } : null },
+        { title: rc.title, ...(subjects || {}) }
+    );
+    const ids = new Set([classification.primary.id, ...classification.topics.map(t => t.id)]);
+    if (classification.procedural) ids.add('procedural');
+    return ids;
+}
+
+// New stored roll calls, matched to member, bill and topic subscriptions
+function detectRollCalls(subscriptions, alertsFor) {
+    const watching = subscriptions.filter(s => s.events.includes('votes'));
+    const added = diffSnapshot('rollcalls', listRollCalls(), rc => rc.id);
+    if (!added || !watching.length) return { baseline: !added, newRollCalls: added ? added.length : 0 };
+
+    added.forEach(rc => {
+        let topics = null;
+        watching.forEach(subscription => {
+            const { type, id } = subscription.target;
+            if (type === 'member') {
+                const position = rc.positions.find(p => p.bioguideId === id);
+                if (!position) return;
+                const alert = rollCallAlert(rc);
+                alertsFor(subscription).push({
+                    ...alert,
+                    id: `${alert.id}:${id}`,
+                    summary: `Voted ${position.position}. ${alert.summary}`,
+                    data: { ...alert.data, bioguideId: id, position: position.position }
+                });
+            } else if (type === 'bill') {
+                if (rc.bill && rc.bill.billId === id) alertsFor(subscription).push(rollCallAlert(rc));
+            } else {
+                topics = topics || rollCallTopics(rc);
+                if (topics.has(id)) alertsFor(subscription).push(rollCallAlert(rc));
+            }
+        });
+    });
+    return { baseline: false, newRollCalls: added.length };
+}
+
+// New actions on followed bills
+async function detectBillActions(subscriptions, alertsFor) {
+    const watching = subscriptions.filter(s => s.target.type === 'bill' && s.events.includes('actions'));
+    const billIds = Array.from(new Set(watching.map(s => s.target.id)));
+    if (!billIds.length || !CONFIG.CONGRESS_API_KEY) return { bills: 0, failed: 0 };
+
+    let failed = 0;
+    await mapWithConcurrency(billIds, CHECK_CONCURRENCY, async billId => {
+        const bill = parseBillId(billId);
+        let actions;
+        try {
+            actions = await getBillActions(bill.congress, bill.type, bill.number);
+        } catch (error) {
+            console.error(`Alert check for ${billId} actions failed:`, error.message);
+            failed++;
+            return;
+        }
+
+        // House and Library of Congress copies of an action share date and text
+        const keyOf = action => crypto.createHash('sha1').update(`${action.date}|${action.text}`).digest('hex').slice(0, 16);
+        const added = diffSnapshot(`actions:${billId}`, actions, keyOf);
+        if (!added) return;
+
+        const unique = new Map(added.map(action => [keyOf(action), action]));
+        unique.forEach((action, key) => {
+            const alert = {
+                id: `action:${billId}:${key}`,
+                type: 'action',
+                date: action.date,
+                title: `${billId}: ${action.text}`,
+                summary: action.chamber || null,
+                url: billRoute(billId),
+                data: { billId, actionCode: action.actionCode, recordedVotes: action.recordedVotes }
+            };
+            watching.filter(s => s.target.id === billId).forEach(s => alertsFor(s).push(alert));
+        });
+    });
+    return { bills: billIds.length, failed };
+}
+
+// New FEC filings by followed members' campaigns
+async function detectFilings(subscriptions, alertsFor) {
+    const watching = subscriptions.filter(s => s.target.type === 'member' && s.events.includes('filings'));
+    const memberIds = Array.from(new Set(watching.map(s => s.target.id)));
+
+    let failed = 0;
+    await mapWithConcurrency(memberIds, CHECK_CONCURRENCY, async bioguideId => {
+        let filings;
+        try {
+            const member = await getMember(bioguideId, 'bioguide');
+            const match = member ? await resolveCandidate(member) : null;
+            if (!match) return;
+            filings = await getCandidateFilings(match.candidateId);
+        } catch (error) {
+            console.error(`Alert check for ${bioguideId} filings failed:`, error.message);
+            failed++;
+            return;
+        }
+
+        const added = diffSnapshot(`filings:${bioguideId}`, filings, f => String(f.fileNumber));
+        if (!added) return;
+        added.forEach(filing => {
+            const money = value => (value === null ? null : `$${Math.round(value).toLocaleString()}`);
+            const alert = {
+                id: `filing:${filing.fileNumber}`,
+                type: 'filing',
+                date: filing.receiptDate,
+                title: `${filing.reportType || filing.formType || 'FEC filing'}${filing.amendment ? ' (amended)' : ''} from ${filing.committeeName || 'campaign committee'}`,
+                summary: filing.coverageEnd
+                    ? [`Covers ${filing.coverageStart} to ${filing.coverageEnd}`, filing.receipts !== null ? `raised ${money(filing.receipts)}` : null, filing.cashOnHand !== null ? `${money(filing.cashOnHand)} on hand` : null].filter(Boolean).join(', ')
+                    : null,
+                url: filing.url,
+                data: { bioguideId, ...filing }
+            };
+            watching.filter(s => s.target.id === bioguideId).forEach(s => alertsFor(s).push(alert));
+        });
+    });
+    return { members: memberIds.length, failed };
+}
+
+// Send a subscription's new alerts through each of its channels. A failing
+// channel is recorded on the subscription and doesn't stop the others;
+// channels not active yet (unconfirmed email) are skipped.
+async function deliver(subscription, alerts) {
+    const results = await Promise.all(subscription.channels.map(async ({ type, ...config }) => {
+        const { isActive } = getChannel(type);
+        if (isActive && !isActive(config)) return { channel: type, status: 'inactive', error: null };
+        try {
+            await getChannel(type).deliver(subscription, alerts, config);
+            return { channel: type, status: 'ok', error: null };
+        } catch (error) {
+            console.error(`Alert delivery over ${type} for subscription ${subscription.id} failed:`, error.message);
+            return { channel: type, status: 'error', error: error.message };
+        }
+    }));
+
+    // The subscription may have been deleted while the checks ran
+    const key = `${subscription.feedId}|${subscription.id}`;
+    const current = storage.get('subscriptions', key);
+    if (current) {
+        storage.set('subscriptions', key, {
+            ...current,
+            lastDelivery: { at: new Date().toISOString(), alerts: alerts.length, results }
+        });
+    }
+    return results;
+}
+
+// One detector pass: drop expired email confirmations, diff every source
+// against its snapshot, then deliver what's new. Run by the alerts job
+// after each data refresh.
+async function detectChanges() {
+    const expiredConfirmations = expireEmailConfirmations();
+    const subscriptions = listSubscriptions();
+    const detectedAt = new Date().toISOString();
+    const pending = new Map();
+    const alertsFor = subscription => {
+        if (!pending.has(subscription.id)) pending.set(subscription.id, { subscription, alerts: [] });
+        return pending.get(subscription.id).alerts;
+    };
+
+    const rollCalls = detectRollCalls(subscriptions, alertsFor);
+    const [bills, filings] = await Promise.all([
+        detectBillActions(subscriptions, alertsFor),
+        detectFilings(subscriptions, alertsFor)
+    ]);
+
+    let alerts = 0;
+    let deliveryFailures = 0;
+    for (const { subscription, alerts: found } of pending.values()) {
+        const batch = found
+            .map(alert => ({ ...alert, target: subscription.target, detectedAt }))
+            .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+        const results = await deliver(subscription, batch);
+        alerts += batch.length;
+        deliveryFailures += results.filter(r => r.status === 'error').length;
+    }
+
+    const failedChecks = bills.failed + filings.failed;
+    const checks = bills.bills + filings.members;
+    if (checks && failedChecks === checks && !rollCalls.newRollCalls) {
+        throw new Error(`All ${failedChecks} alert checks failed`);
+    }
+    return {
+        subscriptions: subscriptions.length,
+        rollCalls,
+        bills,
+        filings,
+        alerts,
+        notified: pending.size,
+        deliveryFailures,
+        expiredConfirmations
+    };
+}
+
+module.exports = {
+    TARGET_EVENTS,
+    createSubscription,
+    deleteSubscription,
+    listSubscriptions,
+    publicSubscription,
+    confirmEmail,
+    findUnsubscribe,
+    unsubscribeEmail,
+    getFeed,
+    detectChanges
+};
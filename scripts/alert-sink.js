@@ -0,0 +1,100 @@
+// Local sink for alert deliveries: a webhook receiver and a bare-bones SMTP
+// server that print whatever they get. Point the tracker at it with:
+//
+//   SMTP_URL=smtp://localhost:2525 WEBHOOK_ALLOWED_HOSTS=localhost npm start
+//
+// and subscribe with a webhook channel of http://localhost:4020/hook. With
+// ALERT_SINK_SECRET set, webhook signatures are checked against it.
+// Everything received is listed at http://localhost:4020/messages.
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+
+const HTTP_PORT = process.env.ALERT_SINK_HTTP_PORT || 4020;
+const SMTP_PORT = process.env.ALERT_SINK_SMTP_PORT || 2525;
+const SECRET = process.env.ALERT_SINK_SECRET || null;
+
+const received = [];
+
+function record(message) {
+    received.push({ ...message, receivedAt: new Date().toISOString() });
+    console.log(`\n[${message.kind}] ${message.summary}`);
+    console.log(message.body);
+}
+
+function signatureStatus(body, header) {
+    if (!header) return 'unsigned';
+    if (!SECRET) return 'signed (no ALERT_SINK_SECRET to check against)';
+    const expected = `sha256=${crypto.createHmac('sha256', SECRET).update(body).digest('hex')}`;
+    const valid = header.length === expected.length && crypto.timingSafeEqual(Buffer.from(header), Buffer.from(expected));
+    return valid ? 'valid signature' : 'INVALID signature';
+}
+
+const httpServer = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url === '/messages') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify(received, null, 2));
+    }
+    if (req.method !== 'POST') {
+        res.writeHead(404);
+        return res.end();
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const signature = signatureStatus(body, req.headers['x-tracker-signature']);
+        record({ kind: 'webhook', summary: `POST ${req.url} (${signature})`, path: req.url, signature, body });
+        res.writeHead(204);
+        res.end();
+    });
+});
+
+// Just enough SMTP for nodemailer: no TLS, no auth, every recipient accepted
+const smtpServer = net.createServer(socket => {
+    let envelope = { from: null, to: [] };
+    let data = null;
+    let buffer = '';
+    const reply = line => socket.write(`${line}\r\n`);
+
+    reply('220 localhost alert sink');
+    socket.on('data', chunk => {
+        buffer += chunk.toString('utf8');
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+
+            if (data !== null) {
+                if (line === '.') {
+                    record({ kind: 'email', summary: `${envelope.from} -> ${envelope.to.join(', ')}`, ...envelope, body: data.join('\n') });
+                    envelope = { from: null, to: [] };
+                    data = null;
+                    reply('250 OK: message accepted');
+                } else {
+                    data.push(line.startsWith('..') ? line.slice(1) : line);
+                }
+                continue;
+            }
+
+            const command = line.slice(0, 4).toUpperCase();
+            if (command === 'EHLO' || command === 'HELO') reply('250 localhost');
+            else if (command === 'MAIL') { envelope.from = line.replace(/^MAIL FROM:\s*/i, ''); reply('250 OK'); }
+            else if (command === 'RCPT') { envelope.to.push(line.replace(/^RCPT TO:\s*/i, '')); reply('250 OK'); }
+            else if (command === 'DATA') { data = []; reply('354 End data with <CR><LF>.<CR><LF>'); }
+            else if (command === 'RSET') { envelope = { from: null, to: [] }; reply('250 OK'); }
+            else if (command === 'NOOP') reply('250 OK');
+            else if (command === 'QUIT') { reply('221 Bye'); socket.end(); }
+            else reply('502 Command not implemented');
+        }
+    });
+    socket.on('error', () => {});
+});
+
+httpServer.listen(HTTP_PORT, () => {
+    console.log(`Webhook sink on http://localhost:${HTTP_PORT} (received messages at /messages)`);
+});
+smtpServer.listen(SMTP_PORT, () => {
+    console.log(`SMTP sink on smtp://localhost:${SMTP_PORT}`);
+});
@@ -0,0 +1,153 @@
+// Start the Congress.gov fixture server and the tracker against it, then
+// check the voting record's { grouped, raw } contract and the bill routes
+// built on Congress.gov. Exits non-zero on a failed check:
+//
+//   npm run check:congress
+//
+// The tracker runs on in-memory storage with a small legislator registry in
+// a temporary DATA_DIR, so it needs no network and leaves no files behind.
+// Ports default to 4011 (fixtures) and 4012 (tracker).
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const FIXTURE_PORT = process.env.CONGRESS_FIXTURE_PORT || 4011;
+const TRACKER_PORT = process.env.CHECK_TRACKER_PORT || 4012;
+const TRACKER_URL = `http://localhost:${TRACKER_PORT}`;
+const STARTUP_TIMEOUT_MS = 20 * 1000;
+
+const representative = (bioguide, first, last, state, district, party) => ({
+    id: { bioguide },
+    name: { first, last, official_full: `${first} ${last}` },
+    terms: [{ type: 'rep', state, district, party, start: '2025-01-03', end: '2027-01-03' }]
+});
+
+// The members the fixture roll calls and bills mention
+const REGISTRY = [
+    representative('H001068', 'Jared', 'Huffman', 'CA', 2, 'Democrat'),
+    representative('T000460', 'Mike', 'Thompson', 'CA', 4, 'Democrat'),
+    representative('M001177', 'Tom', 'McClintock', 'CA', 5, 'Republican'),
+    representative('B001318', 'Becca', 'Balint', 'VT', 0, 'Democrat')
+];
+
+const POSITIONS = ['Yea', 'Nay', 'Present', 'Not Voting'];
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'check-congress-'));
+fs.writeFileSync(path.join(dataDir, 'legislators-current.json'), JSON.stringify(REGISTRY));
+fs.writeFileSync(path.join(dataDir, 'legislators-historical.json'), '[]');
+fs.writeFileSync(path.join(dataDir, 'legislators-social-media.json'), '[]');
+
+const children = [];
+const output = [];
+
+function start(script, env) {
+    const child = spawn(process.execPath, [path.join(__dirname, '..', script)], {
+        env: { ...process.env, ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    child.stdout.on('data', chunk => output.push(chunk));
+    child.stderr.on('data', chunk => output.push(chunk));
+    children.push(child);
+    return child;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(url) {
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        try {
+            await fetch(url);
+            return;
+        } catch (error) {
+            await sleep(200);
+        }
+    }
+    throw new Error(`${url} did not start within ${STARTUP_TIMEOUT_MS / 1000}s`);
+}
+
+async function getJson(route) {
+    const response = await fetch(`${TRACKER_URL}${route}`);
+    if (!response.ok) throw new Error(`GET ${route}: ${response.status} ${await response.text()}`);
+    return response.json();
+}
+
+const failures = [];
+let checks = 0;
+
+function check(label, actual, expected) {
+    checks++;
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        failures.push({ label, actual, expected });
+    }
+}
+
+async function main() {
+    start('scripts/congress-fixture-server.js', { CONGRESS_FIXTURE_PORT: FIXTURE_PORT });
+    start('server.js', {
+        PORT: TRACKER_PORT,
+        DATA_DIR: dataDir,
+        STORAGE: 'memory',
+        SCHEDULER_ENABLED: 'false',
+        GEOCODER: 'none',
+        CONGRESS_API_KEY: 'fixture',
+        CONGRESS_API_BASE_URL: `http://localhost:${FIXTURE_PORT}/v3`,
+        PROPUBLICA_API_KEY: ''
+    });
+    await waitFor(`http://localhost:${FIXTURE_PORT}/v3`);
+    await waitFor(`${TRACKER_URL}/api/health`);
+
+    // Voting record: { grouped, raw } from the congress.gov provider
+    const record = await getJson('/api/voting-record/H001068');
+    const grouped = Object.values(record.grouped || {});
+    const votes = grouped.flat();
+    check('record source', record.source, 'congress.gov');
+    check('raw is a non-empty list', Array.isArray(record.raw) && record.raw.length > 0, true);
+    check('raw votes from congress.gov', record.raw.every(v => v.source === 'congress.gov' && v.chamber === 'house'), true);
+    check('raw positions', record.raw.every(v => POSITIONS.includes(v.position)), true);
+    check('grouped topics are lists', grouped.length > 0 && grouped.every(Array.isArray), true);
+    check('grouped vote fields', votes.every(v => ['bill', 'date', 'position', 'rollCall', 'topic', 'voteUrl'].every(key => key in v)), true);
+    check('grouped covers raw', votes.length, Math.min(record.raw.length, 50));
+    check('position on roll call 12', votes.filter(v => v.rollCall === 12).map(v => [v.billId, v.position])[0], ['hr23-119', 'Nay']);
+    check('position on roll call 11', votes.filter(v => v.rollCall === 11).map(v => v.position)[0], 'Yea');
+
+    // Member bills: sponsored and cosponsored legislation
+    const bills = await getJson('/api/members/H001068/bills');
+    check('sponsored bills', bills.sponsored.map(b => b.billId), ['hr186-119']);
+    check('cosponsored bills', bills.cosponsored.map(b => b.billId), ['hr23-119', 's5-119']);
+    check('bill routes', bills.sponsored.concat(bills.cosponsored).map(b => b.url), [
+        '/api/bills/119/hr/186', '/api/bills/119/hr/23', '/api/bills/119/s/5'
+    ]);
+
+    // Bill detail: sponsor, linked cosponsors, actions and status
+    const bill = await getJson('/api/bills/119/hr/23');
+    check('bill id', bill.billId, 'hr23-119');
+    check('bill sponsor', bill.sponsor && bill.sponsor.bioguideId, 'R000395');
+    check('bill cosponsors', bill.cosponsors.map(c => [c.bioguideId, c.member && c.member.bioguideId]), [['M001177', 'M001177']]);
+    check('bill status', bill.status.code, 'passed-house');
+    check('bill actions', bill.actions.length, 3);
+    check('bill roll calls', bill.rollCalls.map(rc => rc.id), ['house-119-1-12']);
+    check('bill subjects', bill.subjects, ['Sanctions', 'International law and treaties']);
+}
+
+main()
+    .catch(error => {
+        checks++;
+        failures.push({ label: 'error', actual: error.stack, expected: null });
+    })
+    .then(() => {
+        children.forEach(child => child.kill());
+        fs.rmSync(dataDir, { recursive: true, force: true });
+
+        if (failures.length) {
+            console.log(Buffer.concat(output).toString());
+        }
+        failures.forEach(failure => {
+            console.log(`✗ ${failure.label}`);
+            console.log(`    expected ${JSON.stringify(failure.expected)}`);
+            console.log(`    got      ${typeof failure.actual === 'string' ? failure.actual : JSON.stringify(failure.actual)}`);
+        });
+        console.log(`${checks - failures.length}/${checks} Congress.gov fixture checks passed`);
+        process.exit(failures.length ? 1 : 0);
+    });
@@ -0,0 +1,117 @@
+// Parse the sample roll-call XML in data/samples/rollcalls and check the
+// House parser, the Senate parser, the Senate vote menu and the LIS ->
+// bioguide mapping, including positions mapped after a registry refresh.
+// Exits non-zero on a failed check:
+//
+//   npm run check:rollcalls
+//
+// Runs on in-memory storage against a small legislator registry written to
+// a temporary DATA_DIR, so it needs no network and leaves no files behind.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'check-rollcalls-'));
+process.env.DATA_DIR = dataDir;
+process.env.STORAGE = 'memory';
+
+const { loadLegislators } = require('../lib/legislators');
+const {
+    parseHouseRollCall,
+    parseSenateRollCall,
+    parseSenateVoteMenu,
+    storeRollCall,
+    remapRollCallMembers,
+    getRollCall,
+    getStoredMemberVotes
+} = require('../lib/rollcalls');
+
+const SAMPLES = path.join(__dirname, '..', 'data', 'samples', 'rollcalls');
+
+const senator = (bioguide, lis, first, last, state, party) => ({
+    id: { bioguide, lis },
+    name: { first, last, official_full: `${first} ${last}` },
+    terms: [{ type: 'sen', state, party, start: '2025-01-03', end: '2031-01-03' }]
+});
+
+// Senators in the sample vote. Welch (S422) is left out at first, as a
+// senator the registry doesn't know yet.
+const SENATORS = [
+    senator('P000145', 'S413', 'Alex', 'Padilla', 'CA', 'Democrat'),
+    senator('S001150', 'S432', 'Adam', 'Schiff', 'CA', 'Democrat'),
+    senator('S000033', 'S313', 'Bernard', 'Sanders', 'VT', 'Independent')
+];
+const WELCH = senator('W000800', 'S422', 'Peter', 'Welch', 'VT', 'Democrat');
+
+function writeRegistry(current) {
+    fs.writeFileSync(path.join(dataDir, 'legislators-current.json'), JSON.stringify(current));
+    fs.writeFileSync(path.join(dataDir, 'legislators-historical.json'), '[]');
+    fs.writeFileSync(path.join(dataDir, 'legislators-social-media.json'), '[]');
+}
+
+const sample = name => fs.readFileSync(path.join(SAMPLES, name), 'utf8');
+
+const failures = [];
+let checks = 0;
+
+function check(label, actual, expected) {
+    checks++;
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        failures.push({ label, actual, expected });
+    }
+}
+
+async function main() {
+    writeRegistry(SENATORS);
+    await loadLegislators(true);
+
+    // House Clerk rollcall-vote XML
+    const house = parseHouseRollCall(sample('house-2025-roll012.xml'));
+    check('house id', house.id, 'house-119-1-12');
+    check('house date', house.date, '2025-01-09');
+    check('house bill', house.bill && house.bill.billId, 'hr23-119');
+    check('house totals', house.totals, { yea: 1, nay: 2, present: 0, notVoting: 1 });
+    check('house positions', house.positions.map(p => [p.bioguideId, p.position]), [
+        ['H001068', 'Nay'], ['T000460', 'Nay'], ['M001177', 'Yea'], ['B001318', 'Not Voting']
+    ]);
+
+    // Senate roll_call_vote XML, with one LIS ID the registry can't map
+    const senate = await parseSenateRollCall(sample('senate-119-1-00003.xml'));
+    check('senate id', senate.id, 'senate-119-1-3');
+    check('senate date', senate.date, '2025-01-17');
+    check('senate bill', senate.bill && senate.bill.billId, 's5-119');
+    check('senate totals', senate.totals, { yea: 1, nay: 3, present: 0, notVoting: 0 });
+    check('senate LIS mapping', senate.positions.map(p => [p.lisId, p.bioguideId, p.position]), [
+        ['S413', 'P000145', 'Nay'], ['S432', 'S001150', 'Nay'], ['S313', 'S000033', 'Nay'], ['S422', null, 'Yea']
+    ]);
+
+    // The unmapped senator is filled in once the registry knows them
+    storeRollCall(senate);
+    check('unmapped senator has no stored votes', getStoredMemberVotes('W000800').length, 0);
+    writeRegistry([...SENATORS, WELCH]);
+    await loadLegislators(true);
+    check('positions remapped', await remapRollCallMembers(), 1);
+    check('remapped position', getRollCall('senate-119-1-3').positions.find(p => p.lisId === 'S422').bioguideId, 'W000800');
+    check('remapped senator votes', getStoredMemberVotes('W000800').map(v => [v.roll_call, v.position]), [[3, 'Yea']]);
+
+    // Senate vote_menu XML
+    const menu = parseSenateVoteMenu(sample('vote_menu_119_1.xml'));
+    check('vote menu session', [menu.congress, menu.session], [119, 1]);
+    check('vote menu votes', menu.votes.map(v => v.number), [3, 2]);
+}
+
+main()
+    .catch(error => {
+        checks++;
+        failures.push({ label: 'error', actual: error.stack, expected: null });
+    })
+    .then(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        failures.forEach(failure => {
+            console.log(`✗ ${failure.label}`);
+            console.log(`    expected ${JSON.stringify(failure.expected)}`);
+            console.log(`    got      ${typeof failure.actual === 'string' ? failure.actual : JSON.stringify(failure.actual)}`);
+        });
+        console.log(`${checks - failures.length}/${checks} roll-call checks passed`);
+        process.exit(failures.length ? 1 : 0);
+    });
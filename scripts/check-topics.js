@@ -0,0 +1,51 @@
+// Run the vote topic classifier over the hand-labeled sample votes and
+// report any that land in the wrong topic. Exits non-zero on a mismatch,
+// so taxonomy edits can be checked with:
+//
+//   npm run check:topics
+//
+// Pass a taxonomy file to check a custom one (defaults to TOPIC_TAXONOMY_PATH).
+const fs = require('fs');
+const path = require('path');
+const { loadTaxonomy, classifyVote } = require('../lib/topics');
+
+const SAMPLES = path.join(__dirname, '..', 'data', 'samples', 'votes', 'labeled-votes.json');
+
+loadTaxonomy(process.argv[2] || process.env.TOPIC_TAXONOMY_PATH || null);
+
+const { votes } = JSON.parse(fs.readFileSync(SAMPLES, 'utf8'));
+const failures = [];
+
+votes.forEach(sample => {
+    const result = classifyVote(sample.vote, {
+        title: sample.vote.bill && sample.vote.bill.title,
+        ...(sample.bill || {})
+    });
+    const ids = result.topics.map(topic => topic.id);
+    const problems = [];
+
+    if (result.primary.id !== sample.expected) {
+        problems.push(`expected ${sample.expected}, got ${result.primary.id}`);
+    }
+    (sample.alsoTopics || []).filter(id => !ids.includes(id)).forEach(id => {
+        problems.push(`missing topic ${id}`);
+    });
+    if (sample.procedural !== undefined && result.procedural !== sample.procedural) {
+        problems.push(`procedural should be ${sample.procedural}`);
+    }
+
+    if (problems.length) {
+        const label = (sample.vote.bill && sample.vote.bill.title) || sample.vote.description || sample.vote.question;
+        failures.push({ label, problems, topics: result.topics });
+    }
+});
+
+failures.forEach(failure => {
+    console.log(`✗ ${failure.label}`);
+    failure.problems.forEach(problem => console.log(`    ${problem}`));
+    failure.topics.forEach(topic => console.log(`    ${topic.id} (${topic.score}): ${topic.basis.join(', ')}`));
+});
+
+const passed = votes.length - failures.length;
+console.log(`${passed}/${votes.length} sample votes classified as labeled`);
+process.exit(failures.length ? 1 : 0);
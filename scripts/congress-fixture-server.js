@@ -0,0 +1,242 @@
+// Local stand-in for the Congress.gov API v3, serving canned responses for
+// the endpoints lib/congressGov.js uses. Point the tracker at it with:
+//
+//   CONGRESS_API_BASE_URL=http://localhost:4010/v3 CONGRESS_API_KEY=fixture npm start
+//
+// It also serves the sample House floor schedule for any week, for
+// HOUSE_FLOOR_URL=http://localhost:4010/floor/billsthisweek
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const PORT = process.env.CONGRESS_FIXTURE_PORT || 4010;
+
+// Members who appear in every roll call
+const ROSTER = [
+    { bioguideID: 'H001068', firstName: 'Jared', lastName: 'Huffman', voteParty: 'D', voteState: 'CA' },
+    { bioguideID: 'T000460', firstName: 'Mike', lastName: 'Thompson', voteParty: 'D', voteState: 'CA' },
+    { bioguideID: 'M001177', firstName: 'Tom', lastName: 'McClintock', voteParty: 'R', voteState: 'CA' },
+    { bioguideID: 'B001318', firstName: 'Becca', lastName: 'Balint', voteParty: 'D', voteState: 'VT' }
+];
+
+const ROLL_CALLS = [
+    { rollCallNumber: 12, startDate: '2025-01-22T14:05:00-05:00', voteType: 'Yea-and-Nay', result: 'Passed', legislationType: 'HR', legislationNumber: '23', voteQuestion: 'On Passage', positions: ['Nay', 'Nay', 'Yea', 'Nay'] },
+    { rollCallNumber: 11, startDate: '2025-01-22T13:40:00-05:00', voteType: 'Recorded Vote', result: 'Failed', legislationType: 'HR', legislationNumber: '23', voteQuestion: 'On Motion to Recommit', positions: ['Yea', 'Yea', 'Nay', 'Yea'] },
+    { rollCallNumber: 10, startDate: '2025-01-16T11:15:00-05:00', voteType: 'Yea-and-Nay', result: 'Passed', legislationType: 'S', legislationNumber: '5', voteQuestion: 'On Passage', positions: ['Yea', 'Nay', 'Yea', 'Nay'] },
+    { rollCallNumber: 9, startDate: '2025-01-15T16:30:00-05:00', voteType: '2/3 Yea-And-Nay', result: 'Passed', legislationType: 'HR', legislationNumber: '186', voteQuestion: 'On Motion to Suspend the Rules and Pass', positions: ['Yea', 'Yea', 'Yea', 'Not Voting'] }
+];
+
+const BILLS = {
+    'hr23': {
+        title: 'Illegitimate Court Counteraction Act', policyArea: 'International Affairs', subjects: ['Sanctions', 'International law and treaties'],
+        sponsor: { bioguideId: 'R000395', fullName: 'Rep. Roy, Chip [R-TX-21]', party: 'R', state: 'TX' },
+        cosponsors: [{ bioguideId: 'M001177', fullName: 'Rep. McClintock, Tom [R-CA-5]', party: 'R', state: 'CA' }]
+    },
+    's5': {
+        title: 'Laken Riley Act', policyArea: 'Immigration', subjects: ['Border security and unlawful immigration', 'Detention of persons'],
+        sponsor: { bioguideId: 'B001319', fullName: 'Sen. Britt, Katie Boyd [R-AL]', party: 'R', state: 'AL' },
+        cosponsors: []
+    },
+    'hr186': {
+        title: 'Veterans Health Care Improvement Act', policyArea: 'Armed Forces and National Security', subjects: ["Veterans' medical care"],
+        sponsor: { bioguideId: 'H001068', fullName: 'Rep. Huffman, Jared [D-CA-2]', party: 'D', state: 'CA' },
+        cosponsors: [
+            { bioguideId: 'T000460', fullName: 'Rep. Thompson, Mike [D-CA-4]', party: 'D', state: 'CA', isOriginalCosponsor: true },
+            { bioguideId: 'M001177', fullName: 'Rep. McClintock, Tom [R-CA-5]', party: 'R', state: 'CA', isOriginalCosponsor: false },
+            { bioguideId: 'B001318', fullName: 'Rep. Balint, Becca [D-VT-At Large]', party: 'D', state: 'VT', isOriginalCosponsor: false, sponsorshipWithdrawnDate: '2025-02-01' }
+        ]
+    }
+};
+
+// Committee meetings, dated relative to today so they show up as upcoming
+const MEETINGS = [
+    { eventId: '118100', chamber: 'house', daysAhead: 2, hour: 14, type: 'Hearing', title: 'Examining Wildfire Risk on Federal Lands', room: '1324', building: 'Longworth House Office Building', committee: { systemCode: 'hsii00', name: 'Natural Resources Committee' } },
+    { eventId: '118101', chamber: 'house', daysAhead: 5, hour: 15, type: 'Markup', title: 'Markup of H.R. 186', room: '2362-A', building: 'Rayburn House Office Building', committee: { systemCode: 'hsii10', name: 'Federal Lands Subcommittee' }, bills: [{ type: 'HR', number: '186', congress: 119 }] },
+    { eventId: '118102', chamber: 'house', daysAhead: 3, hour: 14, type: 'Hearing', title: 'Oversight of the Department of Agriculture', room: '1300', building: 'Longworth House Office Building', committee: { systemCode: 'hsag00', name: 'Agriculture Committee' }, status: 'Postponed' },
+    { eventId: '338200', chamber: 'senate', daysAhead: 4, hour: 14, type: 'Hearing', title: 'Nominations', room: 'SD-366', building: 'Dirksen Senate Office Building', committee: { systemCode: 'sseg00', name: 'Energy and Natural Resources Committee' } }
+];
+
+function meetingDate(meeting) {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() + meeting.daysAhead);
+    date.setUTCHours(meeting.hour, 0, 0, 0);
+    return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+function rollCallSummary(congress, session, rc) {
+    return {
+        congress,
+        sessionNumber: session,
+        rollCallNumber: rc.rollCallNumber,
+        startDate: rc.startDate,
+        voteType: rc.voteType,
+        result: rc.result,
+        legislationType: rc.legislationType,
+        legislationNumber: rc.legislationNumber,
+        legislationUrl: `https://www.congress.gov/bill/${congress}th-congress/${rc.legislationType === 'S' ? 'senate' : 'house'}-bill/${rc.legislationNumber}`,
+        url: `http://localhost:${PORT}/v3/house-vote/${congress}/${session}/${rc.rollCallNumber}`
+    };
+}
+
+function legislationItem(congress, type, number, date) {
+    const bill = BILLS[`${type.toLowerCase()}${number}`] || { title: `Fixture bill ${type} ${number}`, policyArea: null };
+    return {
+        congress,
+        type,
+        number,
+        title: bill.title,
+        introducedDate: date,
+        policyArea: bill.policyArea ? { name: bill.policyArea } : null,
+        latestAction: { actionDate: date, text: 'Referred to the Committee on the Judiciary.' },
+        url: `http://localhost:${PORT}/v3/bill/${congress}/${type.toLowerCase()}/${number}`
+    };
+}
+
+// [pattern, handler(match, query)] pairs
+const ROUTES = [
+    [/^\/v3\/committee-meeting\/(\d+)\/(\w+)$/, ([, congress, chamber]) => ({
+        committeeMeetings: MEETINGS.filter(m => m.chamber === chamber).map(m => ({
+            chamber: chamber === 'house' ? 'House' : 'Senate',
+            congress: +congress,
+            eventId: m.eventId,
+            updateDate: '2025-01-17T12:00:00Z',
+            url: `http://localhost:${PORT}/v3/committee-meeting/${congress}/${chamber}/${m.eventId}`
+        }))
+    })],
+    [/^\/v3\/committee-meeting\/(\d+)\/(\w+)\/(\d+)$/, ([, congress, chamber, eventId]) => {
+        const meeting = MEETINGS.find(m => m.chamber === chamber && m.eventId === eventId);
+        if (!meeting) return null;
+        return {
+            committeeMeeting: {
+                chamber: chamber === 'house' ? 'House' : 'Senate',
+                congress: +congress,
+                eventId,
+                date: meetingDate(meeting),
+                title: meeting.title,
+                type: meeting.type,
+                meetingStatus: meeting.status || 'Scheduled',
+                location: { room: meeting.room, building: meeting.building },
+                committees: [{ ...meeting.committee, url: `http://localhost:${PORT}/v3/committee/${chamber}/${meeting.committee.systemCode}` }],
+                relatedItems: { bills: meeting.bills || [], nominations: [] },
+                meetingDocuments: [],
+                videos: []
+            }
+        };
+    }],
+    [/^\/v3\/house-vote\/(\d+)\/(\d+)$/, ([, congress, session], query) => {
+        const limit = parseInt(query.get('limit') || '20', 10);
+        return { houseRollCallVotes: ROLL_CALLS.slice(0, limit).map(rc => rollCallSummary(+congress, +session, rc)) };
+    }],
+    [/^\/v3\/house-vote\/(\d+)\/(\d+)\/(\d+)\/members$/, ([, congress, session, number]) => {
+        const rc = ROLL_CALLS.find(r => r.rollCallNumber === +number);
+        if (!rc) return null;
+        return {
+            houseRollCallVoteMemberVotes: {
+                ...rollCallSummary(+congress, +session, rc),
+                voteQuestion: rc.voteQuestion,
+                results: ROSTER.map((member, i) => ({ ...member, voteCast: rc.positions[i] }))
+            }
+        };
+    }],
+    [/^\/v3\/member\/(\w+)\/sponsored-legislation$/, () => ({
+        sponsoredLegislation: [legislationItem(119, 'HR', '186', '2025-01-03')]
+    })],
+    [/^\/v3\/member\/(\w+)\/cosponsored-legislation$/, () => ({
+        cosponsoredLegislation: [legislationItem(119, 'HR', '23', '2025-01-09'), legislationItem(119, 'S', '5', '2025-01-06')]
+    })],
+    [/^\/v3\/bill\/(\d+)\/(\w+)\/(\d+)$/, ([, congress, type, number]) => {
+        const bill = BILLS[`${type}${number}`];
+        if (!bill) return null;
+        return {
+            bill: {
+                ...legislationItem(+congress, type.toUpperCase(), number, '2025-01-03'),
+                sponsors: [bill.sponsor],
+                cosponsors: { count: bill.cosponsors.length }
+            }
+        };
+    }],
+    [/^\/v3\/bill\/(\d+)\/(\w+)\/(\d+)\/cosponsors$/, ([, , type, number]) => {
+        const bill = BILLS[`${type}${number}`];
+        if (!bill) return null;
+        return {
+            cosponsors: bill.cosponsors.map(cosponsor => ({
+                isOriginalCosponsor: true,
+                sponsorshipDate: '2025-01-09',
+                ...cosponsor
+            }))
+        };
+    }],
+    [/^\/v3\/bill\/(\d+)\/(\w+)\/(\d+)\/subjects$/, ([, , type, number]) => {
+        const bill = BILLS[`${type}${number}`];
+        if (!bill) return null;
+        return {
+            subjects: {
+                legislativeSubjects: bill.subjects.map(name => ({ name })),
+                policyArea: bill.policyArea ? { name: bill.policyArea } : null
+            }
+        };
+    }],
+    [/^\/v3\/bill\/(\d+)\/(\w+)\/(\d+)\/committees$/, () => ({
+        committees: [{
+            systemCode: 'hsfa00',
+            name: 'Foreign Affairs Committee',
+            chamber: 'House',
+            type: 'Standing',
+            activities: [{ name: 'Referred to', date: '2025-01-09T15:03:15Z' }],
+            subcommittees: []
+        }]
+    })],
+    [/^\/v3\/bill\/(\d+)\/(\w+)\/(\d+)\/text$/, ([, congress, type, number]) => ({
+        textVersions: [{
+            type: 'Introduced in House',
+            date: '2025-01-09T05:00:00Z',
+            formats: [
+                { type: 'Formatted Text', url: `https://www.congress.gov/${congress}/bills/${type}${number}/BILLS-${congress}${type}${number}ih.htm` },
+                { type: 'PDF', url: `https://www.congress.gov/${congress}/bills/${type}${number}/BILLS-${congress}${type}${number}ih.pdf` }
+            ]
+        }]
+    })],
+    [/^\/v3\/bill\/(\d+)\/(\w+)\/(\d+)\/actions$/, () => ({
+        actions: [
+            { actionDate: '2025-01-22', text: 'On passage Passed by the Yeas and Nays: 243 - 140 (Roll no. 12).', type: 'Floor', actionCode: 'H37300', sourceSystem: { name: 'House floor actions' }, recordedVotes: [{ chamber: 'House', congress: 119, rollNumber: 12, sessionNumber: 1 }] },
+            { actionDate: '2025-01-09', text: 'Referred to the Committee on Foreign Affairs.', type: 'IntroReferral', actionCode: 'H11100', sourceSystem: { name: 'House floor actions' } },
+            { actionDate: '2025-01-09', text: 'Introduced in House', type: 'IntroReferral', actionCode: 'Intro-H', sourceSystem: { name: 'Library of Congress' } }
+        ]
+    })]
+];
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    console.log(`${req.method} ${url.pathname}`);
+
+    // docs.house.gov needs no key
+    const floor = url.pathname.match(/^\/floor\/billsthisweek\/(\d{4})(\d{2})(\d{2})\/\d{8}\.xml$/);
+    if (floor) {
+        const xml = fs.readFileSync(path.join(__dirname, '..', 'data', 'samples', 'calendar', 'house-floor-schedule.xml'), 'utf8');
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        return res.end(xml.replace(/week-date="[^"]*"/, `week-date="${floor[1]}-${floor[2]}-${floor[3]}"`));
+    }
+
+    if (!url.searchParams.get('api_key')) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: { code: 'API_KEY_MISSING' } }));
+    }
+
+    for (const [pattern, handler] of ROUTES) {
+        const match = url.pathname.match(pattern);
+        if (match) {
+            const body = handler(match, url.searchParams);
+            if (body) {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify(body));
+            }
+        }
+    }
+
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Not found' }));
+});
+
+server.listen(PORT, () => {
+    console.log(`Congress.gov fixture server running on http://localhost:${PORT}/v3`);
+});
@@ -1,235 +1,288 @@
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
+const { CONFIG, dataPath } = require('./lib/config');
+const storage = require('./lib/storage');
+const { upstreamFetch, getUpstreamInfo, hasOpenCircuit } = require('./lib/upstream');
+const {
+    loadZipCrosswalk,
+    lookupZip,
+    extractZip,
+    formatDistrictLabel,
+    describeDistrictMatch,
+    getCrosswalkInfo
+} = require('./lib/districts');
+const { loadDistrictBoundaries, findDistrictAtPoint, getBoundaryInfo } = require('./lib/boundaries');
+const { getGeocoder, isStreetAddress } = require('./lib/geocoders');
+const {
+    loadLegislators,
+    getCurrentLegislators,
+    findLegislator,
+    toMember,
+    toBiography,
+    getMember,
+    getRegistryInfo
+} = require('./lib/legislators');
+const {
+    loadCommittees,
+    listCommittees,
+    getCommittee,
+    getMemberCommittees,
+    getMemberCommitteeSummary
+} = require('./lib/committees');
+const {
+    BILL_TYPES,
+    currentCongress,
+    isInSession,
+    parseBillId,
+    mapWithConcurrency,
+    getMemberVotes,
+    getBillSubjects
+} = require('./lib/congressGov');
+const {
+    loadRollCallStore,
+    remapRollCallMembers,
+    ingestDirectory,
+    syncHouseRollCalls,
+    syncSenateRollCalls,
+    getStoredMemberVotes,
+    getRollCallInfo
+} = require('./lib/rollcalls');
+const {
+    registerJob,
+    onJobComplete,
+    runJob,
+    startScheduler,
+    getJob,
+    getJobsInfo,
+    getDatasetFreshness
+} = require('./lib/scheduler');
+const {
+    MAX_CYCLES,
+    currentCycle,
+    parseCycle,
+    parseCycles,
+    getCandidateTotals,
+    getContributionsBySize,
+    lastFilingDeadline
+} = require('./lib/fec');
+const { resolveCandidate } = require('./lib/fecCandidates');
+const { getContributionBreakdown } = require('./lib/contributions');
+const { getOutsideSpending } = require('./lib/outsideSpending');
+const { loadTaxonomy, classifyVote, getTaxonomy, isKnownTopic } = require('./lib/topics');
+const {
+    getVoteStats,
+    getAgreement,
+    getAgreementMatrix,
+    getVoteComparison,
+    getCosponsorshipStats,
+    fetchPendingCosponsorship
+} = require('./lib/analytics');
+const { refreshIdeology, getIdeology, getMemberIdeology } = require('./lib/ideology');
+const { getBillDetail, getMemberBills } = require('./lib/bills');
+const { isFormat, voteRows, financeRows, rosterRow, streamExport, getExportSchemas } = require('./lib/export');
+const { createGraphqlHandler } = require('./lib/graphql');
+const {
+    loadTranscriptStore,
+    ingestTranscripts,
+    searchTranscripts,
+    getTranscriptInfo
+} = require('./lib/transcripts');
+const { getStatementsVsVotes } = require('./lib/statements');
+const {
+    loadSessionCalendar,
+    getSessionCalendarInfo,
+    parseRange,
+    getCommitteeEvents,
+    getMemberCalendar,
+    syncCalendar,
+    toICalendar
+} = require('./lib/calendar');
+const {
+    createSubscription,
+    deleteSubscription,
+    publicSubscription,
+    confirmEmail,
+    findUnsubscribe,
+    unsubscribeEmail,
+    getFeed,
+    detectChanges
+} = require('./lib/watchlists');
 const app = express();
 
-// Middleware
-app.use(express.static('.'));
+// Middleware. The pages have their own routes (see Serve HTML); the
+// project folder isn't served statically, since it holds data/ (the
+// storage database) and .env.
 app.use(express.json());
+// req.ip, which per-client limits key on, from X-Forwarded-For when set
+app.set('trust proxy', CONFIG.TRUST_PROXY);
 
-// Configuration
-const CONFIG = {
-    PORT: process.env.PORT || 3000,
-    GOOGLE_CIVIC_API_KEY: process.env.GOOGLE_CIVIC_API_KEY || null,
-    FEC_API_KEY: process.env.FEC_API_KEY || 'DEMO_KEY',
-    CONGRESS_API_KEY: process.env.CONGRESS_API_KEY || null,
-    PROPUBLICA_API_KEY: process.env.PROPUBLICA_API_KEY || null
-};
+// Local ZIP -> congressional district crosswalk and district boundaries
+loadZipCrosswalk(dataPath(CONFIG.ZCTA_CROSSWALK_PATH, 'zcta_cd_crosswalk.csv'));
+loadDistrictBoundaries(dataPath(CONFIG.DISTRICT_BOUNDARIES_PATH, 'districts'));
 
-// Cache for API responses
-const cache = new Map();
-const CACHE_DURATION = 60 * 60 * 1000; // 1 hour
+// Roll calls ingested from House Clerk / Senate XML
+loadRollCallStore();
 
-// Get representatives by address using Google Civic API
-async function getRepresentativesByAddress(address) {
-    // Check cache first
-    const cacheKey = `reps-${address}`;
-    const cached = cache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-        return cached.data;
-    }
+// Congressional Record speeches ingested from GovInfo CREC packages
+loadTranscriptStore();
 
-    const representatives = [];
+// Vote topic rules
+loadTaxonomy(CONFIG.TOPIC_TAXONOMY_PATH);
+loadSessionCalendar(dataPath(CONFIG.SESSION_CALENDAR_PATH, 'session-calendar.json'));
 
-    try {
-        // If Google Civic API key is available, use it
-        if (CONFIG.GOOGLE_CIVIC_API_KEY) {
-            const url = `https://www.googleapis.com/civicinfo/v2/representatives?address=${encodeURIComponent(address)}&key=${CONFIG.GOOGLE_CIVIC_API_KEY}&levels=country&roles=legislatorUpperBody&roles=legislatorLowerBody`;
-            
-            const response = await fetch(url);
-            if (response.ok) {
-                const data = await response.json();
-                
-                // Parse Google Civic API response
-                if (data.officials && data.offices) {
-                    data.offices.forEach(office => {
-                        if (office.name.includes('United States Senate') || 
-                            office.name.includes('United States House')) {
-                            
-                            office.officialIndices.forEach(index => {
-                                const official = data.officials[index];
-                                const isHouse = office.name.includes('House');
-                                
-                                // Extract district number if House member
-                                let district = null;
-                                if (isHouse) {
-                                    const districtMatch = office.name.match(/District (\d+)/);
-                                    district = districtMatch ? districtMatch[1] : null;
-                                }
-                                
-                                representatives.push({
-                                    name: official.name,
-                                    type: isHouse ? 'Representative' : 'Senator',
-                                    party: official.party === 'Democratic Party' ? 'Democrat' : 
-                                           official.party === 'Republican Party' ? 'Republican' : 
-                                           official.party,
-                                    state: getStateFromAddress(address),
-                                    district: district,
-                                    phone: official.phones ? official.phones[0] : 'Not available',
-                                    website: official.urls ? official.urls[0] : 'Not available',
-                                    office: official.address ? formatAddress(official.address[0]) : 'Capitol Building, Washington, DC',
-                                    photoUrl: official.photoUrl || null,
-                                    channels: official.channels || []
-                                });
-                            });
-                        }
-                    });
+// Work out which congressional district(s) a lookup falls in, most exact
+// method first: supplied coordinates, geocoded street address, ZIP crosswalk.
+// Returns { state, method, candidates: [{ state, district, weight, note }] }
+async function resolveDistricts(address, coordinates) {
+    if (coordinates) {
+        const match = findDistrictAtPoint(coordinates.lat, coordinates.lng);
+        if (match) {
+            return {
+                state: match.state,
+                method: 'coordinates',
+                candidates: [{
+                    ...match,
+                    weight: 1,
+                    note: `Coordinates ${coordinates.lat}, ${coordinates.lng} fall within ${formatDistrictLabel(match.state, match.district)}.`
+                }]
+            };
+        }
+    }
+
+    if (address && isStreetAddress(address) && getBoundaryInfo().loaded) {
+        const geocoder = getGeocoder(CONFIG.GEOCODER);
+        if (geocoder) {
+            try {
+                const location = await geocoder(address);
+                const match = location ? findDistrictAtPoint(location.lat, location.lng) : null;
+                if (match) {
+                    return {
+                        state: match.state,
+                        method: 'geocoded',
+                        candidates: [{
+                            ...match,
+                            weight: 1,
+                            note: `${location.matchedAddress || address} is within ${formatDistrictLabel(match.state, match.district)}.`
+                        }]
+                    };
                 }
+            } catch (geocodeError) {
+                console.error('Geocoding error:', geocodeError.message);
             }
         }
-        
-        // Fallback: Use GitHub raw content with state lookup
-        if (representatives.length === 0) {
-            const state = getStateFromAddress(address);
-            
+    }
+
+    if (!address) {
+        return { state: null, method: null, candidates: [] };
+    }
+
+    const state = getStateFromAddress(address);
+    const zip = extractZip(address);
+    const zipCandidates = lookupZip(zip).filter(c => c.state === state);
+    const { weightBasis } = getCrosswalkInfo();
+
+    return {
+        state,
+        method: zipCandidates.length > 0 ? 'zip' : null,
+        zip,
+        candidates: zipCandidates.map(candidate => ({
+            ...candidate,
+            note: describeDistrictMatch(zip, candidate, zipCandidates, weightBasis)
+        }))
+    };
+}
+
+// Get representatives for an address and/or coordinates. Results are kept
+// in storage; if the legislator data can't be loaded, the last good result
+// for the same lookup is served instead of an error card.
+async function getRepresentativesByAddress(address, coordinates = null) {
+    const cacheKey = `reps-${address || ''}-${coordinates ? `${coordinates.lat},${coordinates.lng}` : ''}`;
+    const result = await storage.cached('lookups', cacheKey,
+        () => lookupRepresentatives(address, coordinates),
+        { isFailure: value => !value.complete }
+    );
+    return result.representatives;
+}
+
+// Build the representative cards for a lookup. `complete` is false when
+// the legislator data was unavailable and the cards are placeholders.
+async function lookupRepresentatives(address, coordinates) {
+    const representatives = [];
+    const label = address || `${coordinates.lat}, ${coordinates.lng}`;
+    let complete = true;
+
+    try {
+        const location = await resolveDistricts(address, coordinates);
+        const state = location.state;
+
+        if (state) {
             try {
-                // Use the official GitHub Pages hosted URL
-                const legislatorsResponse = await fetch('https://unitedstates.github.io/congress-legislators/legislators-current.json');
+                const legislators = await getCurrentLegislators();
+                console.log(`Loaded ${legislators.length} current legislators`);
                 
-                console.log('Legislators API status:', legislatorsResponse.status);
+                // Get all legislators for the state
+                const stateReps = legislators.filter(leg => {
+                    const currentTerm = leg.terms[leg.terms.length - 1];
+                    return currentTerm.state === state;
+                });
+                
+                console.log(`Found ${stateReps.length} legislators for state ${state}`);
+                
+                // Add senators
+                stateReps.forEach(rep => {
+                    const currentTerm = rep.terms[rep.terms.length - 1];
+                    if (currentTerm.type === 'sen') {
+                        representatives.push(formatLegislator(rep));
+                    }
+                });
                 
-                if (legislatorsResponse.ok) {
-                    const legislators = await legislatorsResponse.json();
-                    console.log(`Loaded ${legislators.length} total legislators`);
-                    
-                    // Get all legislators for the state
-                    const stateReps = legislators.filter(leg => {
-                        const currentTerm = leg.terms[leg.terms.length - 1];
-                        return currentTerm.state === state;
+                // Add the House member for each candidate district
+                const houseReps = stateReps.filter(r => r.terms[r.terms.length - 1].type === 'rep');
+                const candidateDistricts = location.candidates.map(({ note, ...c }) => c);
+
+                if (location.candidates.length > 0) {
+                    location.candidates.forEach(candidate => {
+                        const districtRep = houseReps.find(r =>
+                            r.terms[r.terms.length - 1].district === candidate.district
+                        );
+                        if (!districtRep) return;
+
+                        representatives.push(formatLegislator(districtRep, {
+                            districtConfidence: Math.round(candidate.weight * 1000) / 1000,
+                            districtMethod: location.method,
+                            candidateDistricts,
+                            note: candidate.note
+                        }));
                     });
-                    
-                    console.log(`Found ${stateReps.length} legislators for state ${state}`);
-                    
-                    // Add senators
-                    stateReps.forEach(rep => {
-                        const currentTerm = rep.terms[rep.terms.length - 1];
-                        if (currentTerm.type === 'sen') {
-                            representatives.push({
-                                name: rep.name.official_full,
-                                type: 'Senator',
-                                party: currentTerm.party === 'Democrat' ? 'Democrat' : currentTerm.party,
-                                state: currentTerm.state,
-                                district: null,
-                                phone: currentTerm.phone || 'Not available',
-                                website: currentTerm.url || 'Not available',
-                                office: currentTerm.office || 'Senate Office Building, Washington, DC',
-                                bioguideId: rep.id.bioguide,
-                                fecId: rep.id.fec ? rep.id.fec[0] : null
-                            });
-                        }
+                } else if (houseReps.length === 1) {
+                    // At-large states and territories have a single member
+                    representatives.push(formatLegislator(houseReps[0], {
+                        districtConfidence: 1,
+                        districtMethod: 'at-large',
+                        candidateDistricts: [{ state, district: houseReps[0].terms[houseReps[0].terms.length - 1].district, weight: 1 }],
+                        note: `${state} has a single at-large House seat.`
+                    }));
+                } else if (houseReps.length > 0) {
+                    representatives.push({
+                        name: 'House district not determined',
+                        type: 'Error',
+                        party: 'N/A',
+                        state: state,
+                        district: 'Unknown',
+                        phone: 'Not available',
+                        website: 'https://www.house.gov/representatives/find-your-representative',
+                        office: 'Not available',
+                        districtConfidence: 0,
+                        candidateDistricts: [],
+                        note: location.zip
+                            ? `ZIP ${location.zip} was not found in the district crosswalk. Enter a full street address or use the House.gov lookup tool.`
+                            : 'Include a street address or 5-digit ZIP code to find your House representative.'
                     });
-                    
-                    // Try to find the most likely House representative
-                    const houseReps = stateReps.filter(r => r.terms[r.terms.length - 1].type === 'rep');
-                    
-                    if (houseReps.length > 0) {
-                        // For CA ZIP 94903 (San Rafael), it's likely District 2 or 4
-                        if (state === 'CA' && address.includes('94903')) {
-                            // Districts 2 and 4 cover Marin County
-                            const marinReps = houseReps.filter(r => 
-                                [2, 4].includes(r.terms[r.terms.length - 1].district)
-                            );
-                            
-                            if (marinReps.length > 0) {
-                                // Add the most likely representative (District 2 - Jared Huffman)
-                                const likelyRep = marinReps.find(r => 
-                                    r.terms[r.terms.length - 1].district === 2
-                                ) || marinReps[0];
-                                
-                                const currentTerm = likelyRep.terms[likelyRep.terms.length - 1];
-                                representatives.push({
-                                    name: likelyRep.name.official_full,
-                                    type: 'Representative',
-                                    party: currentTerm.party === 'Democrat' ? 'Democrat' : currentTerm.party,
-                                    state: currentTerm.state,
-                                    district: currentTerm.district,
-                                    phone: currentTerm.phone || 'Not available',
-                                    website: currentTerm.url || 'Not available',
-                                    office: currentTerm.office || 'House Office Building, Washington, DC',
-                                    bioguideId: likelyRep.id.bioguide,
-                                    fecId: likelyRep.id.fec ? likelyRep.id.fec[0] : null,
-                                    note: 'District assignment based on ZIP code. For exact confirmation, enable Google Civic API.'
-                                });
-                            }
-                        } else if (state === 'CA') {
-                            // Northern California ZIP codes typically start with 94, 95, 96
-                            const zipMatch = address.match(/\b(\d{5})\b/);
-                            if (zipMatch) {
-                                const zipPrefix = zipMatch[1].substring(0, 2);
-                                
-                                // This is a rough approximation
-                                let likelyDistricts = [];
-                                if (zipPrefix === '94') {
-                                    // Bay Area districts
-                                    likelyDistricts = [2, 4, 5, 7, 10, 11, 12, 13, 14, 15, 17, 18];
-                                } else if (zipPrefix === '90' || zipPrefix === '91') {
-                                    // LA area districts
-                                    likelyDistricts = [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 43, 44, 45, 46, 47];
-                                } else if (zipPrefix === '92') {
-                                    // San Diego area districts
-                                    likelyDistricts = [48, 49, 50, 51, 52];
-                                }
-                                
-                                // Find a representative from likely districts
-                                const localRep = houseReps.find(r => 
-                                    likelyDistricts.includes(r.terms[r.terms.length - 1].district)
-                                );
-                                
-                                if (localRep) {
-                                    const currentTerm = localRep.terms[localRep.terms.length - 1];
-                                    representatives.push({
-                                        name: localRep.name.official_full,
-                                        type: 'Representative',
-                                        party: currentTerm.party === 'Democrat' ? 'Democrat' : currentTerm.party,
-                                        state: currentTerm.state,
-                                        district: currentTerm.district,
-                                        phone: currentTerm.phone || 'Not available',
-                                        website: currentTerm.url || 'Not available',
-                                        office: currentTerm.office || 'House Office Building, Washington, DC',
-                                        bioguideId: localRep.id.bioguide,
-                                        fecId: localRep.id.fec ? localRep.id.fec[0] : null,
-                                        note: 'District assignment based on ZIP code approximation. For exact district, please use Google Civic API.'
-                                    });
-                                } else {
-                                    // Show first House rep as placeholder
-                                    const firstRep = houseReps[0];
-                                    const currentTerm = firstRep.terms[firstRep.terms.length - 1];
-                                    representatives.push({
-                                        name: firstRep.name.official_full,
-                                        type: 'Representative',
-                                        party: currentTerm.party === 'Democrat' ? 'Democrat' : currentTerm.party,
-                                        state: currentTerm.state,
-                                        district: currentTerm.district,
-                                        phone: currentTerm.phone || 'Not available',
-                                        website: currentTerm.url || 'Not available',
-                                        office: currentTerm.office || 'House Office Building, Washington, DC',
-                                        bioguideId: firstRep.id.bioguide,
-                                        fecId: firstRep.id.fec ? firstRep.id.fec[0] : null,
-                                        note: 'This may not be your exact representative. Enable Google Civic API for accurate district mapping.'
-                                    });
-                                }
-                            }
-                        } else {
-                            // For other states, just show the first House rep
-                            const firstRep = houseReps[0];
-                            const currentTerm = firstRep.terms[firstRep.terms.length - 1];
-                            representatives.push({
-                                name: firstRep.name.official_full,
-                                type: 'Representative',
-                                party: currentTerm.party === 'Democrat' ? 'Democrat' : currentTerm.party,
-                                state: currentTerm.state,
-                                district: currentTerm.district,
-                                phone: currentTerm.phone || 'Not available',
-                                website: currentTerm.url || 'Not available',
-                                office: currentTerm.office || 'House Office Building, Washington, DC',
-                                bioguideId: firstRep.id.bioguide,
-                                fecId: firstRep.id.fec ? firstRep.id.fec[0] : null,
-                                note: 'District assignment may not be exact. Enable Google Civic API for accurate mapping.'
-                            });
-                        }
-                    }
                 }
-            } catch (fallbackError) {
-                console.error('Fallback error:', fallbackError);
+            } catch (legislatorsError) {
+                console.error('Legislators error:', legislatorsError);
+                complete = false;
                 // Return at least some data
                 representatives.push({
                     name: 'Representatives Unavailable',
@@ -245,31 +298,45 @@ async function getRepresentativesByAddress(address) {
             }
         }
         
+        // Committee assignments; rosters are secondary, so a card gets
+        // committees: null rather than failing the lookup
+        await Promise.all(representatives.filter(rep => rep.bioguideId).map(async rep => {
+            try {
+                rep.committees = await getMemberCommitteeSummary(rep.bioguideId);
+            } catch (error) {
+                console.error(`Committees for ${rep.bioguideId} unavailable:`, error.message);
+                rep.committees = null;
+            }
+        }));
+
         // Ensure we always return something
         if (representatives.length === 0) {
+            // Without boundary files coordinates can't be placed at all, which
+            // is the server's setup rather than a problem with the input
+            let note = 'That location is not inside a U.S. congressional district. Check the coordinates and try again.';
+            if (state) {
+                note = 'The congressional data service is temporarily unavailable. Please try again in a few moments or use the House.gov lookup tool.';
+            } else if (coordinates && !getBoundaryInfo().loaded) {
+                note = 'Exact-coordinate lookup is unavailable on this server because no district boundary files are loaded. Search by street address or ZIP code instead.';
+            }
+
             // At minimum, return a message to the user
             representatives.push({
                 name: 'Unable to load representatives',
                 type: 'Error',
                 party: 'N/A',
-                state: getStateFromAddress(address),
+                state: state || 'Unknown',
                 district: 'N/A',
                 phone: 'Please try again',
                 website: 'https://www.house.gov/representatives/find-your-representative',
                 office: 'Data temporarily unavailable',
-                note: 'The congressional data service is temporarily unavailable. Please try again in a few moments or use the House.gov lookup tool.'
+                note
             });
         }
         
-        console.log(`Returning ${representatives.length} representatives for ${address}`);
-        
-        // Cache the results
-        cache.set(cacheKey, {
-            data: representatives,
-            timestamp: Date.now()
-        });
+        console.log(`Returning ${representatives.length} representatives for ${label}`);
         
-        return representatives;
+        return { representatives, complete };
         
     } catch (error) {
         console.error('Error fetching representatives:', error);
@@ -280,14 +347,31 @@ async function getRepresentativesByAddress(address) {
 // Helper function to extract state from address
 function getStateFromAddress(address) {
     // Simple regex to find state abbreviation
-    const stateMatch = address.match(/\b([A-Z]{2})\b(?:\s+\d{5})?$/);
-    return stateMatch ? stateMatch[1] : 'CA'; // Default to CA
+    const stateMatch = address.match(/\b([A-Z]{2})\b(?:\s+\d{5}(?:-\d{4})?)?$/);
+    if (stateMatch) return stateMatch[1];
+
+    // Fall back to the state the ZIP belongs to
+    const candidates = lookupZip(extractZip(address));
+    return candidates.length > 0 ? candidates[0].state : 'CA'; // Default to CA
 }
 
-// Helper function to format address
-function formatAddress(addr) {
-    if (!addr) return 'Capitol Building, Washington, DC';
-    return `${addr.line1}${addr.line2 ? ', ' + addr.line2 : ''}, ${addr.city}, ${addr.state} ${addr.zip}`;
+// Helper function to build a representative card from legislators data
+function formatLegislator(rep, extra = {}) {
+    const currentTerm = rep.terms[rep.terms.length - 1];
+    const isSenator = currentTerm.type === 'sen';
+    return {
+        name: rep.name.official_full,
+        type: isSenator ? 'Senator' : 'Representative',
+        party: currentTerm.party,
+        state: currentTerm.state,
+        district: isSenator ? null : currentTerm.district,
+        phone: currentTerm.phone || 'Not available',
+        website: currentTerm.url || 'Not available',
+        office: currentTerm.office || (isSenator ? 'Senate Office Building, Washington, DC' : 'House Office Building, Washington, DC'),
+        bioguideId: rep.id.bioguide,
+        fecId: rep.id.fec ? rep.id.fec[0] : null,
+        ...extra
+    };
 }
 
 // Get transcript sources for fact-checking
@@ -388,172 +472,231 @@ async function getTranscripts(legislator) {
     return transcripts;
 }
 
-// Get voting record with REAL votes
-async function getVotingRecord(legislator) {
-    const votes = {};
-    
-    try {
-        if (CONFIG.PROPUBLICA_API_KEY) {
-            const votesUrl = `https://api.propublica.org/congress/v1/members/${legislator.bioguideId}/votes.json`;
-            
-            const response = await fetch(votesUrl, {
-                headers: {
-                    'X-API-Key': CONFIG.PROPUBLICA_API_KEY
-                }
-            });
-            
-            if (response.ok) {
-                const data = await response.json();
-                
-                if (data.results && data.results[0] && data.results[0].votes) {
-                    // Group by bill topic/committee
-                    data.results[0].votes.slice(0, 50).forEach(vote => {
-                        // Determine topic based on vote question or bill
-                        let topic = 'Other Votes';
-                        const question = (vote.question || '').toLowerCase();
-                        const description = (vote.description || '').toLowerCase();
-                        const billTitle = vote.bill ? (vote.bill.title || '').toLowerCase() : '';
-                        
-                        // Categorize by topic
-                        if (question.includes('defense') || billTitle.includes('defense') || billTitle.includes('military')) {
-                            topic = 'Defense & Military';
-                        } else if (question.includes('health') || billTitle.includes('health') || billTitle.includes('medicare')) {
-                            topic = 'Healthcare';
-                        } else if (question.includes('tax') || billTitle.includes('tax') || question.includes('budget')) {
-                            topic = 'Budget & Taxes';
-                        } else if (question.includes('environment') || billTitle.includes('climate') || billTitle.includes('energy')) {
-                            topic = 'Environment & Energy';
-                        } else if (question.includes('education') || billTitle.includes('education') || billTitle.includes('student')) {
-                            topic = 'Education';
-                        } else if (question.includes('immigration') || billTitle.includes('immigration') || billTitle.includes('border')) {
-                            topic = 'Immigration';
-                        } else if (question.includes('infrastructure') || billTitle.includes('infrastructure') || billTitle.includes('transportation')) {
-                            topic = 'Infrastructure';
-                        } else if (question.includes('nomination')) {
-                            topic = 'Nominations';
-                        } else if (question.includes('procedure') || question.includes('motion') || question.includes('cloture')) {
-                            topic = 'Procedural Votes';
-                        }
-                        
-                        if (!votes[topic]) {
-                            votes[topic] = [];
-                        }
-                        
-                        votes[topic].push({
-                            bill: vote.bill ? `${vote.bill.bill_id}: ${vote.bill.title || vote.question}` : vote.question,
-                            date: vote.date,
-                            position: vote.position || 'Not Voting',
-                            result: vote.result,
-                            description: vote.description || vote.question,
-                            question: vote.question,
-                            rollCall: vote.roll_call,
-                            congress: vote.congress,
-                            session: vote.session,
-                            voteUrl: `https://www.congress.gov/roll-call-vote/${vote.congress}/${vote.session}/${vote.chamber}/${vote.roll_call}`
-                        });
-                    });
-                    
-                    return { grouped: votes, raw: data.results[0].votes };
-                }
-            }
+// Votes classified per voting record lookup; more are scanned when
+// filtering by topic so the filter has something to find
+const VOTES_SHOWN = 50;
+const VOTES_SCANNED_FOR_TOPIC = 200;
+
+// Congress.gov policy area and subjects for the bills in a set of votes,
+// keyed by bill_id. Without an API key (or for votes on amendments and
+// nominations) votes are classified on keywords alone.
+async function getBillMetadata(rawVotes) {
+    const metadata = new Map();
+    if (!CONFIG.CONGRESS_API_KEY) return metadata;
+
+    const billIds = Array.from(new Set(rawVotes.filter(v => v.bill && v.bill.bill_id).map(v => v.bill.bill_id)));
+    await mapWithConcurrency(billIds, 5, async billId => {
+        const bill = parseBillId(billId);
+        if (!bill) return;
+        try {
+            metadata.set(billId, await storage.cached('bills', `subjects:${billId}`,
+                () => getBillSubjects(bill.congress, bill.type, bill.number)));
+        } catch (error) {
+            console.error(`Bill subjects for ${billId} unavailable:`, error.message);
         }
-        
-        // Fallback - provide direct link to voting record
-        return {
-            grouped: {
-                'Voting Record': [{
-                    bill: 'ProPublica API key required',
-                    date: new Date().toISOString().split('T')[0],
-                    position: 'Unknown',
-                    description: `View ${legislator.name}'s voting record on Congress.gov`,
-                    voteUrl: `https://www.congress.gov/member/${legislator.name.toLowerCase().replace(/ /g, '-')}/${legislator.bioguideId}`
-                }]
-            },
-            raw: []
-        };
-        
-    } catch (error) {
-        console.error('Error fetching voting record:', error);
-        return { grouped: {}, raw: [] };
-    }
+    });
+    return metadata;
 }
 
-// Get REAL calendar events
-async function getCalendarEvents(legislator) {
-    const events = [];
-    
-    try {
-        // Committee schedules - would need Congress.gov API
-        events.push({
-            title: 'View Committee Schedule',
-            date: 'Updated Daily',
-            type: 'Committees',
-            location: 'Various',
-            url: 'https://www.congress.gov/committees/schedule',
-            description: 'See all upcoming committee hearings and markups'
-        });
-        
-        // House/Senate calendar
-        const chamber = legislator.type === 'Senator' ? 'senate' : 'house';
-        events.push({
-            title: `${chamber === 'senate' ? 'Senate' : 'House'} Floor Schedule`,
-            date: 'This Week',
-            type: 'Floor Activity',
-            location: 'Capitol Building',
-            url: `https://www.${chamber}.gov/legislative-activity`,
-            description: `View this week's ${chamber} floor schedule and votes`
-        });
+// Attach topic classification to raw votes
+function classifyVotes(rawVotes, billMetadata) {
+    return rawVotes.map(vote => {
+        const bill = vote.bill ? { title: vote.bill.title, ...(billMetadata.get(vote.bill.bill_id) || {}) } : {};
+        return { vote, bill, classification: classifyVote(vote, bill) };
+    });
+}
+
+// Does a classified vote belong under a topic id?
+function hasTopic({ classification }, topic) {
+    if (topic === 'procedural') return classification.procedural;
+    return classification.primary.id === topic || classification.topics.some(t => t.id === topic);
+}
+
+// "hr23-119" -> "/api/bills/119/hr/23"
+function billRoute(billId) {
+    const bill = parseBillId(billId);
+    return bill ? `/api/bills/${bill.congress}/${bill.type}/${bill.number}` : null;
+}
+
+// Group classified votes by their primary topic. Each vote also lists all
+// of its topics, so the UI can filter on secondary ones.
+function groupVotes(classifiedVotes) {
+    const votes = {};
+
+    classifiedVotes.forEach(({ vote, bill, classification }) => {
+        const topic = classification.primary.label;
         
-        // Town halls - these are usually on their website
-        if (legislator.website) {
-            events.push({
-                title: 'Town Halls & Local Events',
-                date: 'Check Website',
-                type: 'Public Events',
-                location: 'District Offices',
-                url: legislator.website + '/events',
-                description: 'Find upcoming town halls and public meetings in your area'
-            });
+        if (!votes[topic]) {
+            votes[topic] = [];
         }
         
-        // Add social media for real-time updates
-        events.push({
-            title: 'Real-Time Updates',
-            date: 'Follow for Latest',
-            type: 'Social Media',
-            location: 'Online',
-            url: `https://twitter.com/search?q=${encodeURIComponent(legislator.name)}&f=user`,
-            description: 'Representatives often announce events on social media'
+        votes[topic].push({
+            bill: vote.bill ? `${vote.bill.bill_id}: ${vote.bill.title || vote.question}` : vote.question,
+            date: vote.date,
+            position: vote.position || 'Not Voting',
+            result: vote.result,
+            description: vote.description || vote.question,
+            question: vote.question,
+            rollCall: vote.roll_call,
+            congress: vote.congress,
+            session: vote.session,
+            topic: classification.primary.id,
+            topics: classification.topics.map(t => t.id),
+            procedural: classification.procedural,
+            policyArea: bill.policyArea || null,
+            billId: vote.bill ? vote.bill.bill_id : null,
+            billUrl: billRoute(vote.bill && vote.bill.bill_id),
+            voteUrl: `https://www.congress.gov/roll-call-vote/${vote.congress}/${vote.session}/${vote.chamber}/${vote.roll_call}`
         });
-        
-    } catch (error) {
-        console.error('Error fetching calendar:', error);
-    }
+    });
+
+    return votes;
+}
+
+// Member votes from the ProPublica Congress API (retired, kept for
+// deployments that still have a key against a mirror)
+async function getProPublicaVotes(legislator) {
+    const votesUrl = `https://api.propublica.org/congress/v1/members/${legislator.bioguideId}/votes.json`;
     
-    return events;
+    const data = await upstreamFetch('propublica', votesUrl, {
+        headers: {
+            'X-API-Key': CONFIG.PROPUBLICA_API_KEY
+        }
+    });
+    return data.results && data.results[0] && data.results[0].votes ? data.results[0].votes : null;
 }
 
-// Enhanced campaign finance with real FEC data
-async function getCampaignFinanceDetailed(legislator) {
-    try {
-        // Try multiple search strategies
-        let candidateId = null;
-        
-        // First try with FEC ID if available
-        if (legislator.fecId) {
-            candidateId = legislator.fecId;
-        } else {
-            // Search by name
-            const searchUrl = `https://api.open.fec.gov/v1/names/candidates/?q=${encodeURIComponent(legislator.name)}&api_key=${CONFIG.FEC_API_KEY}`;
-            const searchResponse = await fetch(searchUrl);
-            
-            if (searchResponse.ok) {
-                const searchData = await searchResponse.json();
-                if (searchData.results && searchData.results.length > 0) {
-                    candidateId = searchData.results[0].id;
-                }
+// Vote providers in order of preference. Locally ingested roll calls need
+// no API key and cover both chambers.
+const VOTE_PROVIDERS = [
+    { name: 'roll-call-xml', enabled: () => true, load: async legislator => getStoredMemberVotes(legislator.bioguideId) },
+    { name: 'congress.gov', enabled: () => !!CONFIG.CONGRESS_API_KEY, load: legislator => getMemberVotes(legislator), remote: true },
+    { name: 'propublica', enabled: () => !!CONFIG.PROPUBLICA_API_KEY, load: legislator => getProPublicaVotes(legislator), remote: true }
+];
+
+// Get voting record with REAL votes, optionally only votes on one topic or
+// in one Congress (and session). `limit` caps the votes returned.
+async function getVotingRecord(legislator, { topic = null, congress = null, session = null, limit = VOTES_SHOWN } = {}) {
+    const errors = [];
+
+    for (const provider of VOTE_PROVIDERS) {
+        if (!provider.enabled()) continue;
+        try {
+            const loaded = provider.remote
+                ? await storage.cached('votes', `${provider.name}:${legislator.bioguideId}`, () => provider.load(legislator), {
+                    isFailure: value => !value || value.length === 0
+                })
+                : await provider.load(legislator);
+            const rawVotes = (loaded || []).filter(v => (!congress || Number(v.congress) === congress)
+                && (!session || Number(v.session) === session));
+            if (rawVotes.length > 0) {
+                const scanned = rawVotes.slice(0, topic ? Math.max(limit, VOTES_SCANNED_FOR_TOPIC) : limit);
+                let classified = classifyVotes(scanned, await getBillMetadata(scanned));
+                if (topic) classified = classified.filter(v => hasTopic(v, topic));
+                return {
+                    grouped: groupVotes(classified.slice(0, limit)),
+                    raw: rawVotes,
+                    source: provider.name,
+                    ...(topic ? { topic } : {})
+                };
             }
+        } catch (error) {
+            console.error(`Error fetching voting record from ${provider.name}:`, error.message);
+            errors.push(`${provider.name}: ${error.message}`);
         }
+    }
+
+    // Fallback - provide direct link to voting record. An upstream error
+    // explains the gap before anything else, matching the `error` field.
+    let reason = 'Congress.gov API key required';
+    if (errors.length > 0) {
+        reason = 'Voting record temporarily unavailable';
+    } else if (legislator.chamber === 'senate') {
+        reason = 'No Senate roll calls ingested yet';
+    }
+
+    return {
+        grouped: {
+            'Voting Record': [{
+                bill: reason,
+                date: new Date().toISOString().split('T')[0],
+                position: 'Unknown',
+                description: `View ${legislator.name}'s voting record on Congress.gov`,
+                voteUrl: `https://www.congress.gov/member/${legislator.name.toLowerCase().replace(/ /g, '-')}/${legislator.bioguideId}`
+            }]
+        },
+        raw: [],
+        ...(errors.length > 0 ? { error: errors.join('; ') } : {})
+    };
+}
+
+// Enhanced campaign finance with real FEC data. Snapshots are kept in
+// storage so FEC rate limits serve the last good numbers. `cycle` is the
+// cycle the summary describes; `cycles` are the cycles in the history.
+async function getCampaignFinanceDetailed(legislator, { cycle = currentCycle(), cycles = [cycle] } = {}) {
+    const key = financeKey(legislator, cycle, cycles);
+    return storage.cached('finance', key, () => fetchCampaignFinance(legislator, { cycle, cycles }));
+}
+
+// Storage key for a finance snapshot: who|cycle|cycles
+function financeKey(legislator, cycle, cycles) {
+    return [legislator.bioguideId || legislator.fecId || legislator.name, cycle, cycles.join(',')].join('|');
+}
+
+function percentageOf(part, whole) {
+    return whole ? Math.round(((part || 0) / whole) * 100) : 0;
+}
+
+// One point of the finance history; null values for cycles with no filings
+function formatCycleTotals(cycle, totals) {
+    if (!totals) {
+        return {
+            cycle,
+            receipts: null,
+            disbursements: null,
+            cashOnHand: null,
+            debt: null,
+            individualContributions: null,
+            pacContributions: null,
+            individualPercentage: null,
+            pacPercentage: null,
+            coverageEndDate: null
+        };
+    }
+
+    return {
+        cycle,
+        receipts: totals.receipts || 0,
+        disbursements: totals.disbursements || 0,
+        cashOnHand: totals.last_cash_on_hand_end_period ?? totals.cash_on_hand_end_period ?? 0,
+        debt: totals.last_debts_owed_by_committee ?? totals.debts_owed_by_committee ?? 0,
+        individualContributions: totals.individual_contributions || 0,
+        pacContributions: totals.other_political_committee_contributions || 0,
+        individualPercentage: percentageOf(totals.individual_contributions, totals.receipts),
+        pacPercentage: percentageOf(totals.other_political_committee_contributions, totals.receipts),
+        coverageEndDate: totals.coverage_end_date || null
+    };
+}
+
+// Where a cycle's receipts came from, in a fixed order so candidates line
+// up side by side. "other" is everything else (loans, transfers, refunds).
+function sourceMix(totals) {
+    const receipts = totals.receipts || 0;
+    const sources = [
+        { source: 'individual', name: 'Individual Contributions', amount: totals.individual_contributions || 0 },
+        { source: 'pac', name: 'PAC Contributions', amount: totals.other_political_committee_contributions || 0 },
+        { source: 'party', name: 'Party Contributions', amount: totals.party_committee_contributions || 0 },
+        { source: 'self', name: 'Candidate Self-Funding', amount: totals.candidate_contribution || 0 }
+    ];
+    const listed = sources.reduce((sum, s) => sum + s.amount, 0);
+    sources.push({ source: 'other', name: 'Other Receipts', amount: Math.max(0, Math.round((receipts - listed) * 100) / 100) });
+    return sources.map(s => ({ ...s, percentage: percentageOf(s.amount, receipts) }));
+}
+
+async function fetchCampaignFinance(legislator, { cycle = currentCycle(), cycles = [cycle] } = {}) {
+    try {
+        const match = await resolveCandidate(legislator, cycle);
+        const candidateId = match ? match.candidateId : null;
         
         if (!candidateId) {
             return {
@@ -564,74 +707,58 @@ async function getCampaignFinanceDetailed(legislator) {
                     lastReport: 'Data not available'
                 },
                 sources: [],
-                topContributors: []
+                topContributors: [],
+                cycle,
+                history: []
             };
         }
         
-        // Get financial summary
-        const financeUrl = `https://api.open.fec.gov/v1/candidates/${candidateId}/totals/?api_key=${CONFIG.FEC_API_KEY}&cycle=2024`;
-        const financeResponse = await fetch(financeUrl);
-        
-        if (!financeResponse.ok) {
-            throw new Error('FEC API error');
-        }
-        
-        const financeData = await financeResponse.json();
+        // Get financial summaries for every cycle in one request
+        const requested = Array.from(new Set([...cycles, cycle])).sort((a, b) => a - b);
+        const totalsByCycle = new Map((await getCandidateTotals(candidateId, requested)).map(t => [t.cycle, t]));
+        const history = cycles.map(c => formatCycleTotals(c, totalsByCycle.get(c)));
+        const finances = totalsByCycle.get(cycle);
         
-        if (financeData.results && financeData.results.length > 0) {
-            const finances = financeData.results[0];
-            
+        if (finances) {
             // Get top contributors
-            const contributorsUrl = `https://api.open.fec.gov/v1/schedules/schedule_a/by_size/by_candidate/?cycle=2024&candidate_id=${candidateId}&api_key=${CONFIG.FEC_API_KEY}&per_page=10`;
-            const contribResponse = await fetch(contributorsUrl);
-            
             let topContributors = [];
-            if (contribResponse.ok) {
-                const contribData = await contribResponse.json();
-                if (contribData.results) {
-                    topContributors = contribData.results.map(c => ({
-                        size: c.size,
-                        count: c.count,
-                        total: `$${c.total.toLocaleString()}`
-                    }));
-                }
+            try {
+                const bySize = await getContributionsBySize(candidateId, cycle);
+                topContributors = bySize.map(c => ({
+                    size: c.size,
+                    count: c.count,
+                    total: `$${c.total.toLocaleString()}`
+                }));
+            } catch (error) {
+                console.error('FEC contributions by size error:', error.message);
             }
             
+            const current = formatCycleTotals(cycle, finances);
+            const mix = sourceMix(finances);
             return {
+                candidateId,
+                match,
+                cycle,
                 summary: {
-                    totalRaised: `$${(finances.receipts || 0).toLocaleString()}`,
-                    totalSpent: `$${(finances.disbursements || 0).toLocaleString()}`,
-                    cashOnHand: `$${(finances.cash_on_hand_end_period || 0).toLocaleString()}`,
+                    totalRaised: `$${current.receipts.toLocaleString()}`,
+                    totalSpent: `$${current.disbursements.toLocaleString()}`,
+                    cashOnHand: `$${current.cashOnHand.toLocaleString()}`,
                     lastReport: finances.coverage_end_date || 'Not available',
-                    debtOwed: `$${(finances.debts_owed_by_committee || 0).toLocaleString()}`
+                    debtOwed: `$${current.debt.toLocaleString()}`
                 },
-                sources: [
-                    {
-                        name: 'Individual Contributions',
-                        amount: `$${(finances.individual_contributions || 0).toLocaleString()}`,
-                        percentage: finances.receipts ? Math.round((finances.individual_contributions / finances.receipts) * 100) : 0
-                    },
-                    {
-                        name: 'PAC Contributions',
-                        amount: `$${(finances.other_political_committee_contributions || 0).toLocaleString()}`,
-                        percentage: finances.receipts ? Math.round((finances.other_political_committee_contributions / finances.receipts) * 100) : 0
-                    },
-                    {
-                        name: 'Party Contributions',
-                        amount: `$${(finances.party_committee_contributions || 0).toLocaleString()}`,
-                        percentage: finances.receipts ? Math.round((finances.party_committee_contributions / finances.receipts) * 100) : 0
-                    },
-                    {
-                        name: 'Candidate Self-Funding',
-                        amount: `$${(finances.candidate_contribution || 0).toLocaleString()}`,
-                        percentage: finances.receipts ? Math.round((finances.candidate_contribution / finances.receipts) * 100) : 0
-                    }
-                ].filter(s => s.percentage > 0),
-                topContributors: topContributors
+                sources: mix
+                    .filter(s => s.source !== 'other' && s.percentage > 0)
+                    .map(s => ({ name: s.name, amount: `$${s.amount.toLocaleString()}`, percentage: s.percentage })),
+                mix,
+                topContributors: topContributors,
+                history
             };
         }
         
         return {
+            candidateId,
+            match,
+            cycle,
             summary: {
                 totalRaised: 'Data not available',
                 totalSpent: 'Data not available',
@@ -639,7 +766,8 @@ async function getCampaignFinanceDetailed(legislator) {
                 lastReport: 'Data not available'
             },
             sources: [],
-            topContributors: []
+            topContributors: [],
+            history
         };
         
     } catch (error) {
@@ -652,24 +780,227 @@ async function getCampaignFinanceDetailed(legislator) {
                 lastReport: 'Check back later'
             },
             sources: [],
-            topContributors: []
+            topContributors: [],
+            cycle,
+            history: [],
+            error: error.message,
+            retryAt: error.retryAt || null
+        };
+    }
+}
+
+// Run one section of the member profile. Each section reports its own
+// status so a failing upstream doesn't take the rest of the profile down.
+// The data helpers swallow their own errors and flag them with `error`;
+// a null result means the section's data source isn't configured.
+// `isAvailable` marks placeholder results as unavailable too.
+async function profileSection(name, loader, { isAvailable = () => true } = {}) {
+    const started = Date.now();
+    try {
+        const data = await loader();
+        const failed = data && data.error;
+        return {
+            status: data === null ? 'unavailable' : failed ? 'error' : isAvailable(data) ? 'ok' : 'unavailable',
+            error: failed ? data.error : null,
+            durationMs: Date.now() - started,
+            data
         };
+    } catch (error) {
+        console.error(`Member profile ${name} error:`, error.message);
+        return { status: 'error', error: error.message, durationMs: Date.now() - started, data: null };
+    }
+}
+
+// Everything about one legislator in a single document
+async function getMemberProfile(member) {
+    const legislator = await findLegislator(member.bioguideId, 'bioguide');
+
+    const [biography, committees, finance, votes, legislation, transcripts, calendar] = await Promise.all([
+        profileSection('biography', async () => toBiography(legislator)),
+        profileSection('committees', () => getMemberCommittees(member.bioguideId)),
+        profileSection('finance', () => getCampaignFinanceDetailed(member)),
+        // Without a source the record is only a link to congress.gov
+        profileSection('votes', () => getVotingRecord(member), { isAvailable: data => !!data.source }),
+        profileSection('legislation', async () => {
+            if (!CONFIG.CONGRESS_API_KEY) return null;
+            return getMemberBills(member.bioguideId);
+        }),
+        profileSection('transcripts', () => getTranscripts(member)),
+        profileSection('calendar', () => getMemberCalendar(member, parseRange()))
+    ]);
+
+    return {
+        member,
+        sections: { biography, committees, finance, votes, legislation, transcripts, calendar },
+        generatedAt: new Date().toISOString()
+    };
+}
+
+// Background jobs. Each keeps a dataset current without waiting for a
+// request to find it stale.
+const HOUR = 60 * 60 * 1000;
+
+registerJob({
+    name: 'legislators',
+    description: 'Refresh the congress-legislators registry and committee rosters',
+    intervalMs: CONFIG.LEGISLATOR_SYNC_HOURS * HOUR,
+    run: async () => {
+        await loadLegislators(true);
+        const result = {
+            currentMembers: getRegistryInfo().currentCount,
+            // Senators who were missing from the registry when their votes were stored
+            senatePositionsMapped: await remapRollCallMembers(),
+            committees: 'ok'
+        };
+        if (result.senatePositionsMapped) result.ideologyRescored = await refreshIdeology();
+
+        // Committee rosters are secondary; a failure there shouldn't mark
+        // the registry itself as stale
+        try {
+            await loadCommittees(true);
+        } catch (error) {
+            console.error('Committee refresh failed:', error.message);
+            result.committees = `failed: ${error.message}`;
+        }
+        return result;
+    }
+});
+
+registerJob({
+    name: 'rollcalls',
+    description: 'Pull new House Clerk and Senate roll calls while Congress is in session',
+    intervalMs: CONFIG.ROLLCALL_SYNC_HOURS * HOUR,
+    shouldRun: now => isInSession(now),
+    run: async () => {
+        const { congress, session } = currentCongress();
+        const house = await syncHouseRollCalls(new Date().getFullYear());
+        const senate = await syncSenateRollCalls(congress, session);
+        // Ideology routes only serve precomputed scores
+        return { house, senate, ideologyRescored: await refreshIdeology() };
+    }
+});
+
+// FEC totals only change when committees file, so stored snapshots are
+// refreshed once per filing deadline, after FEC has had time to process
+registerJob({
+    name: 'finance',
+    description: 'Refresh stored FEC totals after each filing deadline',
+    intervalMs: 24 * HOUR,
+    shouldRun: (now, lastSuccess) => {
+        const settled = now.getTime() - CONFIG.FINANCE_SYNC_DELAY_DAYS * 24 * HOUR;
+        const deadline = lastFilingDeadline(settled);
+        return !lastSuccess || new Date(lastSuccess).getTime() < deadline + CONFIG.FINANCE_SYNC_DELAY_DAYS * 24 * HOUR;
+    },
+    run: async () => {
+        const keys = storage.keys('finance');
+        let refreshed = 0;
+        let failed = 0;
+
+        // One at a time to stay inside FEC rate limits. Finished cycles
+        // don't change, so only snapshots covering the current one refresh.
+        for (const key of keys) {
+            const [id, cycle, cycles] = key.split('|');
+            if (!cycles) continue;
+            const options = { cycle: Number(cycle), cycles: cycles.split(',').map(Number) };
+            if (!options.cycles.concat(options.cycle).includes(currentCycle())) continue;
+
+            try {
+                const legislator = (await getMember(id)) || { name: id, fecId: null };
+                await storage.refresh('finance', key, () => fetchCampaignFinance(legislator, options));
+                refreshed++;
+            } catch (error) {
+                console.error(`Finance refresh for ${key} failed:`, error.message);
+                failed++;
+            }
+        }
+
+        if (failed && !refreshed) {
+            throw new Error(`All ${failed} finance refreshes failed`);
+        }
+        return { refreshed, failed };
+    }
+});
+
+registerJob({
+    name: 'calendar',
+    description: 'Refresh committee meetings and the House floor schedule',
+    intervalMs: CONFIG.CALENDAR_SYNC_HOURS * HOUR,
+    run: syncCalendar
+});
+
+// Bill lookups for cosponsorship stats, queued by the stats and compare
+// routes (which also start it) and capped per run
+registerJob({
+    name: 'cosponsorship',
+    dataset: 'bills',
+    description: 'Look up the bills behind queued cosponsorship stats',
+    intervalMs: HOUR / 4,
+    run: fetchPendingCosponsorship
+});
+
+// Watchlist alerts. Besides its own interval, the detector runs after each
+// successful roll-call or finance sync so new data is reported promptly.
+registerJob({
+    name: 'alerts',
+    description: 'Check followed members, bills and topics for new votes, filings and bill actions',
+    intervalMs: CONFIG.ALERT_CHECK_HOURS * HOUR,
+    run: detectChanges
+});
+
+onJobComplete((name, run) => {
+    if (['rollcalls', 'finance'].includes(name) && run.status === 'ok') {
+        runJob('alerts', { trigger: `after ${name}` });
+    }
+});
+
+// Admin routes need ADMIN_TOKEN, sent as a bearer token or X-Admin-Token
+function requireAdmin(req, res, next) {
+    if (!CONFIG.ADMIN_TOKEN) {
+        return res.status(403).json({
+            error: 'Admin routes disabled',
+            message: 'Set ADMIN_TOKEN to enable admin routes'
+        });
+    }
+
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : (req.get('x-admin-token') || '');
+    const expected = Buffer.from(CONFIG.ADMIN_TOKEN);
+    const given = Buffer.from(token);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'A valid admin token is required'
+        });
     }
+    next();
 }
 
 // API Routes
 app.get('/api/representatives', async (req, res) => {
     const address = req.query.address;
+    const hasCoordinates = req.query.lat !== undefined || req.query.lng !== undefined;
+    let coordinates = null;
     
-    if (!address) {
+    if (hasCoordinates) {
+        const lat = parseFloat(req.query.lat);
+        const lng = parseFloat(req.query.lng);
+        if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+            return res.status(400).json({
+                error: 'lat and lng must both be valid coordinates'
+            });
+        }
+        coordinates = { lat, lng };
+    }
+    
+    if (!address && !coordinates) {
         return res.status(400).json({
-            error: 'Address parameter is required'
+            error: 'Address or lat/lng parameters are required'
         });
     }
     
     try {
-        const representatives = await getRepresentativesByAddress(address);
-        console.log(`Found ${representatives.length} representatives for address: ${address}`);
+        const representatives = await getRepresentativesByAddress(address, coordinates);
+        console.log(`Found ${representatives.length} representatives for: ${address || `${coordinates.lat}, ${coordinates.lng}`}`);
         res.json({ representatives });
     } catch (error) {
         console.error('API Error:', error);
@@ -680,76 +1011,968 @@ app.get('/api/representatives', async (req, res) => {
     }
 });
 
-// Voting record endpoint with real data
+// Resolve the member for a per-member route. Sends the 404/503 response
+// itself and returns null when there is no member to work with.
+async function resolveMember(id, res) {
+    try {
+        const member = await getMember(id);
+        if (!member) {
+            res.status(404).json({
+                error: 'Legislator not found',
+                message: `No member of Congress matches ID ${id}`
+            });
+            return null;
+        }
+        return member;
+    } catch (error) {
+        console.error('Legislator registry error:', error);
+        res.status(503).json({
+            error: 'Legislator data unavailable',
+            message: 'Please try again in a few moments'
+        });
+        return null;
+    }
+}
+
+// ?cycle= for the FEC routes, defaulting to the current cycle. Sends the
+// 400 response itself and returns null when the cycle is invalid.
+function cycleFromQuery(req, res) {
+    const cycle = req.query.cycle !== undefined ? parseCycle(req.query.cycle) : currentCycle();
+    if (!cycle) {
+        res.status(400).json({
+            error: 'Invalid cycle',
+            message: `cycle must be an even election year from 1980 to ${currentCycle()}`
+        });
+        return null;
+    }
+    return cycle;
+}
+
+// ?congress= and ?session= for the analytics routes. Both are optional; a
+// session needs a Congress. Sends the 400 itself and returns null when
+// either is invalid.
+function scopeFromQuery(req, res) {
+    const congress = req.query.congress !== undefined ? parseInt(req.query.congress, 10) : null;
+    const session = req.query.session !== undefined ? parseInt(req.query.session, 10) : null;
+    const latest = currentCongress().congress;
+
+    if (congress !== null && !(congress >= 1 && congress <= latest)) {
+        res.status(400).json({ error: 'Invalid congress', message: `congress must be a number from 1 to ${latest}` });
+        return null;
+    }
+    if (session !== null && (congress === null || ![1, 2].includes(session))) {
+        res.status(400).json({ error: 'Invalid session', message: 'session must be 1 or 2, with a congress' });
+        return null;
+    }
+    return { congress, session };
+}
+
+// Members per /api/compare request
+const MAX_COMPARED_MEMBERS = 10;
+
+const memberSummary = member => ({
+    bioguideId: member.bioguideId,
+    name: member.name,
+    party: member.party,
+    chamber: member.chamber,
+    state: member.state,
+    district: member.district
+});
+
+// Cosponsorship stats, or null plus the reason when Congress.gov is
+// unavailable; vote stats don't depend on it. Partial stats start the
+// cosponsorship job on the bills they're missing.
+async function cosponsorshipFor(member, scope) {
+    try {
+        const stats = await getCosponsorshipStats(member, scope);
+        if (stats && stats.partial) runJob('cosponsorship', { trigger: 'request' });
+        return { cosponsorship: stats, cosponsorshipError: stats ? null : 'Congress.gov API key not configured' };
+    } catch (error) {
+        console.error(`Cosponsorship stats for ${member.bioguideId} error:`, error.message);
+        return { cosponsorship: null, cosponsorshipError: error.message };
+    }
+}
+
+// Members returned by one search
+const MEMBER_SEARCH_LIMIT = 20;
+
+// Search current members by name for pickers: every word of ?q= must start
+// a word of the member's name. ?state= and ?chamber= narrow the list.
+app.get('/api/members', async (req, res) => {
+    const words = String(req.query.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const state = req.query.state ? String(req.query.state).toUpperCase() : null;
+    const chamber = req.query.chamber || null;
+    if (!words.length && !state) {
+        return res.status(400).json({
+            error: 'Search terms required',
+            message: 'Pass q (a name) and/or state'
+        });
+    }
+    
+    try {
+        const members = (await getCurrentLegislators())
+            .map(toMember)
+            .filter(member => (!state || member.state === state) && (!chamber || member.chamber === chamber))
+            .filter(member => {
+                const nameWords = [member.name, member.firstName, member.lastName].join(' ').toLowerCase().split(/[\s.,'-]+/);
+                return words.every(word => nameWords.some(nameWord => nameWord.startsWith(word)));
+            })
+            .sort((a, b) => a.lastName.localeCompare(b.lastName))
+            .slice(0, MEMBER_SEARCH_LIMIT)
+            .map(memberSummary);
+        res.json({ members });
+    } catch (error) {
+        console.error('Member search error:', error);
+        res.status(503).json({
+            error: 'Legislator data unavailable',
+            message: 'Please try again in a few moments'
+        });
+    }
+});
+
+// Combined member profile
+app.get('/api/members/:bioguideId', async (req, res) => {
+    const member = await resolveMember(req.params.bioguideId, res);
+    if (!member) return;
+    
+    const profile = await getMemberProfile(member);
+    res.json(profile);
+});
+
+// Independent expenditures and electioneering communications for and
+// against a member in a cycle
+app.get('/api/members/:bioguideId/outside-spending', async (req, res) => {
+    const cycle = cycleFromQuery(req, res);
+    if (!cycle) return;
+    const interval = req.query.interval || 'month';
+    if (!['month', 'week'].includes(interval)) {
+        return res.status(400).json({
+            error: 'Invalid interval',
+            message: 'interval must be month or week'
+        });
+    }
+    
+    const member = await resolveMember(req.params.bioguideId, res);
+    if (!member) return;
+    
+    try {
+        const match = await resolveCandidate(member, cycle);
+        if (!match) {
+            return res.status(404).json({
+                error: 'Candidate not found',
+                message: `No FEC candidate matches ${member.name}`
+            });
+        }
+        
+        const spending = await storage.cached('outsideSpending', `${match.candidateId}|${cycle}|${interval}`,
+            () => getOutsideSpending(match, cycle, { interval }),
+            { isFailure: value => !value || value.rateLimited });
+        res.json({ member: { bioguideId: member.bioguideId, name: member.name }, match, ...spending });
+    } catch (error) {
+        console.error('Outside spending error:', error);
+        res.status([429, 503].includes(error.status) ? 503 : 502).json({
+            error: 'Outside spending data unavailable',
+            message: error.status === 429 ? `FEC rate limit reached; try again ${error.retryAt ? `after ${error.retryAt}` : 'later'}` : error.message,
+            retryAt: error.retryAt || null
+        });
+    }
+});
+
+// Scorecard figures for a member from stored roll calls and Congress.gov
+// cosponsorships: missed votes, party unity and bipartisan cosponsorship,
+// for ?congress= / ?session= (default: everything on record) and broken
+// down by Congress and session. ?with=ID,ID adds agreement rates.
+app.get('/api/members/:bioguideId/stats', async (req, res) => {
+    const scope = scopeFromQuery(req, res);
+    if (!scope) return;
+    
+    const member = await resolveMember(req.params.bioguideId, res);
+    if (!member) return;
+    
+    const others = [];
+    for (const id of (req.query.with || '').split(',').map(v => v.trim()).filter(Boolean)) {
+        const other = await resolveMember(id, res);
+        if (!other) return;
+        others.push(other);
+    }
+    
+    res.json({
+        member: memberSummary(member),
+        scope,
+        votes: getVoteStats(member, scope),
+        ...(await cosponsorshipFor(member, scope)),
+        agreement: others.map(other => ({ member: memberSummary(other), ...getAgreement(member, other, scope) }))
+    });
+});
+
+// A member's funding mix for the comparison view, or the reason it's missing
+async function financeMixFor(member, cycle) {
+    const finance = await getCampaignFinanceDetailed(member, { cycle });
+    return {
+        bioguideId: member.bioguideId,
+        candidateId: finance.candidateId || null,
+        cycle,
+        receipts: finance.history && finance.history.length ? finance.history[finance.history.length - 1].receipts : null,
+        mix: finance.mix || [],
+        error: finance.error || (finance.candidateId ? null : 'No FEC candidate or filings for this cycle')
+    };
+}
+
+// Where a member sits ideologically, estimated from the stored roll calls
+// of their chamber in ?congress= (default: the latest one on record)
+app.get('/api/members/:bioguideId/ideology', async (req, res) => {
+    const scope = scopeFromQuery(req, res);
+    if (!scope) return;
+    
+    const member = await resolveMember(req.params.bioguideId, res);
+    if (!member) return;
+    
+    let ideology;
+    try {
+        ideology = getMemberIdeology(member, scope.congress);
+    } catch (error) {
+        return res.status(error.status || 500).json({ error: 'Ideology scores not ready', message: error.message });
+    }
+    if (!ideology) {
+        return res.status(404).json({
+            error: 'Ideology score unavailable',
+            message: `Not enough stored ${member.chamber} roll calls to score ${member.name}`
+        });
+    }
+    res.json({ member: memberSummary(member), ...ideology });
+});
+
+// Every scored member of a chamber, furthest left first
+app.get('/api/ideology/:chamber', (req, res) => {
+    const { chamber } = req.params;
+    if (!['house', 'senate'].includes(chamber)) {
+        return res.status(400).json({ error: 'Invalid chamber', message: 'chamber must be house or senate' });
+    }
+    const scope = scopeFromQuery(req, res);
+    if (!scope) return;
+    
+    let ideology;
+    try {
+        ideology = getIdeology(chamber, scope.congress);
+    } catch (error) {
+        return res.status(error.status || 500).json({ error: 'Ideology scores not ready', message: error.message });
+    }
+    if (!ideology) {
+        return res.status(404).json({
+            error: 'Ideology scores unavailable',
+            message: `Not enough stored ${chamber} roll calls`
+        });
+    }
+    res.json(ideology);
+});
+
+// Sponsored and cosponsored legislation with status, newest first.
+// ?limit= caps each list (default 50, at most 250).
+app.get('/api/members/:bioguideId/bills', async (req, res) => {
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+    if (!(limit >= 1 && limit <= 250)) {
+        return res.status(400).json({ error: 'Invalid limit', message: 'limit must be a number from 1 to 250' });
+    }
+    if (!CONFIG.CONGRESS_API_KEY) {
+        return res.status(503).json({ error: 'Bill data unavailable', message: 'Congress.gov API key not configured' });
+    }
+    
+    const member = await resolveMember(req.params.bioguideId, res);
+    if (!member) return;
+    
+    try {
+        const bills = await getMemberBills(member.bioguideId, { limit });
+        res.json({ member: memberSummary(member), ...bills });
+    } catch (error) {
+        console.error('Member bills error:', error);
+        res.status(502).json({ error: 'Bill data unavailable', message: error.message });
+    }
+});
+
+// Committee and subcommittee seats, grouped by full committee
+app.get('/api/members/:bioguideId/committees', async (req, res) => {
+    const member = await resolveMember(req.params.bioguideId, res);
+    if (!member) return;
+
+    try {
+        const committees = await getMemberCommitteeSummary(member.bioguideId);
+        res.json({ member: memberSummary(member), committees });
+    } catch (error) {
+        console.error('Committee data error:', error);
+        res.status(503).json({ error: 'Committee data unavailable', message: 'Please try again in a few moments' });
+    }
+});
+
+// Floor speeches that mention a bill next to the member's votes on it,
+// with contradictions flagged. ?flagged=true keeps only the mismatches.
+app.get('/api/members/:bioguideId/statements-vs-votes', async (req, res) => {
+    const member = await resolveMember(req.params.bioguideId, res);
+    if (!member) return;
+
+    const { summary, items } = getStatementsVsVotes(member);
+    res.json({
+        member: memberSummary(member),
+        summary,
+        items: req.query.flagged === 'true' ? items.filter(item => item.verdict === 'mismatch') : items,
+        coverage: { transcripts: getTranscriptInfo(), rollCalls: getRollCallInfo() }
+    });
+});
+
+// Side-by-side comparison of ?members=ID,ID[,...]: scorecards, pairwise
+// agreement rates, the roll calls and bills where they agreed or split,
+// and where their ?cycle= receipts came from
+app.get('/api/compare', async (req, res) => {
+    const ids = Array.from(new Set((req.query.members || '').split(',').map(v => v.trim()).filter(Boolean)));
+    if (ids.length < 2 || ids.length > MAX_COMPARED_MEMBERS) {
+        return res.status(400).json({
+            error: 'Invalid members',
+            message: `members must list 2 to ${MAX_COMPARED_MEMBERS} comma-separated member IDs`
+        });
+    }
+    const scope = scopeFromQuery(req, res);
+    if (!scope) return;
+    const cycle = cycleFromQuery(req, res);
+    if (!cycle) return;
+    
+    const members = [];
+    for (const id of ids) {
+        const member = await resolveMember(id, res);
+        if (!member) return;
+        members.push(member);
+    }
+    
+    const scorecards = await Promise.all(members.map(async member => ({
+        member: memberSummary(member),
+        votes: getVoteStats(member, scope),
+        ...(await cosponsorshipFor(member, scope))
+    })));
+    
+    const finance = await Promise.all(members.map(member => financeMixFor(member, cycle)));
+    
+    res.json({
+        scope,
+        members: scorecards,
+        agreement: getAgreementMatrix(members, scope),
+        votes: getVoteComparison(members, scope),
+        finance
+    });
+});
+
+// Voting record endpoint with real data. ?topic= limits it to one topic
+// from /api/topics.
 app.get('/api/voting-record/:bioguideId', async (req, res) => {
-    const bioguideId = req.params.bioguideId;
+    if (req.query.topic && !isKnownTopic(req.query.topic)) {
+        return res.status(400).json({
+            error: 'Unknown topic',
+            message: `${req.query.topic} is not a topic in /api/topics`
+        });
+    }
+    
+    const member = await resolveMember(req.params.bioguideId, res);
+    if (!member) return;
     
-    const mockLegislator = { bioguideId, name: 'Representative' };
-    const votingData = await getVotingRecord(mockLegislator);
+    const votingData = await getVotingRecord(member, { topic: req.query.topic || null });
     
     res.json(votingData);
 });
 
-// Enhanced campaign finance endpoint
+// Legislator for the campaign finance routes: the registry entry when the
+// identifier is a known member ID or a current member's exact name,
+// otherwise a name to search FEC for
+async function resolveFinanceSubject(identifier) {
+    try {
+        const known = await findLegislator(identifier);
+        if (known) {
+            return getMember(known.id.bioguide);
+        }
+
+        const name = identifier.trim().toLowerCase();
+        const named = (await getCurrentLegislators()).filter(leg =>
+            (leg.name.official_full || `${leg.name.first} ${leg.name.last}`).toLowerCase() === name
+        );
+        if (named.length === 1) {
+            return getMember(named[0].id.bioguide);
+        }
+    } catch (error) {
+        console.error('Legislator registry error:', error.message);
+    }
+    return { name: identifier, fecId: null };
+}
+
+// One bill: sponsor and cosponsors (linked to registry members), status,
+// action timeline, committees, related roll calls and text versions
+app.get('/api/bills/:congress/:type/:number', async (req, res) => {
+    const congress = parseInt(req.params.congress, 10);
+    const type = req.params.type.toLowerCase();
+    const { number } = req.params;
+    if (!(congress >= 1 && congress <= currentCongress().congress) || !BILL_TYPES.includes(type) || !/^\d+$/.test(number)) {
+        return res.status(400).json({
+            error: 'Invalid bill',
+            message: `Expected /api/bills/:congress/:type/:number with type one of ${BILL_TYPES.join(', ')}`
+        });
+    }
+    if (!CONFIG.CONGRESS_API_KEY) {
+        return res.status(503).json({ error: 'Bill data unavailable', message: 'Congress.gov API key not configured' });
+    }
+    
+    try {
+        res.json(await getBillDetail(congress, type, number));
+    } catch (error) {
+        if (error.status === 404) {
+            return res.status(404).json({ error: 'Bill not found', message: `Congress.gov has no ${type}${number} in the ${congress}th Congress` });
+        }
+        console.error('Bill detail error:', error);
+        res.status(502).json({ error: 'Bill data unavailable', message: error.message });
+    }
+});
+
+// Vote topic taxonomy, for filtering voting records
+app.get('/api/topics', (req, res) => {
+    res.json(getTaxonomy());
+});
+
+// Enhanced campaign finance endpoint. ?cycle=2024 picks the cycle the
+// summary describes; ?cycles=2018-2026 (or 2020,2024) the history series.
 app.get('/api/campaign-finance/:identifier', async (req, res) => {
     const identifier = req.params.identifier;
     
-    // Try to find legislator info from identifier
-    const mockLegislator = {
-        name: identifier,
-        fecId: null
-    };
+    const cycles = req.query.cycles !== undefined ? parseCycles(req.query.cycles) : null;
+    if (req.query.cycles !== undefined && !cycles) {
+        return res.status(400).json({
+            error: 'Invalid cycles',
+            message: `Use even election years from 1980 to ${currentCycle()}, as a range (2018-2026) or a list (2020,2024), at most ${MAX_CYCLES} cycles`
+        });
+    }
+    const cycle = req.query.cycle !== undefined
+        ? parseCycle(req.query.cycle)
+        : (cycles ? cycles[cycles.length - 1] : currentCycle());
+    if (!cycle) {
+        return res.status(400).json({
+            error: 'Invalid cycle',
+            message: `cycle must be an even election year from 1980 to ${currentCycle()}`
+        });
+    }
     
-    const financeData = await getCampaignFinanceDetailed(mockLegislator);
+    const legislator = await resolveFinanceSubject(identifier);
+    const financeData = await getCampaignFinanceDetailed(legislator, { cycle, cycles: cycles || [cycle] });
     res.json(financeData);
 });
 
-// New transcripts endpoint
-app.get('/api/transcripts/:bioguideId', async (req, res) => {
-    const bioguideId = req.params.bioguideId;
+// Itemized contributions from FEC Schedule A, aggregated by employer,
+// occupation, state and donating committee
+app.get('/api/campaign-finance/:identifier/contributions', async (req, res) => {
+    const cycle = cycleFromQuery(req, res);
+    if (!cycle) return;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
     
-    // Get legislator name from cache or database
-    const mockLegislator = {
-        bioguideId,
-        name: 'Representative' // This would come from your data
-    };
+    const legislator = await resolveFinanceSubject(req.params.identifier);
+    try {
+        const match = await resolveCandidate(legislator, cycle);
+        if (!match) {
+            return res.status(404).json({
+                error: 'Candidate not found',
+                message: `No FEC candidate matches ${req.params.identifier}`
+            });
+        }
+        
+        // Stored with the longest lists so any limit can be served from
+        // one walk; partial walks cut off by a rate limit aren't stored
+        const breakdown = await storage.cached('contributions', `${match.candidateId}|${cycle}`,
+            () => getContributionBreakdown(legislator, match, cycle, { limit: 100 }),
+            { isFailure: value => !value || value.rateLimited });
+        
+        res.json({
+            ...breakdown,
+            match,
+            byEmployer: breakdown.byEmployer.slice(0, limit),
+            byOccupation: breakdown.byOccupation.slice(0, limit),
+            byState: breakdown.byState.slice(0, limit),
+            byCommittee: breakdown.byCommittee.slice(0, limit)
+        });
+    } catch (error) {
+        console.error('Contributions error:', error);
+        res.status([429, 503].includes(error.status) ? 503 : 502).json({
+            error: 'Contribution data unavailable',
+            message: error.status === 429 ? `FEC rate limit reached; try again ${error.retryAt ? `after ${error.retryAt}` : 'later'}` : error.message,
+            retryAt: error.retryAt || null
+        });
+    }
+});
+
+// Full-text search over Congressional Record speeches: ?q= words and
+// "quoted phrases", narrowed by ?member=, ?from= and ?to= (YYYY-MM-DD).
+// Registered before /api/transcripts/:bioguideId, which would take
+// "search" as a member ID.
+app.get('/api/transcripts/search', async (req, res) => {
+    const q = (req.query.q || '').trim();
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 20;
+    const offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+    const isDate = value => value === undefined || (/^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value)));
+
+    if (!q && !req.query.member) {
+        return res.status(400).json({ error: 'Missing query', message: 'Pass q= search terms, member= or both' });
+    }
+    if (!(limit >= 1 && limit <= 100) || !(offset >= 0)) {
+        return res.status(400).json({ error: 'Invalid paging', message: 'limit must be 1 to 100 and offset 0 or more' });
+    }
+    if (!isDate(req.query.from) || !isDate(req.query.to)) {
+        return res.status(400).json({ error: 'Invalid date', message: 'from and to must be YYYY-MM-DD dates' });
+    }
+
+    let member = null;
+    if (req.query.member) {
+        member = await resolveMember(req.query.member, res);
+        if (!member) return;
+    }
+
+    const { total, results } = searchTranscripts({
+        q,
+        bioguideId: member ? member.bioguideId : null,
+        from: req.query.from || null,
+        to: req.query.to || null,
+        offset,
+        limit
+    });
+    res.json({
+        query: { q, member: member ? memberSummary(member) : null, from: req.query.from || null, to: req.query.to || null },
+        total,
+        offset,
+        limit,
+        results,
+        coverage: getTranscriptInfo()
+    });
+});
+
+// A member's most recent Congressional Record speeches, plus links for
+// searching other transcript sources
+app.get('/api/transcripts/:bioguideId', async (req, res) => {
+    const member = await resolveMember(req.params.bioguideId, res);
+    if (!member) return;
     
-    const transcripts = await getTranscripts(mockLegislator);
-    res.json({ transcripts });
+    const transcripts = await getTranscripts(member);
+    const speeches = searchTranscripts({ bioguideId: member.bioguideId, limit: 10 });
+    res.json({
+        member: { bioguideId: member.bioguideId, name: member.name },
+        speeches: { total: speeches.total, recent: speeches.results, search: `/api/transcripts/search?member=${member.bioguideId}&q=` },
+        transcripts
+    });
 });
 
-// Calendar endpoint with real links
+// ?from= and ?to= for the calendar and committee routes. Sends the 400
+// response itself and returns null when the range is invalid.
+function calendarRange(req, res, defaults = {}) {
+    const range = parseRange(req.query.from, req.query.to, defaults);
+    if (!range) {
+        res.status(400).json({
+            error: 'Invalid date range',
+            message: 'from and to must be YYYY-MM-DD dates, in order, at most 180 days apart'
+        });
+    }
+    return range;
+}
+
+// Member calendar as an iCalendar feed for calendar apps. Registered before
+// the JSON route, which would otherwise take "X.ics" as the member ID.
+app.get('/api/calendar/:bioguideId.ics', async (req, res) => {
+    const range = calendarRange(req, res);
+    if (!range) return;
+    const member = await resolveMember(req.params.bioguideId, res);
+    if (!member) return;
+
+    const calendar = await getMemberCalendar(member, range);
+    res.type('text/calendar; charset=utf-8')
+        .set('Content-Disposition', `inline; filename="${member.bioguideId}.ics"`)
+        .send(toICalendar(calendar.events, {
+            name: `${member.name} (${member.chamber === 'senate' ? 'Senate' : 'House'})`,
+            description: `Committee meetings, floor schedule and recesses for ${member.name}`
+        }));
+});
+
+// Committee meetings, floor weeks and recesses for a member
 app.get('/api/calendar/:bioguideId', async (req, res) => {
-    const bioguideId = req.params.bioguideId;
-    
-    // Get legislator info from the request or cache
-    const mockLegislator = {
-        bioguideId,
-        name: 'Representative',
-        type: 'Representative',
-        website: 'https://www.house.gov'
-    };
-    
-    const events = await getCalendarEvents(mockLegislator);
-    res.json({ events });
+    const range = calendarRange(req, res);
+    if (!range) return;
+    const member = await resolveMember(req.params.bioguideId, res);
+    if (!member) return;
+
+    const calendar = await getMemberCalendar(member, range);
+    res.json({
+        member: { bioguideId: member.bioguideId, name: member.name },
+        ...calendar,
+        ics: `/api/calendar/${member.bioguideId}.ics`
+    });
+});
+
+// Congress.gov meeting calendars by committee chamber
+const MEETING_CHAMBERS = { house: 'house', senate: 'senate', joint: 'nochamber' };
+
+// Full committees with their chairs, ranking members and subcommittees.
+// ?chamber= limits the list to house, senate or joint committees.
+app.get('/api/committees', async (req, res) => {
+    const chamber = req.query.chamber || null;
+    if (chamber && !MEETING_CHAMBERS[chamber]) {
+        return res.status(400).json({ error: 'Invalid chamber', message: 'chamber must be house, senate or joint' });
+    }
+
+    try {
+        const committees = await listCommittees({ chamber });
+        res.json({ chamber, count: committees.length, committees });
+    } catch (error) {
+        console.error('Committee data error:', error);
+        res.status(503).json({ error: 'Committee data unavailable', message: 'Please try again in a few moments' });
+    }
+});
+
+// A committee or subcommittee: jurisdiction, roster with rank and
+// leadership roles, and its hearings and markups (subcommittees' included)
+// between ?from= and ?to=, by default the last 90 days and the next 30
+app.get('/api/committees/:committeeId', async (req, res) => {
+    const range = calendarRange(req, res, { daysBack: 90, daysAhead: 30 });
+    if (!range) return;
+
+    let committee;
+    try {
+        committee = await getCommittee(req.params.committeeId);
+    } catch (error) {
+        console.error('Committee data error:', error);
+        return res.status(503).json({ error: 'Committee data unavailable', message: 'Please try again in a few moments' });
+    }
+    if (!committee) {
+        return res.status(404).json({
+            error: 'Committee not found',
+            message: `No current committee or subcommittee matches ID ${req.params.committeeId}`
+        });
+    }
+
+    let hearings = [];
+    let hearingsSource = 'ok';
+    if (!CONFIG.CONGRESS_API_KEY) {
+        hearingsSource = 'unavailable: Congress.gov API key not configured';
+    } else {
+        try {
+            const ids = [committee.id, ...committee.subcommittees.map(sub => sub.id)];
+            hearings = await getCommitteeEvents(ids, [MEETING_CHAMBERS[committee.chamber]], range);
+        } catch (error) {
+            console.error(`Hearings for ${committee.id} unavailable:`, error.message);
+            hearingsSource = `error: ${error.message}`;
+        }
+    }
+
+    res.json({
+        ...committee,
+        hearings: {
+            from: range.from.toISOString().slice(0, 10),
+            to: range.to.toISOString().slice(0, 10),
+            source: hearingsSource,
+            events: hearings
+        }
+    });
+});
+
+// Follow a member, bill or topic. The body is { target: { type, id },
+// events?, channels?, feedId? }; without a feedId a new feed is created,
+// and its ID is the only way to read or change it later.
+app.post('/api/subscriptions', async (req, res) => {
+    const body = req.body || {};
+    try {
+        const subscription = await createSubscription({
+            feedId: body.feedId || null,
+            target: body.target,
+            events: body.events || null,
+            channels: body.channels || null,
+            client: req.ip
+        });
+        res.status(201).json({
+            feed: { id: subscription.feedId, url: `/api/feeds/${subscription.feedId}` },
+            subscription: publicSubscription(subscription)
+        });
+    } catch (error) {
+        if (error.status) {
+            const titles = { 400: 'Invalid subscription', 404: 'Not found', 409: 'Already subscribed', 429: 'Too many requests', 502: 'Subscription failed' };
+            return res.status(error.status).json({ error: titles[error.status] || 'Subscription failed', message: error.message });
+        }
+        console.error('Subscription error:', error);
+        res.status(503).json({
+            error: 'Subscription failed',
+            message: 'Please try again in a few moments'
+        });
+    }
+});
+
+// A feed's subscriptions and latest alerts. ?limit= caps the alerts (1-200).
+app.get('/api/feeds/:feedId', (req, res) => {
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+    if (!(limit >= 1 && limit <= 200)) {
+        return res.status(400).json({ error: 'Invalid limit', message: 'limit must be between 1 and 200' });
+    }
+
+    const feed = getFeed(req.params.feedId, { limit });
+    if (!feed) {
+        return res.status(404).json({ error: 'Feed not found', message: 'No feed with that ID' });
+    }
+    res.json(feed);
+});
+
+app.delete('/api/feeds/:feedId/subscriptions/:subscriptionId', (req, res) => {
+    if (!deleteSubscription(req.params.feedId, req.params.subscriptionId)) {
+        return res.status(404).json({ error: 'Subscription not found', message: 'No such subscription in this feed' });
+    }
+    res.status(204).end();
+});
+
+// Link from the confirmation email; email alerts start once it's followed
+app.get('/api/email/confirm/:token', (req, res) => {
+    const subscription = confirmEmail(req.params.token);
+    if (!subscription) {
+        return res.status(404).json({ error: 'Link not found', message: 'This confirmation link is invalid or its subscription was removed' });
+    }
+    res.json({ status: 'confirmed', message: `Email alerts for ${subscription.target.label} are on` });
+});
+
+const escapeHtml = text => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+// A bare page for the links in alert emails, which are opened in a browser
+function emailPage(title, body) {
+    return `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title></head>
+<body style="font-family: sans-serif; max-width: 32em; margin: 3em auto; padding: 0 1em"><h1>${escapeHtml(title)}</h1>${body}</body></html>`;
+}
+
+// Unsubscribe link in every alert email. Opening it only asks; link
+// scanners and prefetchers follow every link in a message, so a GET must
+// not unsubscribe (RFC 8058). The page's button POSTs back here.
+app.get('/api/email/unsubscribe/:token', (req, res) => {
+    const subscription = findUnsubscribe(req.params.token);
+    if (!subscription) {
+        return res.status(404).type('html').send(emailPage('Link not found', '<p>This unsubscribe link is invalid or was already used.</p>'));
+    }
+    res.type('html').send(emailPage('Unsubscribe', `<p>Stop email alerts for ${escapeHtml(subscription.target.label)}?</p>
+<form method="post"><button type="submit">Unsubscribe</button></form>`));
+});
+
+// The unsubscribe itself: the page's button, or the one-click POST mail
+// clients send from the List-Unsubscribe header
+app.post('/api/email/unsubscribe/:token', (req, res) => {
+    const subscription = unsubscribeEmail(req.params.token);
+    res.status(subscription ? 200 : 404).format({
+        json: () => res.json(subscription
+            ? { status: 'unsubscribed', message: `No more email alerts for ${subscription.target.label}` }
+            : { error: 'Link not found', message: 'This unsubscribe link is invalid or was already used' }),
+        html: () => res.send(subscription
+            ? emailPage('Unsubscribed', `<p>No more email alerts for ${escapeHtml(subscription.target.label)}.</p>`)
+            : emailPage('Link not found', '<p>This unsubscribe link is invalid or was already used.</p>'))
+    });
+});
+
+// GraphQL over members, votes, bills, committees and finance, resolved with
+// the same lookups as the REST routes
+const graphqlHandler = createGraphqlHandler({ getVotingRecord, getCampaignFinanceDetailed });
+app.get('/graphql', graphqlHandler);
+app.post('/graphql', graphqlHandler);
+
+// Votes per export; far more than the voting record shows
+const EXPORT_MAX_VOTES = 1000;
+// Cycles in a finance export when ?cycles= isn't given
+const EXPORT_DEFAULT_CYCLES = 5;
+
+// ?format= for the export routes, defaulting to csv. Sends the 400 itself
+// and returns null when the format is unknown.
+function exportFormat(req, res) {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!isFormat(format)) {
+        res.status(400).json({ error: 'Invalid format', message: 'format must be csv, jsonl or xlsx' });
+        return null;
+    }
+    return format;
+}
+
+// The member named by ?member= for the per-member exports. Sends the
+// 400/404/503 itself and returns null when there is no member.
+async function exportMember(req, res) {
+    if (!req.query.member) {
+        res.status(400).json({ error: 'Missing member', message: 'Pass member (a Bioguide ID)' });
+        return null;
+    }
+    return resolveMember(String(req.query.member), res);
+}
+
+// Stream an export. Once rows are flowing the status is already sent, so
+// a failure can only cut the download short.
+async function sendExport(res, options) {
+    try {
+        await streamExport(res, options);
+    } catch (error) {
+        console.error(`Export ${options.dataset} error:`, error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({ error: 'Export failed', message: error.message });
+    }
+}
+
+// Columns and formats of every export
+app.get('/api/export', (req, res) => {
+    res.json(getExportSchemas());
+});
+
+// A member's votes, the same ones /api/voting-record shows, optionally for
+// one Congress, session or topic
+app.get('/api/export/votes', async (req, res) => {
+    const format = exportFormat(req, res);
+    if (!format) return;
+    const scope = scopeFromQuery(req, res);
+    if (!scope) return;
+    if (req.query.topic && !isKnownTopic(req.query.topic)) {
+        return res.status(400).json({
+            error: 'Unknown topic',
+            message: `${req.query.topic} is not a topic in /api/topics`
+        });
+    }
+    const member = await exportMember(req, res);
+    if (!member) return;
+
+    const record = await getVotingRecord(member, { topic: req.query.topic || null, ...scope, limit: EXPORT_MAX_VOTES });
+    // Without a source the record is the "view on Congress.gov" placeholder
+    if (!record.source && record.error) {
+        return res.status(503).json({ error: 'Voting record unavailable', message: record.error });
+    }
+
+    await sendExport(res, {
+        dataset: 'votes',
+        format,
+        filename: ['votes', member.bioguideId, scope.congress, scope.session].filter(Boolean).join('-'),
+        rows: record.source ? voteRows(member, record) : []
+    });
+});
+
+// A member's FEC totals per cycle, the history the finance panel charts
+app.get('/api/export/finance', async (req, res) => {
+    const format = exportFormat(req, res);
+    if (!format) return;
+    const cycles = req.query.cycles !== undefined
+        ? parseCycles(req.query.cycles)
+        : Array.from({ length: EXPORT_DEFAULT_CYCLES }, (_, i) => currentCycle() - 2 * (EXPORT_DEFAULT_CYCLES - 1 - i));
+    if (!cycles) {
+        return res.status(400).json({
+            error: 'Invalid cycles',
+            message: `Use even election years from 1980 to ${currentCycle()}, as a range (2018-2026) or a list (2020,2024), at most ${MAX_CYCLES} cycles`
+        });
+    }
+    const member = await exportMember(req, res);
+    if (!member) return;
+
+    const finance = await getCampaignFinanceDetailed(member, { cycle: cycles[cycles.length - 1], cycles });
+    if (finance.error) {
+        return res.status(503).json({ error: 'Finance data unavailable', message: finance.error, retryAt: finance.retryAt || null });
+    }
+    if (!finance.candidateId) {
+        return res.status(404).json({ error: 'Candidate not found', message: `No FEC candidate matches ${member.name}` });
+    }
+
+    await sendExport(res, {
+        dataset: 'finance',
+        format,
+        filename: `finance-${member.bioguideId}-${cycles[0]}-${cycles[cycles.length - 1]}`,
+        rows: financeRows(member, finance)
+    });
+});
+
+// Current members of a state's delegation, a chamber, a party or all of
+// Congress, with their committee seats
+app.get('/api/export/roster', async (req, res) => {
+    const format = exportFormat(req, res);
+    if (!format) return;
+    const state = req.query.state ? String(req.query.state).toUpperCase() : null;
+    const chamber = req.query.chamber || null;
+    const party = req.query.party ? String(req.query.party).toLowerCase() : null;
+    if (state && !/^[A-Z]{2}$/.test(state)) {
+        return res.status(400).json({ error: 'Invalid state', message: 'state must be a two-letter code' });
+    }
+    if (chamber && !['house', 'senate'].includes(chamber)) {
+        return res.status(400).json({ error: 'Invalid chamber', message: 'chamber must be house or senate' });
+    }
+
+    let members;
+    try {
+        members = (await getCurrentLegislators())
+            .map(toMember)
+            .filter(member => (!state || member.state === state) && (!chamber || member.chamber === chamber))
+            // D, Democrat, R, Republican, I, Independent
+            .filter(member => !party || member.party.toLowerCase().startsWith(party))
+            .sort((a, b) => a.state.localeCompare(b.state)
+                || b.chamber.localeCompare(a.chamber)
+                || (a.district || 0) - (b.district || 0)
+                || a.lastName.localeCompare(b.lastName));
+    } catch (error) {
+        console.error('Roster export error:', error);
+        return res.status(503).json({
+            error: 'Legislator data unavailable',
+            message: 'Please try again in a few moments'
+        });
+    }
+
+    const committees = await mapWithConcurrency(members, 5, member =>
+        getMemberCommitteeSummary(member.bioguideId).catch(error => {
+            console.error(`Committees for ${member.bioguideId} unavailable:`, error.message);
+            return null;
+        }));
+
+    await sendExport(res, {
+        dataset: 'roster',
+        format,
+        filename: ['roster', state, chamber, party].filter(Boolean).join('-').toLowerCase(),
+        rows: members.map((member, i) => rosterRow(member, committees[i]))
+    });
 });
 
 // Health check
 app.get('/api/health', (req, res) => {
     res.json({
-        status: 'healthy',
+        // degraded while an upstream provider's circuit breaker is open
+        status: hasOpenCircuit() ? 'degraded' : 'healthy',
         timestamp: new Date().toISOString(),
         apis: {
-            googleCivic: CONFIG.GOOGLE_CIVIC_API_KEY ? 'configured' : 'not configured',
+            geocoder: CONFIG.GEOCODER,
             fec: CONFIG.FEC_API_KEY !== 'DEMO_KEY' ? 'configured' : 'using demo key',
             congress: CONFIG.CONGRESS_API_KEY ? 'configured' : 'not configured',
             propublica: CONFIG.PROPUBLICA_API_KEY ? 'configured' : 'not configured'
+        },
+        upstream: getUpstreamInfo(),
+        lastSync: getDatasetFreshness(),
+        jobs: getJobsInfo({ historyLimit: 0 }).map(({ history, ...job }) => job),
+        data: {
+            legislators: getRegistryInfo(),
+            rollCalls: getRollCallInfo(),
+            transcripts: getTranscriptInfo(),
+            storage: storage.getStorageInfo(),
+            zipCrosswalk: getCrosswalkInfo(),
+            districtBoundaries: getBoundaryInfo(),
+            sessionCalendar: getSessionCalendarInfo()
         }
     });
 });
 
+// Background job status and run history
+app.get('/api/admin/jobs', requireAdmin, (req, res) => {
+    res.json({ scheduler: CONFIG.SCHEDULER_ENABLED ? 'running' : 'disabled', jobs: getJobsInfo() });
+});
+
+// Trigger a job now. The run continues in the background; poll
+// /api/admin/jobs for the outcome.
+app.post('/api/admin/jobs/:name/run', requireAdmin, (req, res) => {
+    const job = getJob(req.params.name);
+    if (!job) {
+        return res.status(404).json({
+            error: 'Job not found',
+            message: `No background job named ${req.params.name}`
+        });
+    }
+
+    const alreadyRunning = !!job.running;
+    runJob(job.name, { trigger: 'manual' });
+    res.status(202).json({ job: job.name, status: alreadyRunning ? 'already running' : 'started' });
+});
+
 // Serve HTML
-app.get('/', (req, res) => {
+app.get(['/', '/index.html'], (req, res) => {
     // Check both root and templates directory
     const fs = require('fs');
     const rootPath = path.join(__dirname, 'index.html');
@@ -764,6 +1987,11 @@ app.get('/', (req, res) => {
     }
 });
 
+// Member comparison page
+app.get(['/compare', '/compare.html'], (req, res) => {
+    res.sendFile(path.join(__dirname, 'compare.html'));
+});
+
 // Start server
 app.listen(CONFIG.PORT, () => {
     console.log(`Congressional Tracker`);
@@ -771,8 +1999,29 @@ app.listen(CONFIG.PORT, () => {
     console.log(`Server running on port ${CONFIG.PORT}`);
     console.log(`Visit http://localhost:${CONFIG.PORT}`);
     console.log('\nAPI Status:');
-    console.log(`- Google Civic: ${CONFIG.GOOGLE_CIVIC_API_KEY ? '✓ Configured' : '✗ Not configured (limited accuracy)'}`);
+    console.log(`- Geocoder: ${CONFIG.GEOCODER}`);
     console.log(`- FEC: ${CONFIG.FEC_API_KEY !== 'DEMO_KEY' ? '✓ Configured' : '⚠ Using DEMO_KEY'}`);
     console.log(`- Congress.gov: ${CONFIG.CONGRESS_API_KEY ? '✓ Configured' : '✗ Not configured'}`);
     console.log(`- ProPublica: ${CONFIG.PROPUBLICA_API_KEY ? '✓ Configured' : '✗ Not configured'}`);
+    console.log('\nLocal Data:');
+    console.log(`- ZIP crosswalk: ${getCrosswalkInfo().loaded ? `✓ ${getCrosswalkInfo().zipCount} ZIPs` : '✗ Not loaded (limited accuracy)'}`);
+    console.log(`- District boundaries: ${getBoundaryInfo().loaded ? `✓ ${getBoundaryInfo().districtCount} districts` : '✗ Not loaded (no street-level lookups)'}`);
+    console.log(`- Background sync: ${CONFIG.SCHEDULER_ENABLED ? `✓ ${getJobsInfo().map(job => job.name).join(', ')}` : '✗ Disabled'}`);
+
+    // Warm the legislator registry so the first lookup doesn't wait on it,
+    // then ingest any roll-call XML and Congressional Record packages dropped
+    // into the data folder (Senate files and Record speakers are matched
+    // through the registry)
+    loadLegislators()
+        .then(() => remapRollCallMembers())
+        .then(() => ingestDirectory(dataPath(CONFIG.ROLLCALL_DIR, 'rollcalls')))
+        .then(() => ingestTranscripts(dataPath(CONFIG.CREC_DIR, 'crec')))
+        .catch(error => console.error('Legislator registry error:', error.message))
+        // Score ideology from the roll calls stored so far, so the routes
+        // never compute it
+        .then(() => refreshIdeology())
+        .catch(error => console.error('Ideology scoring error:', error.message))
+        .then(() => {
+            if (CONFIG.SCHEDULER_ENABLED) startScheduler();
+        });
 });